@@ -0,0 +1,143 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// auth-state.js
+// Encrypted, single-use OIDC transaction state for login round-trips
+//
+// Purpose:
+//   - Generates per-attempt state, nonce and PKCE values for OIDC logins
+//   - Persists them in the browser as an encrypted, short-lived cookie value
+//   - Validates and consumes them when the callback comes back
+//
+// Key Functions:
+//   - createAuthState(): Builds a new transaction and its authorization params
+//   - consumeAuthState(): Verifies a callback against the stored transaction
+//
+// Characteristics:
+//   - Cookie payload is encrypted via signed-cookies.js (BRIDGE_COOKIE_SECRET):
+//     the PKCE verifier and nonce never appear in clear in the browser
+//   - Transactions expire after 10 minutes
+//   - Consumed states are remembered until expiry to reject replays
+// ============================================================================
+
+import {
+    randomState,
+    randomNonce,
+    randomPKCECodeVerifier,
+    calculatePKCECodeChallenge
+} from 'openid-client';
+import { encryptCookie, decryptCookie } from './signed-cookies.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth-state');
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+export const AUTH_STATE_MAX_AGE = 600000; // 10 minutes
+
+// State values already used by a callback, kept until their expiry
+const consumed = new Map();
+
+// ---------------------------------------------------------------------------
+// ERRORS
+// ---------------------------------------------------------------------------
+
+/**
+ * Raised when a callback does not match a pending login attempt.
+ * The code is one of: missing, invalid, expired, mismatch, replayed.
+ */
+export class AuthStateError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AuthStateError';
+        this.code = code;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// TRANSACTION CREATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a new OIDC login transaction.
+ * @param {Object} [data] - Extra values to carry through the round-trip
+ * @returns {Promise<{authState: Object, cookie: string, params: Object}>}
+ *   The transaction, its encrypted cookie value, and the parameters to add to
+ *   the authorization request
+ */
+export const createAuthState = async (data = {}) => {
+    const codeVerifier = randomPKCECodeVerifier();
+    const authState = {
+        ...data,
+        state: randomState(),
+        nonce: randomNonce(),
+        codeVerifier,
+        expiresAt: Date.now() + AUTH_STATE_MAX_AGE
+    };
+
+    const cookie = encryptCookie(authState);
+
+    log.debug('Auth state created', { statePrefix: authState.state.substring(0, 8) + '...' });
+
+    return {
+        authState,
+        cookie,
+        params: {
+            state: authState.state,
+            nonce: authState.nonce,
+            code_challenge: await calculatePKCECodeChallenge(codeVerifier),
+            code_challenge_method: 'S256'
+        }
+    };
+};
+
+// ---------------------------------------------------------------------------
+// TRANSACTION VALIDATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Verifies a callback's state against the encrypted cookie and marks it used.
+ * @param {string} cookie - Encrypted cookie value set at login
+ * @param {string} receivedState - The state query parameter of the callback
+ * @returns {Object} The stored transaction (state, nonce, codeVerifier, ...)
+ * @throws {AuthStateError} If the callback does not match a pending attempt
+ */
+export const consumeAuthState = (cookie, receivedState) => {
+    const now = Date.now();
+
+    for (const [state, expiresAt] of consumed) {
+        if (expiresAt <= now) {
+            consumed.delete(state);
+        }
+    }
+
+    if (!cookie) {
+        throw new AuthStateError('No login attempt in progress', 'missing');
+    }
+
+    const authState = decryptCookie(cookie);
+
+    if (!authState) {
+        throw new AuthStateError('Login attempt cookie is invalid', 'invalid');
+    }
+
+    if (!authState.expiresAt || authState.expiresAt <= now) {
+        throw new AuthStateError('Login attempt has expired', 'expired');
+    }
+
+    if (!receivedState || receivedState !== authState.state) {
+        throw new AuthStateError('Login state does not match', 'mismatch');
+    }
+
+    if (consumed.has(authState.state)) {
+        throw new AuthStateError('Login attempt was already used', 'replayed');
+    }
+
+    consumed.set(authState.state, authState.expiresAt);
+    log.debug('Auth state consumed', { statePrefix: authState.state.substring(0, 8) + '...' });
+
+    return authState;
+};
@@ -0,0 +1,145 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// backchannel.js
+// OIDC Back-Channel Logout token validation and endpoint handler
+//
+// Purpose:
+//   - Validates logout tokens that Keycloak POSTs when a session ends
+//     centrally (user logout elsewhere, admin kill, session expiry)
+//   - Hands the identified sub/sid to a realm-specific revocation callback
+//
+// Key Functions:
+//   - createLogoutTokenVerifier(): Builds a verifier bound to a realm's JWKS
+//   - backchannelLogoutHandler(): Express handler for the logout endpoint
+//
+// Characteristics:
+//   - Signature, issuer, audience, iat and the backchannel-logout event are
+//     checked as required by OpenID Connect Back-Channel Logout 1.0
+//   - Tokens carrying a nonce are refused (they would be ID tokens)
+//   - jti values are remembered until expiry to reject replays
+// ============================================================================
+
+import { jwtVerify } from 'jose';
+import { createLogger } from './logger.js';
+
+const log = createLogger('backchannel');
+
+const LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+const MAX_TOKEN_AGE = 300; // seconds
+
+// ---------------------------------------------------------------------------
+// ERRORS
+// ---------------------------------------------------------------------------
+
+/**
+ * Raised when a logout token fails validation.
+ */
+export class LogoutTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LogoutTokenError';
+    }
+}
+
+// ---------------------------------------------------------------------------
+// TOKEN VERIFIER
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a logout token verifier for one realm.
+ * @param {Object} options
+ * @param {string} options.issuer - Expected `iss` (realm issuer URL)
+ * @param {string} options.clientId - Expected `aud` (this bridge's client ID)
+ * @param {Function} options.jwks - jose key set, e.g. createRemoteJWKSet(jwks_uri)
+ * @returns {Function} async (token) => ({ sub, sid }), throws LogoutTokenError
+ */
+export const createLogoutTokenVerifier = ({ issuer, clientId, jwks }) => {
+    const seen = new Map();
+
+    return async (token) => {
+        if (!token || typeof token !== 'string') {
+            throw new LogoutTokenError('Missing logout_token');
+        }
+
+        let payload;
+        try {
+            ({ payload } = await jwtVerify(token, jwks, {
+                issuer,
+                audience: clientId,
+                maxTokenAge: MAX_TOKEN_AGE,
+                clockTolerance: 30
+            }));
+        } catch (err) {
+            throw new LogoutTokenError(`Invalid logout_token: ${err.message}`);
+        }
+
+        if (!payload.events || typeof payload.events[LOGOUT_EVENT] !== 'object') {
+            throw new LogoutTokenError('logout_token lacks the backchannel-logout event');
+        }
+
+        if (payload.nonce !== undefined) {
+            throw new LogoutTokenError('logout_token must not contain a nonce');
+        }
+
+        if (!payload.sub && !payload.sid) {
+            throw new LogoutTokenError('logout_token identifies neither sub nor sid');
+        }
+
+        if (!payload.jti) {
+            throw new LogoutTokenError('logout_token lacks a jti');
+        }
+
+        const now = Date.now();
+        for (const [jti, expiresAt] of seen) {
+            if (expiresAt <= now) {
+                seen.delete(jti);
+            }
+        }
+
+        if (seen.has(payload.jti)) {
+            throw new LogoutTokenError('logout_token was already used');
+        }
+        seen.set(payload.jti, (payload.iat + MAX_TOKEN_AGE + 30) * 1000);
+
+        return { sub: payload.sub, sid: payload.sid };
+    };
+};
+
+// ---------------------------------------------------------------------------
+// ENDPOINT HANDLER
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the Express handler for a back-channel logout endpoint.
+ * Expects a urlencoded body with `logout_token`.
+ * @param {string} realm - Realm name for logging ('member' or 'staff')
+ * @param {Function} verify - Verifier from createLogoutTokenVerifier()
+ * @param {Function} revoke - async ({ sub, sid }) => number of revoked sessions
+ * @returns {Function} Express request handler
+ */
+export const backchannelLogoutHandler = (realm, verify, revoke) => async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    let identity;
+    try {
+        identity = await verify(req.body?.logout_token);
+    } catch (err) {
+        if (err instanceof LogoutTokenError) {
+            log.warn('Back-channel logout rejected', { realm, reason: err.message });
+            return res.status(400).json({ error: 'invalid_request', error_description: err.message });
+        }
+        log.error('Back-channel logout verification failed', { realm, error: err.message });
+        return res.status(500).json({ error: 'server_error' });
+    }
+
+    try {
+        const revoked = await revoke(identity);
+        log.info('Back-channel logout processed', { realm, hasSid: !!identity.sid, revoked });
+        res.status(200).end();
+    } catch (err) {
+        log.error('Back-channel logout revocation failed', { realm, error: err.message });
+        res.status(500).json({ error: 'server_error' });
+    }
+};
@@ -0,0 +1,162 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// config.js
+// Environment variable parsing helpers
+//
+// Purpose:
+//   - Turns raw environment strings into typed configuration values
+//   - Keeps default handling consistent across routers and libraries
+//
+// Key Functions:
+//   - envList(): Parses comma-separated lists
+//   - envBool(): Parses boolean flags (true/false, 1/0, yes/no, on/off)
+//   - envInt(): Parses non-negative integers (counts, limits)
+//   - envChoice(): Parses one value out of a fixed set (modes)
+//   - envDuration(): Parses durations (90s, 15m, 8h, 30d) into milliseconds
+//
+// Characteristics:
+//   - Reads process.env at call time so tests can override values
+//   - Blank or missing variables fall back to the provided default
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// PARSERS
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a comma-separated environment variable as a list.
+ * @param {string} name - Environment variable name
+ * @param {Array<string>} [fallback] - Value used when the variable is unset or blank
+ * @returns {Array<string>} Trimmed, non-empty entries
+ *
+ * @example
+ * // MEMBER_RETURN_PATHS="/blog/, /tag/"
+ * envList('MEMBER_RETURN_PATHS', ['/']); // ['/blog/', '/tag/']
+ */
+export const envList = (name, fallback = []) => {
+    const raw = process.env[name];
+
+    if (!raw || !raw.trim()) {
+        return fallback;
+    }
+
+    return raw.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+/**
+ * Reads a boolean flag from the environment.
+ * @param {string} name - Environment variable name
+ * @param {boolean} [fallback] - Value used when the variable is unset or blank
+ * @returns {boolean} Parsed flag
+ * @throws {Error} If the value is not a recognized boolean
+ */
+export const envBool = (name, fallback = false) => {
+    const raw = process.env[name];
+
+    if (!raw || !raw.trim()) {
+        return fallback;
+    }
+
+    const value = raw.trim().toLowerCase();
+
+    if (['true', '1', 'yes', 'on'].includes(value)) {
+        return true;
+    }
+    if (['false', '0', 'no', 'off'].includes(value)) {
+        return false;
+    }
+
+    throw new Error(`${name} must be a boolean (true/false), got "${raw}"`);
+};
+
+/**
+ * Reads a non-negative integer from the environment.
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or blank
+ * @returns {number} Parsed integer
+ * @throws {Error} If the value is not a non-negative integer
+ *
+ * @example
+ * // GHOST_API_RETRIES="3"
+ * envInt('GHOST_API_RETRIES', 2); // 3
+ */
+export const envInt = (name, fallback) => {
+    const raw = process.env[name];
+
+    if (!raw || !raw.trim()) {
+        return fallback;
+    }
+
+    if (!/^\d+$/.test(raw.trim())) {
+        throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+    }
+
+    return Number(raw.trim());
+};
+
+/**
+ * Reads one of a fixed set of values from the environment (case-insensitive).
+ * @param {string} name - Environment variable name
+ * @param {Array<string>} choices - Accepted values, lowercase
+ * @param {string} fallback - Value used when the variable is unset or blank
+ * @returns {string} Chosen value, lowercase
+ * @throws {Error} If the value is not one of the choices
+ *
+ * @example
+ * // MEMBER_LOGIN_MODE="API"
+ * envChoice('MEMBER_LOGIN_MODE', ['database', 'api'], 'database'); // 'api'
+ */
+export const envChoice = (name, choices, fallback) => {
+    const raw = process.env[name];
+
+    if (!raw || !raw.trim()) {
+        return fallback;
+    }
+
+    const value = raw.trim().toLowerCase();
+
+    if (!choices.includes(value)) {
+        throw new Error(`${name} must be one of ${choices.join(', ')}, got "${raw}"`);
+    }
+
+    return value;
+};
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Reads a duration from the environment.
+ * Accepts a number with an optional unit (ms, s, m, h, d); a bare number is
+ * a count of seconds.
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value in milliseconds used when the variable is unset or blank
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} If the value is not a recognized duration
+ *
+ * @example
+ * // STAFF_SESSION_MAX_AGE="12h"
+ * envDuration('STAFF_SESSION_MAX_AGE', 0); // 43200000
+ */
+export const envDuration = (name, fallback) => {
+    const raw = process.env[name];
+
+    if (!raw || !raw.trim()) {
+        return fallback;
+    }
+
+    const match = raw.trim().toLowerCase().match(/^(\d+)\s*(ms|s|m|h|d)?$/);
+
+    if (!match) {
+        throw new Error(`${name} must be a duration such as 3600, 90s, 15m, 8h or 30d, got "${raw}"`);
+    }
+
+    return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+};
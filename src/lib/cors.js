@@ -0,0 +1,93 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// cors.js
+// Cross-origin access to bridge endpoints from the operator's own sites
+//
+// Purpose:
+//   - Lets front-end apps on allowlisted origins call bridge endpoints with
+//     the browser's cookies (credentials)
+//
+// Key Functions:
+//   - parseAllowedOrigins(): Validates an origin allowlist
+//   - corsMiddleware(): Express middleware answering CORS and preflights
+//
+// Characteristics:
+//   - Exact origin matching only: no wildcards, since credentials are allowed
+//   - Other origins get no CORS headers, so browsers keep the answer from
+//     their scripts; same-origin requests are unaffected
+//   - Responses always vary on Origin, so caches never mix answers
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+// How long browsers may reuse a preflight answer
+const PREFLIGHT_MAX_AGE = 600; // seconds
+
+/**
+ * Validates a list of allowed origins.
+ * @param {Array<string>} origins - Origins such as https://app.example.com
+ * @returns {Set<string>} Normalized origins
+ * @throws {Error} If an entry is not a bare http(s) origin
+ *
+ * @example
+ * parseAllowedOrigins(['https://app.example.com']);
+ */
+export const parseAllowedOrigins = (origins) => {
+    const allowed = new Set();
+
+    for (const entry of origins) {
+        let url;
+        try {
+            url = new URL(entry);
+        } catch {
+            url = null;
+        }
+
+        if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== entry.replace(/\/$/, '')) {
+            throw new Error(`Invalid CORS origin "${entry}", expected scheme://host[:port]`);
+        }
+
+        allowed.add(url.origin);
+    }
+
+    return allowed;
+};
+
+// ---------------------------------------------------------------------------
+// MIDDLEWARE
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a middleware allowing credentialed requests from allowlisted origins.
+ * @param {Set<string>} allowedOrigins - Result of parseAllowedOrigins()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.methods] - Methods offered to preflights
+ * @returns {Function} Express middleware (answers preflights itself)
+ */
+export const corsMiddleware = (allowedOrigins, { methods = ['GET'] } = {}) => (req, res, next) => {
+    const origin = req.get('origin');
+    res.vary('Origin');
+
+    if (origin && allowedOrigins.has(origin)) {
+        res.set({
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Credentials': 'true'
+        });
+
+        if (req.method === 'OPTIONS') {
+            res.set({
+                'Access-Control-Allow-Methods': methods.join(', '),
+                'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE)
+            });
+        }
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+};
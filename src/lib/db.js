@@ -13,6 +13,7 @@
 //   - query(): Executes parameterized SQL statements with automatic escaping
 //   - fetchGhostSecret(): Retrieves the db_hash for cookie signature validation
 //   - isStaffEmpty(): Checks for active admin users (setup detection)
+//   - createTableOnce(): Lazy, retried creation of the bridge's own tables
 //
 // Characteristics:
 //   - Uses mysql2/promise for async/await compatibility
@@ -91,6 +92,9 @@ export const query = async (sql, params = []) => {
 // ---------------------------------------------------------------------------
 // Utility functions to retrieve Ghost-specific settings from the database.
 
+// Sample author created by Ghost's fixtures alongside the default posts
+const GHOST_SAMPLE_AUTHOR_EMAIL = 'ghost-author@example.com';
+
 /**
  * Retrieves the Ghost database hash used for internal signatures.
  * @returns {Promise<string|null>} The db_hash value or null if not found
@@ -111,17 +115,55 @@ export const fetchGhostSecret = async () => {
 /**
  * Checks if the Ghost instance has any active staff users.
  * Used to detect fresh installations requiring setup.
+ * Ghost's built-in sample author (ghost-author@example.com) ships active on
+ * every install and is therefore not counted.
  * @returns {Promise<boolean>} True if no active staff exists
  */
 export const isStaffEmpty = async () => {
     log.debug('Checking for active staff users');
-    const rows = await query("SELECT count(*) as count FROM users WHERE status = 'active'");
+    const rows = await query(
+        "SELECT count(*) as count FROM users WHERE status = 'active' AND email <> ?",
+        [GHOST_SAMPLE_AUTHOR_EMAIL]
+    );
     const isEmpty = rows[0].count === 0;
 
     log.debug('Staff check complete', { activeUsers: rows[0].count, isEmpty });
     return isEmpty;
 };
 
+// ---------------------------------------------------------------------------
+// BRIDGE TABLES
+// ---------------------------------------------------------------------------
+// Tables owned by the bridge are created on first use, so the bridge can
+// start while the database is still unavailable.
+
+/**
+ * Wraps a CREATE TABLE IF NOT EXISTS statement into an idempotent ensure function.
+ * Concurrent callers share the pending attempt; a failed attempt is retried
+ * on the next call.
+ * @param {string} createSql - CREATE TABLE IF NOT EXISTS statement
+ * @returns {Function} () => Promise<void>, resolved once the table exists
+ *
+ * @example
+ * export const ensureSessionStore = createTableOnce(CREATE_TABLE);
+ */
+export const createTableOnce = (createSql) => {
+    const table = createSql.match(/IF NOT EXISTS\s+(\w+)/i)?.[1];
+    let ready = null;
+
+    return () => {
+        if (!ready) {
+            ready = query(createSql)
+                .then(() => log.debug('Table ready', { table }))
+                .catch((err) => {
+                    ready = null;
+                    throw err;
+                });
+        }
+        return ready;
+    };
+};
+
 // ---------------------------------------------------------------------------
 // CONNECTION TEST
 // ---------------------------------------------------------------------------
@@ -0,0 +1,577 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// ghost-api.js
+// Ghost Admin API client shared by the routers and background jobs
+//
+// Purpose:
+//   - Talks to the Ghost Admin API over the internal network while presenting
+//     the blog's public host, so Ghost does not redirect to its public URL
+//   - Covers members, tiers, newsletters, labels, users and site info
+//   - Detects the Ghost version and pins the Admin API version accordingly
+//
+// Key Functions:
+//   - createGhostApi(): Builds a client for one Ghost instance
+//   - getGhostApi(): Client for the configured Ghost, shared by the process
+//   - detectGhostVersion(): Startup version check (strict or warn)
+//   - parseGhostVersion(): Reads a "major.minor" version string
+//   - GhostApiError: Error carrying the HTTP status and Ghost error type/code
+//
+// Characteristics:
+//   - Admin API JWT (HS256, 5 min) signed per request from the id:secret key
+//   - Redirects are reported as errors instead of being followed (the SDK
+//     follows 301s to the public URL and loses the Authorization header)
+//   - Each attempt is bounded by a timeout; 5xx answers, timeouts and network
+//     errors are retried with exponential backoff
+//   - Creating writes (POST) are only retried when Ghost never received them,
+//     since Ghost may have applied a request it answered with an error
+//   - Lists can be read page by page or all at once
+//   - Once the version is negotiated, every request carries Accept-Version
+// ============================================================================
+
+import jwt from 'jsonwebtoken';
+import { envInt, envDuration } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ghost-api');
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_TIMEOUT = 10000; // 10 seconds per attempt
+export const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 500; // doubled after each failed attempt
+
+// Page size used when walking every page of a list
+const PAGE_SIZE = 100;
+
+// Ghost major versions whose Admin API the bridge is written against
+export const SUPPORTED_GHOST_MAJORS = [5, 6];
+
+// Connection errors raised before the request reached Ghost
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// ---------------------------------------------------------------------------
+// ERRORS
+// ---------------------------------------------------------------------------
+
+/**
+ * Raised when a Ghost Admin API call fails.
+ * `type` and `code` come from Ghost's error body (e.g. `NotFoundError`,
+ * `ValidationError`) or describe a transport failure (`NetworkError`,
+ * `TimeoutError`, `RedirectError`, `InvalidResponseError`).
+ */
+export class GhostApiError extends Error {
+    /**
+     * @param {string} message - Error description
+     * @param {Object} [details]
+     * @param {number|null} [details.status] - HTTP status, null if no answer was received
+     * @param {string|null} [details.type] - Ghost error type or transport failure kind
+     * @param {string|null} [details.code] - Ghost error code, or the network error code
+     * @param {string|null} [details.context] - Ghost's explanation of the error
+     * @param {string} [details.endpoint] - Admin API path that failed
+     */
+    constructor(message, { status = null, type = null, code = null, context = null, endpoint } = {}) {
+        super(message);
+        this.name = 'GhostApiError';
+        this.status = status;
+        this.type = type;
+        this.code = code;
+        this.context = context;
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * Whether trying again may succeed (no answer, or a 5xx answer).
+     * @returns {boolean}
+     */
+    get retryable() {
+        return this.status === null || this.status >= 500;
+    }
+}
+
+/**
+ * Builds the error for a non-2xx Ghost answer.
+ * @param {number} status - HTTP status
+ * @param {string} text - Response body
+ * @param {string} endpoint - Admin API path
+ * @returns {GhostApiError}
+ */
+const errorFromResponse = (status, text, endpoint) => {
+    let ghostError = {};
+
+    try {
+        ghostError = JSON.parse(text).errors?.[0] || {};
+    } catch {
+        // Not a Ghost error body (proxy page, empty answer)
+    }
+
+    const detail = ghostError.message || text.substring(0, 200);
+    const context = ghostError.context || null;
+
+    return new GhostApiError(`Ghost API error ${status}: ${detail}${context ? ` (${context})` : ''}`, {
+        status,
+        type: ghostError.type || null,
+        code: ghostError.code || null,
+        context,
+        endpoint
+    });
+};
+
+/**
+ * Wraps a fetch failure (no answer received).
+ * @param {Error} err - Error thrown by fetch
+ * @param {string} endpoint - Admin API path
+ * @returns {GhostApiError}
+ */
+const errorFromNetwork = (err, endpoint) => {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+        return new GhostApiError('Ghost API timed out', { type: 'TimeoutError', code: 'ETIMEDOUT', endpoint });
+    }
+
+    const code = err.cause?.code || err.code || null;
+    return new GhostApiError(`Ghost API unreachable: ${err.cause?.message || err.message}`, {
+        type: 'NetworkError',
+        code,
+        endpoint
+    });
+};
+
+/**
+ * Decides whether a failed attempt is tried again.
+ * @param {string} method - HTTP method
+ * @param {GhostApiError} err - Failure of the attempt
+ * @returns {boolean}
+ */
+const shouldRetry = (method, err) => {
+    if (!err.retryable) {
+        return false;
+    }
+    return method !== 'POST' || UNSENT_ERROR_CODES.includes(err.code);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---------------------------------------------------------------------------
+// VERSIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a Ghost version as reported by the site endpoint.
+ * @param {string} raw - Version string (e.g. "6.3", "5.116.2", "v6.0")
+ * @returns {{major: number, minor: number}|null} Parsed version, or null if unreadable
+ */
+export const parseGhostVersion = (raw) => {
+    const match = String(raw ?? '').trim().match(/^v?(\d+)\.(\d+)/);
+    return match ? { major: Number(match[1]), minor: Number(match[2]) } : null;
+};
+
+// ---------------------------------------------------------------------------
+// CLIENT FACTORY
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a Ghost Admin API client.
+ * @param {Object} options
+ * @param {string} options.baseUrl - URL the bridge reaches Ghost on (e.g. http://ghost:2368)
+ * @param {string} options.publicUrl - Blog's public URL, sent as Host
+ * @param {string} options.adminKey - Admin API key (`id:secret`)
+ * @param {number} [options.timeout] - Milliseconds allowed per attempt
+ * @param {number} [options.retries] - Extra attempts after a retryable failure
+ * @param {number} [options.retryDelay] - Milliseconds before the first retry, doubled each time
+ * @param {string} [options.acceptVersion] - Accept-Version sent before negotiation (e.g. "v6.0")
+ * @returns {Object} Client with members, tiers, newsletters, labels, users, site,
+ *   negotiateVersion() and the negotiated version
+ * @throws {Error} If the Admin API key is malformed
+ *
+ * @example
+ * const ghost = createGhostApi({ baseUrl: 'http://ghost:2368', publicUrl: 'https://blog.example.com', adminKey });
+ * const [member] = await ghost.members.browse({ filter: nqlEquals('email', email) });
+ */
+export const createGhostApi = ({
+    baseUrl,
+    publicUrl,
+    adminKey,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    acceptVersion = null
+}) => {
+    if (!adminKey || !adminKey.includes(':')) {
+        log.error('Invalid GHOST_ADMIN_API_KEY format', { expected: 'id:secret' });
+        throw new Error('GHOST_ADMIN_API_KEY must be in format id:secret');
+    }
+
+    const [id, secret] = adminKey.split(':');
+    const publicHost = new URL(publicUrl).host;
+
+    // Set by negotiateVersion()
+    let pinnedVersion = acceptVersion;
+    let detected = null;
+
+    log.debug('Ghost API client initialized', {
+        baseUrl,
+        publicUrl,
+        keyId: id,
+        secretLength: secret?.length || 0,
+        timeout,
+        retries
+    });
+
+    // Generate JWT for Ghost Admin API authentication
+    const generateToken = () => jwt.sign({}, Buffer.from(secret, 'hex'), {
+        keyid: id,
+        algorithm: 'HS256',
+        expiresIn: '5m',
+        audience: '/admin/'
+    });
+
+    // -----------------------------------------------------------------------
+    // TRANSPORT
+    // -----------------------------------------------------------------------
+
+    /**
+     * Performs a single attempt.
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - Admin API path, with query string
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object|null>} Parsed answer, null for empty answers
+     * @throws {GhostApiError}
+     */
+    const send = async (method, endpoint, body) => {
+        const url = `${baseUrl}/ghost/api/admin${endpoint}`;
+
+        log.http('Ghost API request', { method, url, host: publicHost });
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeout),
+                headers: {
+                    'Authorization': `Ghost ${generateToken()}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Host': publicHost,
+                    'X-Forwarded-Proto': 'https',
+                    'X-Forwarded-Host': publicHost,
+                    ...(pinnedVersion && { 'Accept-Version': pinnedVersion })
+                },
+                ...(body !== undefined && { body: JSON.stringify(body) })
+            });
+        } catch (err) {
+            throw errorFromNetwork(err, endpoint);
+        }
+
+        log.http('Ghost API response', { status: response.status, statusText: response.statusText });
+
+        // Handle redirects as errors
+        if (response.status >= 300 && response.status < 400) {
+            const location = response.headers.get('location');
+            log.warn('Ghost API redirected', { location });
+            throw new GhostApiError(`Ghost redirected to: ${location}`, {
+                status: response.status,
+                type: 'RedirectError',
+                endpoint
+            });
+        }
+
+        const text = await response.text();
+
+        if (!response.ok) {
+            log.error('Ghost API error', { status: response.status, body: text.substring(0, 200) });
+            throw errorFromResponse(response.status, text, endpoint);
+        }
+
+        if (!text) {
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(text);
+            log.debug('Ghost API success', { endpoint });
+            return data;
+        } catch {
+            log.error('Ghost API returned invalid JSON', { bodyPreview: text.substring(0, 100) });
+            throw new GhostApiError('Ghost returned HTML instead of JSON', {
+                status: response.status,
+                type: 'InvalidResponseError',
+                endpoint
+            });
+        }
+    };
+
+    /**
+     * Performs a request, retrying retryable failures with backoff.
+     * @param {string} method - HTTP method
+     * @param {string} path - Admin API path
+     * @param {Object} [options]
+     * @param {Object} [options.params] - Query string parameters
+     * @param {Object} [options.body] - JSON body
+     * @returns {Promise<Object|null>} Parsed answer
+     * @throws {GhostApiError}
+     */
+    const request = async (method, path, { params, body } = {}) => {
+        const queryStr = params ? new URLSearchParams(params).toString() : '';
+        const endpoint = queryStr ? `${path}?${queryStr}` : path;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await send(method, endpoint, body);
+            } catch (err) {
+                if (attempt >= retries || !shouldRetry(method, err)) {
+                    throw err;
+                }
+
+                const delay = retryDelay * 2 ** attempt;
+                log.warn('Ghost API request failed, retrying', {
+                    method,
+                    endpoint: path,
+                    attempt: attempt + 1,
+                    delay,
+                    error: err.message
+                });
+                await sleep(delay);
+            }
+        }
+    };
+
+    // -----------------------------------------------------------------------
+    // RESOURCES
+    // -----------------------------------------------------------------------
+
+    const itemPath = (resource, itemId) => `/${resource}/${encodeURIComponent(itemId)}/`;
+
+    /**
+     * Reads the list held under `resource` in an answer.
+     * @param {Object|null} data - Parsed answer
+     * @param {string} resource - Resource name
+     * @returns {Array<Object>}
+     */
+    const listOf = (data, resource) => {
+        const items = data?.[resource] ?? [];
+
+        if (!Array.isArray(items)) {
+            throw new GhostApiError('Ghost API returned invalid response', {
+                type: 'InvalidResponseError',
+                endpoint: `/${resource}/`
+            });
+        }
+
+        return items;
+    };
+
+    /**
+     * List operations for a resource.
+     * @param {string} resource - Resource name
+     * @param {Object} [defaults] - Query parameters applied to every browse
+     * @returns {Object} browse(), browsePage(), pages() and browseAll()
+     */
+    const listOperations = (resource, defaults = {}) => {
+        const browsePage = async (params = {}) => {
+            const data = await request('GET', `/${resource}/`, { params: { ...defaults, ...params } });
+            return { items: listOf(data, resource), pagination: data?.meta?.pagination || null };
+        };
+
+        async function* pages(params = {}) {
+            let page = Number(params.page) || 1;
+
+            while (page) {
+                const { items, pagination } = await browsePage({ limit: PAGE_SIZE, ...params, page });
+                yield items;
+                page = pagination?.next || null;
+            }
+        }
+
+        return {
+            // First page only, as returned by Ghost
+            browse: async (params = {}) => (await browsePage(params)).items,
+            browsePage,
+            pages,
+            browseAll: async (params = {}) => {
+                const all = [];
+                for await (const items of pages(params)) {
+                    all.push(...items);
+                }
+                return all;
+            }
+        };
+    };
+
+    /**
+     * Single-record read for a resource.
+     * @param {string} resource - Resource name
+     * @returns {Function} async (id, params) => record
+     */
+    const readOperation = (resource) => async (itemId, params) => {
+        const data = await request('GET', itemPath(resource, itemId), { params });
+        return listOf(data, resource)[0];
+    };
+
+    /**
+     * Write operations for a resource.
+     * @param {string} resource - Resource name
+     * @returns {Object} add(), edit() and delete()
+     */
+    const writeOperations = (resource) => ({
+        add: async (record, params) => {
+            const data = await request('POST', `/${resource}/`, { params, body: { [resource]: [record] } });
+            return listOf(data, resource)[0];
+        },
+        edit: async (itemId, record, params) => {
+            const data = await request('PUT', itemPath(resource, itemId), { params, body: { [resource]: [record] } });
+            return listOf(data, resource)[0];
+        },
+        delete: async (itemId) => {
+            await request('DELETE', itemPath(resource, itemId));
+        }
+    });
+
+    return {
+        members: {
+            ...listOperations('members'),
+            read: readOperation('members'),
+            ...writeOperations('members'),
+
+            /**
+             * Asks Ghost for a one-time sign-in link for a member.
+             * @param {string} memberId - Ghost member ID
+             * @returns {Promise<string>} Magic link URL on the blog's public origin
+             * @throws {GhostApiError} If Ghost returns no URL
+             */
+            signinUrl: async (memberId) => {
+                const data = await request('GET', `${itemPath('members', memberId)}signin_urls/`);
+                const url = data?.member_signin_urls?.[0]?.url;
+
+                if (!url) {
+                    throw new GhostApiError('Ghost returned no member sign-in URL', {
+                        status: 200,
+                        type: 'InvalidResponseError',
+                        endpoint: '/members/signin_urls/'
+                    });
+                }
+                return url;
+            }
+        },
+        tiers: {
+            ...listOperations('tiers', { limit: 'all' }),
+            read: readOperation('tiers')
+        },
+        newsletters: {
+            ...listOperations('newsletters', { limit: 'all' }),
+            read: readOperation('newsletters')
+        },
+        labels: {
+            ...listOperations('labels', { limit: 'all' }),
+            read: readOperation('labels'),
+            ...writeOperations('labels')
+        },
+        users: {
+            ...listOperations('users'),
+            read: readOperation('users')
+        },
+        site: {
+            read: async () => (await request('GET', '/site/'))?.site || null
+        },
+
+        /**
+         * Asks Ghost for its version and pins Accept-Version to it.
+         * @returns {Promise<{version: string, major: number, minor: number, acceptVersion: string, supported: boolean}>}
+         * @throws {GhostApiError} If Ghost is unreachable or reports no usable version
+         */
+        negotiateVersion: async () => {
+            const site = (await request('GET', '/site/'))?.site;
+            const parsed = parseGhostVersion(site?.version);
+
+            if (!parsed) {
+                throw new GhostApiError(`Ghost reported no usable version ("${site?.version}")`, {
+                    status: 200,
+                    type: 'InvalidResponseError',
+                    endpoint: '/site/'
+                });
+            }
+
+            pinnedVersion = `v${parsed.major}.${parsed.minor}`;
+            detected = {
+                version: site.version,
+                ...parsed,
+                acceptVersion: pinnedVersion,
+                supported: SUPPORTED_GHOST_MAJORS.includes(parsed.major)
+            };
+            return detected;
+        },
+
+        // Result of the last negotiateVersion(), null before
+        get version() {
+            return detected;
+        }
+    };
+};
+
+// ---------------------------------------------------------------------------
+// SHARED CLIENT
+// ---------------------------------------------------------------------------
+
+let shared = null;
+
+/**
+ * Returns the client for the Ghost configured in the environment, created on
+ * first use so that the negotiated version is shared by the whole process.
+ * @returns {Object} Client from createGhostApi()
+ * @throws {Error} If the configuration is invalid
+ */
+export const getGhostApi = () => {
+    if (!shared) {
+        const publicUrl = (process.env.BLOG_PUBLIC_URL || '').replace(/\/$/, '');
+
+        shared = createGhostApi({
+            baseUrl: (process.env.GHOST_INTERNAL_URL || publicUrl).replace(/\/$/, ''),
+            publicUrl,
+            adminKey: process.env.GHOST_ADMIN_API_KEY,
+            timeout: envDuration('GHOST_API_TIMEOUT', DEFAULT_TIMEOUT),
+            retries: envInt('GHOST_API_RETRIES', DEFAULT_RETRIES)
+        });
+    }
+    return shared;
+};
+
+/**
+ * Negotiates the Ghost version at startup.
+ * In strict mode an unreachable Ghost or an unsupported major stops startup;
+ * otherwise the problem is logged and the bridge carries on (without
+ * Accept-Version when the version is unknown).
+ * @param {Object} ghost - Client from createGhostApi()
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Throw instead of warning
+ * @returns {Promise<Object|null>} Negotiated version, or null if unknown
+ * @throws {Error} In strict mode, when the version is unknown or unsupported
+ */
+export const detectGhostVersion = async (ghost, { strict = false } = {}) => {
+    let info;
+
+    try {
+        info = await ghost.negotiateVersion();
+    } catch (err) {
+        if (strict) {
+            throw new Error(`Ghost version could not be detected: ${err.message}`);
+        }
+        log.warn('Ghost version could not be detected, requests sent without Accept-Version', { error: err.message });
+        return null;
+    }
+
+    if (!info.supported) {
+        const message = `Ghost ${info.version} is not supported, expected major version ${SUPPORTED_GHOST_MAJORS.join(' or ')}`;
+
+        if (strict) {
+            throw new Error(message);
+        }
+        log.warn(`${message}; continuing because GHOST_VERSION_STRICT is off`, { acceptVersion: info.acceptVersion });
+        return info;
+    }
+
+    log.info('Ghost version detected', { version: info.version, acceptVersion: info.acceptVersion });
+    return info;
+};
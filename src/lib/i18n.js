@@ -0,0 +1,172 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// i18n.js
+// Translations for the pages shown by the bridge
+//
+// Purpose:
+//   - Holds the built-in message catalogs (English, French)
+//   - Picks the language of a page from the browser's Accept-Language header
+//
+// Key Functions:
+//   - parseAcceptLanguage(): Language tags of a header, preferred first
+//   - negotiateLocale(): Best available locale for a header
+//   - createTranslator(): Message lookup for one locale
+//
+// Characteristics:
+//   - Catalogs are flat: dotted keys to strings with {name} placeholders
+//   - Operators can add locales or override messages (see lib/templates.js);
+//     a missing message falls back to the default locale, then to English
+//   - fr-CA is served by fr when no fr-CA catalog exists
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// BUILT-IN CATALOGS
+// ---------------------------------------------------------------------------
+
+export const FALLBACK_LOCALE = 'en';
+
+export const MESSAGES = {
+    en: {
+        'page.tryAgain': 'Try again',
+        'page.backToSite': 'Back to the site',
+        'page.reference': 'Reference',
+
+        'redirecting.title': 'Signing you in…',
+        'redirecting.message': 'You are being sent on. If nothing happens, use the link below.',
+        'redirecting.continue': 'Continue',
+
+        'emailNotVerified.title': 'Verify your email address',
+        'emailNotVerified.message': 'Your email address has not been verified yet. Open the verification link sent by our sign-in service, or check your address in your account, then sign in again.',
+        'emailNotVerified.messageWithEmail': 'The address {email} has not been verified yet. Open the verification link sent by our sign-in service, or check your address in your account, then sign in again.',
+        'emailNotVerified.manageAccount': 'Manage my account',
+        'emailNotVerified.signInAgain': 'Sign in again',
+
+        'error.access_denied.title': 'Sign-in cancelled',
+        'error.access_denied.message': 'The sign-in was cancelled or access was refused. You can try again whenever you are ready.',
+        'error.login_required.title': 'Sign-in required',
+        'error.login_required.message': 'You are not signed in to the sign-in service. Sign in to continue.',
+        'error.temporarily_unavailable.title': 'Sign-in temporarily unavailable',
+        'error.temporarily_unavailable.message': 'The sign-in service is busy or under maintenance. Please try again in a few minutes.',
+        'error.invalid_state.title': 'Sign-in expired',
+        'error.invalid_state.message': 'This sign-in attempt expired or was already used. Please start again.',
+        'error.identity_conflict.title': 'Account already linked',
+        'error.identity_conflict.message': 'This account is already linked to another sign-in identity. Please contact the site administrator.',
+        'error.user_not_found.title': 'No staff account',
+        'error.user_not_found.message': 'No staff account matches your identity. Ask an administrator to invite you, then try again.',
+        'error.generic.title': 'Sign-in failed',
+        'error.generic.message': 'Something went wrong while signing you in. Please try again; if it keeps failing, contact the site administrator.'
+    },
+    fr: {
+        'page.tryAgain': 'Réessayer',
+        'page.backToSite': 'Retour au site',
+        'page.reference': 'Référence',
+
+        'redirecting.title': 'Connexion en cours…',
+        'redirecting.message': 'Vous allez être redirigé. Si rien ne se passe, utilisez le lien ci-dessous.',
+        'redirecting.continue': 'Continuer',
+
+        'emailNotVerified.title': 'Vérifiez votre adresse e-mail',
+        'emailNotVerified.message': 'Votre adresse e-mail n’a pas encore été vérifiée. Ouvrez le lien de vérification envoyé par notre service de connexion, ou vérifiez votre adresse dans votre compte, puis reconnectez-vous.',
+        'emailNotVerified.messageWithEmail': 'L’adresse {email} n’a pas encore été vérifiée. Ouvrez le lien de vérification envoyé par notre service de connexion, ou vérifiez votre adresse dans votre compte, puis reconnectez-vous.',
+        'emailNotVerified.manageAccount': 'Gérer mon compte',
+        'emailNotVerified.signInAgain': 'Se reconnecter',
+
+        'error.access_denied.title': 'Connexion annulée',
+        'error.access_denied.message': 'La connexion a été annulée ou l’accès a été refusé. Vous pouvez réessayer quand vous le souhaitez.',
+        'error.login_required.title': 'Connexion requise',
+        'error.login_required.message': 'Vous n’êtes pas connecté au service de connexion. Connectez-vous pour continuer.',
+        'error.temporarily_unavailable.title': 'Connexion momentanément indisponible',
+        'error.temporarily_unavailable.message': 'Le service de connexion est surchargé ou en maintenance. Réessayez dans quelques minutes.',
+        'error.invalid_state.title': 'Connexion expirée',
+        'error.invalid_state.message': 'Cette tentative de connexion a expiré ou a déjà été utilisée. Veuillez recommencer.',
+        'error.identity_conflict.title': 'Compte déjà associé',
+        'error.identity_conflict.message': 'Ce compte est déjà associé à une autre identité de connexion. Contactez l’administrateur du site.',
+        'error.user_not_found.title': 'Aucun compte équipe',
+        'error.user_not_found.message': 'Aucun compte de l’équipe ne correspond à votre identité. Demandez une invitation à un administrateur, puis réessayez.',
+        'error.generic.title': 'Échec de la connexion',
+        'error.generic.message': 'Un problème est survenu pendant votre connexion. Réessayez ; si le problème persiste, contactez l’administrateur du site.'
+    }
+};
+
+// ---------------------------------------------------------------------------
+// NEGOTIATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists the language tags of an Accept-Language header, preferred first.
+ * @param {string} [header] - Accept-Language header value
+ * @returns {string[]} Lowercased tags; `*` and tags with q=0 are dropped
+ *
+ * @example
+ * parseAcceptLanguage('en;q=0.5, fr-CA, fr;q=0.8'); // ['fr-ca', 'fr', 'en']
+ */
+export const parseAcceptLanguage = (header) => {
+    if (typeof header !== 'string') {
+        return [];
+    }
+
+    return header
+        .split(',')
+        .map((entry, index) => {
+            const [tag, ...params] = entry.trim().split(';');
+            const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            const quality = qParam ? Number(qParam.slice(2)) : 1;
+
+            return { tag: tag.trim().toLowerCase(), quality: Number.isFinite(quality) ? quality : 0, index };
+        })
+        .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index)
+        .map(({ tag }) => tag);
+};
+
+/**
+ * Picks the best available locale for an Accept-Language header.
+ * @param {string} [header] - Accept-Language header value
+ * @param {string[]} available - Locales with a catalog
+ * @param {string} fallback - Locale used when nothing matches
+ * @returns {string} One of `available`, or `fallback`
+ */
+export const negotiateLocale = (header, available, fallback) => {
+    const byTag = new Map(available.map(locale => [locale.toLowerCase(), locale]));
+
+    for (const tag of parseAcceptLanguage(header)) {
+        const match = byTag.get(tag) || byTag.get(tag.split('-')[0]);
+        if (match) {
+            return match;
+        }
+    }
+
+    return fallback;
+};
+
+// ---------------------------------------------------------------------------
+// TRANSLATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates the message lookup of one locale.
+ * @param {Object<string, Object<string, string>>} catalogs - Messages by locale
+ * @param {string} locale - Locale of the page
+ * @param {string} [defaultLocale] - Locale used for messages missing in `locale`
+ * @returns {Function} (key, vars) => string; unknown keys are returned as is
+ *
+ * @example
+ * const t = createTranslator(MESSAGES, 'fr');
+ * t('emailNotVerified.messageWithEmail', { email: 'jane@example.com' });
+ */
+export const createTranslator = (catalogs, locale, defaultLocale = FALLBACK_LOCALE) => {
+    const chain = [catalogs[locale], catalogs[defaultLocale], catalogs[FALLBACK_LOCALE]].filter(Boolean);
+
+    return (key, vars = {}) => {
+        const catalog = chain.find(messages => typeof messages[key] === 'string');
+
+        if (!catalog) {
+            return key;
+        }
+
+        return catalog[key].replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (vars[name] === undefined || vars[name] === null ? placeholder : String(vars[name])));
+    };
+};
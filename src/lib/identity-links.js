@@ -0,0 +1,130 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// identity-links.js
+// Persistent Keycloak subject to Ghost member/user links
+//
+// Purpose:
+//   - Remembers which Ghost member or staff user belongs to which Keycloak
+//     subject (sub), so logins survive email changes in Keycloak
+//   - Keeps email matching as a one-time fallback used to create the link
+//
+// Key Functions:
+//   - ensureIdentityLinks(): Creates the link table if missing
+//   - findLinkedId(): Ghost ID linked to a Keycloak subject
+//   - linkIdentity(): Links a subject to a Ghost ID
+//   - unlinkIdentity(): Removes a link whose Ghost record is gone
+//
+// Characteristics:
+//   - Table keycloak_bridge_identities lives in the Ghost database but is
+//     never read by Ghost itself
+//   - One link per subject and one subject per Ghost record, per realm: a
+//     Ghost record already linked to another subject is never re-linked
+//   - Table creation is lazy and retried until it succeeds (createTableOnce()
+//     from db.js)
+// ============================================================================
+
+import { query, createTableOnce } from './db.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('identity-links');
+
+// ---------------------------------------------------------------------------
+// SCHEMA
+// ---------------------------------------------------------------------------
+
+const CREATE_TABLE = `CREATE TABLE IF NOT EXISTS keycloak_bridge_identities (
+    realm VARCHAR(16) NOT NULL,
+    sub VARCHAR(255) NOT NULL,
+    ghost_id VARCHAR(24) NOT NULL,
+    created_at DATETIME NOT NULL,
+    PRIMARY KEY (realm, sub),
+    UNIQUE KEY kbi_realm_ghost (realm, ghost_id)
+)`;
+
+/**
+ * Creates the link table if it does not exist yet.
+ * Safe to call repeatedly; a failed attempt is retried on the next call.
+ * @returns {Promise<void>}
+ */
+export const ensureIdentityLinks = createTableOnce(CREATE_TABLE);
+
+// ---------------------------------------------------------------------------
+// ERRORS
+// ---------------------------------------------------------------------------
+
+/**
+ * Raised when a Ghost record is already linked to another Keycloak subject,
+ * e.g. a second Keycloak account using the same email address.
+ */
+export class IdentityConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IdentityConflictError';
+    }
+}
+
+// ---------------------------------------------------------------------------
+// OPERATIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Looks up the Ghost record linked to a Keycloak subject.
+ * @param {string} realm - 'member' or 'staff'
+ * @param {string} sub - Keycloak subject
+ * @returns {Promise<string|null>} Ghost members.id / users.id, or null
+ */
+export const findLinkedId = async (realm, sub) => {
+    await ensureIdentityLinks();
+
+    const rows = await query(
+        'SELECT ghost_id FROM keycloak_bridge_identities WHERE realm = ? AND sub = ?',
+        [realm, sub]
+    );
+
+    return rows.length > 0 ? rows[0].ghost_id : null;
+};
+
+/**
+ * Links a Keycloak subject to a Ghost record.
+ * Succeeds silently if that exact link already exists.
+ * @param {string} realm - 'member' or 'staff'
+ * @param {string} sub - Keycloak subject
+ * @param {string} ghostId - Ghost members.id / users.id
+ * @returns {Promise<void>}
+ * @throws {IdentityConflictError} If either side is already linked elsewhere
+ */
+export const linkIdentity = async (realm, sub, ghostId) => {
+    await ensureIdentityLinks();
+
+    try {
+        await query(
+            'INSERT INTO keycloak_bridge_identities (realm, sub, ghost_id, created_at) VALUES (?, ?, ?, ?)',
+            [realm, sub, ghostId, new Date()]
+        );
+        log.info('Identity linked', { realm, ghostId });
+    } catch (err) {
+        if (err.code !== 'ER_DUP_ENTRY') {
+            throw err;
+        }
+
+        // Concurrent login of the same subject is fine, anything else is not
+        if (await findLinkedId(realm, sub) !== ghostId) {
+            log.warn('Identity link refused, Ghost record linked to another subject', { realm, ghostId });
+            throw new IdentityConflictError('This account is already linked to another Keycloak user');
+        }
+    }
+};
+
+/**
+ * Removes the link of a Keycloak subject.
+ * @param {string} realm - 'member' or 'staff'
+ * @param {string} sub - Keycloak subject
+ * @returns {Promise<void>}
+ */
+export const unlinkIdentity = async (realm, sub) => {
+    await ensureIdentityLinks();
+    await query('DELETE FROM keycloak_bridge_identities WHERE realm = ? AND sub = ?', [realm, sub]);
+    log.info('Identity unlinked', { realm });
+};
@@ -0,0 +1,115 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// login-errors.js
+// User-facing pages for failed logins
+//
+// Purpose:
+//   - Turns OIDC error responses (access_denied, login_required, ...) and
+//     bridge failures into a page the user can act on
+//   - Gives every failure a correlation ID shown to the user and logged, so
+//     a support request can be matched to the log line
+//
+// Key Functions:
+//   - createCorrelationId(): New ID for one failed login
+//   - readCorrelationId(): Validated ID carried in a query string
+//   - readOidcError(): OIDC error parameters of a callback, if any
+//   - loginErrorPage(): Page description for an error code
+//
+// Characteristics:
+//   - Pages offer links, never automatic redirects: a user who cancelled at
+//     Keycloak cannot be sent back into a login loop
+//   - Unknown codes get a generic page; error_description is logged, not shown
+// ============================================================================
+
+import crypto from 'crypto';
+
+// ---------------------------------------------------------------------------
+// ERROR CATALOG
+// ---------------------------------------------------------------------------
+// OIDC error codes (RFC 6749 4.1.2.1, OIDC Core 3.1.2.6) and bridge codes
+// used in /auth/admin/login?error=... Titles and messages are the
+// error.<code>.title / error.<code>.message keys of lib/i18n.js.
+
+const LOGIN_ERRORS = {
+    access_denied: { status: 403, template: 'access-denied' },
+    login_required: { status: 401, template: 'error' },
+    temporarily_unavailable: { status: 503, template: 'error' },
+    invalid_state: { status: 400, template: 'error' },
+    identity_conflict: { status: 409, template: 'access-denied' },
+    user_not_found: { status: 403, template: 'access-denied' }
+};
+
+const GENERIC_ERROR = { status: 500, template: 'error' };
+
+// ---------------------------------------------------------------------------
+// CORRELATION IDS
+// ---------------------------------------------------------------------------
+
+const CORRELATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Creates the correlation ID of a failed login.
+ * @returns {string} Random UUID
+ */
+export const createCorrelationId = () => crypto.randomUUID();
+
+/**
+ * Reads a correlation ID passed along in a query string.
+ * @param {*} value - Query parameter value
+ * @returns {string|null} The ID, or null if missing or malformed
+ */
+export const readCorrelationId = (value) =>
+    (typeof value === 'string' && CORRELATION_ID_PATTERN.test(value) ? value : null);
+
+// ---------------------------------------------------------------------------
+// OIDC ERROR RESPONSES
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads the error parameters of an authorization response.
+ * @param {Object} params - Callback query parameters
+ * @returns {{error: string, description: (string|null)}|null} Error, or null for a successful response
+ */
+export const readOidcError = (params) => {
+    if (typeof params.error !== 'string' || !params.error) {
+        return null;
+    }
+
+    return {
+        error: params.error,
+        description: typeof params.error_description === 'string' ? params.error_description : null
+    };
+};
+
+// ---------------------------------------------------------------------------
+// PAGES
+// ---------------------------------------------------------------------------
+
+/**
+ * Describes the page shown for a failed login.
+ * @param {Object} options
+ * @param {string} options.code - OIDC or bridge error code
+ * @param {string|null} [options.correlationId] - ID shown to the user
+ * @param {string} options.retryUrl - Login route to start over
+ * @param {string} [options.homeUrl] - Where to go instead
+ * @returns {Object} Page description for lib/templates.js
+ */
+export const loginErrorPage = ({ code, correlationId, retryUrl, homeUrl }) => {
+    const known = Object.hasOwn(LOGIN_ERRORS, code);
+    const { status, template } = known ? LOGIN_ERRORS[code] : GENERIC_ERROR;
+    const key = known ? code : 'generic';
+
+    return {
+        template,
+        status,
+        title: `error.${key}.title`,
+        message: `error.${key}.message`,
+        links: [
+            { href: retryUrl, label: 'page.tryAgain' },
+            ...(homeUrl ? [{ href: homeUrl, label: 'page.backToSite' }] : [])
+        ],
+        reference: correlationId || undefined
+    };
+};
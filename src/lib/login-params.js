@@ -0,0 +1,100 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// login-params.js
+// Authorization parameters forwarded from /login query strings
+//
+// Purpose:
+//   - Lets themes pass IdP hints ("Continue with Google"), login hints,
+//     locales, prompt and max_age through the bridge's /login routes
+//   - Keeps every other query parameter out of the authorization request
+//
+// Key Functions:
+//   - parseLoginParams(): Parses a realm's allowlist of forwarded parameters
+//   - pickLoginParams(): Allowed, valid parameters of a /login request
+//
+// Characteristics:
+//   - Each realm has its own allowlist (MEMBER_LOGIN_PARAMS, STAFF_LOGIN_PARAMS)
+//   - Values are checked against each parameter's syntax; invalid values are
+//     dropped and the login goes on without them
+//   - prompt=none and prompt=create are reserved for /silent and
+//     action=signup, which manage their own flows
+//   - kc_idp_hint can be limited to known identity provider aliases
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// PARAMETERS
+// ---------------------------------------------------------------------------
+
+// Value checks per forwarded parameter
+const PARAM_CHECKS = {
+    // Keycloak identity provider alias
+    kc_idp_hint: value => /^[A-Za-z0-9._-]{1,64}$/.test(value),
+    // Usually an email or username; printable, bounded
+    login_hint: value => value.length <= 254 && !/[\u0000-\u001f\u007f]/.test(value),
+    // Space-separated BCP 47 tags (OIDC Core 3.1.2.1)
+    ui_locales: value => value.length <= 64 && /^[A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*( [A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*)*$/.test(value),
+    // Interactive prompts only
+    prompt: value => ['login', 'consent', 'select_account'].includes(value),
+    // Seconds since the last authentication
+    max_age: value => /^\d{1,9}$/.test(value)
+};
+
+export const LOGIN_PARAMS = Object.keys(PARAM_CHECKS);
+
+/**
+ * Parses the list of parameters a realm forwards.
+ * @param {Array<string>} names - Parameter names, e.g. from envList()
+ * @returns {Set<string>} Allowed parameter names
+ * @throws {Error} If a name is not a supported parameter
+ *
+ * @example
+ * parseLoginParams(envList('MEMBER_LOGIN_PARAMS', LOGIN_PARAMS));
+ */
+export const parseLoginParams = (names) => {
+    for (const name of names) {
+        if (!LOGIN_PARAMS.includes(name)) {
+            throw new Error(`Unsupported login parameter "${name}", expected one of ${LOGIN_PARAMS.join(', ')}`);
+        }
+    }
+    return new Set(names);
+};
+
+// ---------------------------------------------------------------------------
+// SELECTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Picks the parameters of a /login request that may be forwarded to Keycloak.
+ * @param {Object} query - Request query parameters
+ * @param {Set<string>} allowed - Result of parseLoginParams()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.idpHints] - Accepted kc_idp_hint values (empty: any alias)
+ * @returns {{params: Object<string, string>, rejected: Array<string>}} Parameters to
+ *   forward, and names of allowed parameters dropped for an invalid value
+ */
+export const pickLoginParams = (query, allowed, { idpHints = [] } = {}) => {
+    const params = {};
+    const rejected = [];
+
+    for (const name of allowed) {
+        const value = query[name];
+
+        if (value === undefined) {
+            continue;
+        }
+
+        const valid = typeof value === 'string'
+            && PARAM_CHECKS[name](value)
+            && (name !== 'kc_idp_hint' || idpHints.length === 0 || idpHints.includes(value));
+
+        if (valid) {
+            params[name] = value;
+        } else {
+            rejected.push(name);
+        }
+    }
+
+    return { params, rejected };
+};
@@ -0,0 +1,80 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// mappings.js
+// Keycloak role/group mapping strings and Ghost object lookups
+//
+// Purpose:
+//   - Parses the `keycloakRoleOrGroup=value` strings shared by
+//     STAFF_ROLE_MAPPING, MEMBER_LABEL_MAPPING and MEMBER_TIER_MAPPING
+//   - Finds the Ghost objects (tiers, newsletters) those settings refer to
+//
+// Key Functions:
+//   - parseGroupMapping(): Parses a mapping string into a lookup table
+//   - findBySlugOrName(): Finds a Ghost object by slug or name
+//
+// Characteristics:
+//   - Entries split on the last "=", so group paths and role names may
+//     contain "=" themselves
+//   - Blank entries are skipped; malformed ones stop the bridge with the
+//     offending entry in the message
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION PARSING
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses a mapping string into a lookup table.
+ * A role or group may appear several times; its values are kept in order.
+ * @param {string} raw - Comma-separated `keycloakRoleOrGroup=value` pairs
+ * @param {Object} options
+ * @param {string} options.kind - Setting name used in errors (e.g. 'label')
+ * @param {string} options.expected - Entry shape used in errors (e.g. 'group=Label')
+ * @returns {Map<string, Array<string>>} Keycloak role/group to values
+ * @throws {Error} If an entry is malformed
+ *
+ * @example
+ * parseGroupMapping('/audiences/students=Students', { kind: 'label', expected: 'group=Label' });
+ */
+export const parseGroupMapping = (raw, { kind, expected }) => {
+    const mapping = new Map();
+
+    if (!raw || !raw.trim()) {
+        return mapping;
+    }
+
+    for (const entry of raw.split(',')) {
+        if (!entry.trim()) {
+            continue;
+        }
+
+        const separator = entry.lastIndexOf('=');
+        const source = entry.substring(0, separator).trim();
+        const value = entry.substring(separator + 1).trim();
+
+        if (separator === -1 || !source || !value) {
+            throw new Error(`Invalid ${kind} mapping entry "${entry.trim()}", expected ${expected}`);
+        }
+
+        mapping.set(source, [...(mapping.get(source) || []), value]);
+    }
+
+    return mapping;
+};
+
+// ---------------------------------------------------------------------------
+// LOOKUP
+// ---------------------------------------------------------------------------
+
+/**
+ * Finds a Ghost object by slug or name (case-insensitive).
+ * @param {Array<Object>} items - Ghost objects ({ id, slug, name })
+ * @param {string} reference - Slug or name from the configuration
+ * @returns {Object|undefined} Matching object
+ */
+export const findBySlugOrName = (items, reference) => {
+    const wanted = reference.toLowerCase();
+    return items.find(item => item.slug?.toLowerCase() === wanted || item.name?.toLowerCase() === wanted);
+};
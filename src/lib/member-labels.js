@@ -0,0 +1,91 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// member-labels.js
+// Keycloak role/group to Ghost member label mapping
+//
+// Purpose:
+//   - Derives Ghost member labels from Keycloak roles and groups in the ID token
+//   - Computes the label set to write back on every member login
+//
+// Key Functions:
+//   - parseLabelMapping(): Parses the MEMBER_LABEL_MAPPING configuration string
+//   - resolveMemberLabels(): Labels granted by a set of claims
+//   - reconcileLabels(): Merges granted labels into a member's current labels
+//
+// Characteristics:
+//   - Roles and groups are read with extractKeycloakRoles() from staff-roles.js
+//   - Mapping syntax is shared with roles and tiers (mappings.js)
+//   - Labels not named in the mapping are never removed (manual labels survive)
+//   - Label names are compared case-insensitively, as Ghost does
+// ============================================================================
+
+import { extractKeycloakRoles } from './staff-roles.js';
+import { parseGroupMapping } from './mappings.js';
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION PARSING
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses a label mapping string into a lookup table.
+ * A role or group may appear several times to grant several labels.
+ * @param {string} raw - Comma-separated `keycloakRoleOrGroup=Label` pairs
+ * @returns {Map<string, Array<string>>} Keycloak role/group to label names
+ * @throws {Error} If an entry is malformed
+ *
+ * @example
+ * parseLabelMapping('/audiences/students=Students,partner=Partners');
+ */
+export const parseLabelMapping = (raw) => parseGroupMapping(raw, { kind: 'label', expected: 'group=Label' });
+
+// ---------------------------------------------------------------------------
+// RESOLUTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the labels granted by a member's Keycloak roles and groups.
+ * @param {Object} claims - ID token claims
+ * @param {Map<string, Array<string>>} mapping - Result of parseLabelMapping()
+ * @param {string} clientId - OIDC client whose client roles are considered
+ * @returns {Array<string>} Granted label names, without duplicates
+ */
+export const resolveMemberLabels = (claims, mapping, clientId) => {
+    const keycloakRoles = extractKeycloakRoles(claims, clientId);
+    const labels = new Map();
+
+    for (const [source, targets] of mapping) {
+        if (keycloakRoles.has(source)) {
+            targets.forEach(label => labels.set(label.toLowerCase(), label));
+        }
+    }
+
+    return [...labels.values()];
+};
+
+/**
+ * Computes a member's label set after applying granted labels.
+ * @param {Array<Object|string>} current - Member's labels (Ghost objects or names)
+ * @param {Array<string>} granted - Result of resolveMemberLabels()
+ * @param {Object} options
+ * @param {Map<string, Array<string>>} options.mapping - Managed labels come from here
+ * @param {boolean} options.removeStale - Drop managed labels no longer granted
+ * @returns {Array<string>|null} New label names, or null if nothing changes
+ */
+export const reconcileLabels = (current, granted, { mapping, removeStale }) => {
+    const currentNames = (current || []).map(label => (typeof label === 'string' ? label : label.name));
+    const has = (names, label) => names.some(name => name.toLowerCase() === label.toLowerCase());
+
+    const managed = [...mapping.values()].flat();
+    const kept = removeStale
+        ? currentNames.filter(name => !has(managed, name) || has(granted, name))
+        : currentNames;
+    const added = granted.filter(label => !has(kept, label));
+
+    if (added.length === 0 && kept.length === currentNames.length) {
+        return null;
+    }
+
+    return [...kept, ...added];
+};
@@ -0,0 +1,121 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// member-newsletters.js
+// Newsletter subscriptions and consent record for SSO-provisioned members
+//
+// Purpose:
+//   - Chooses the newsletters a member created by the bridge is subscribed to
+//   - Follows a Keycloak opt-in attribute when one is configured
+//   - Writes the consent source and timestamp into the member note
+//
+// Key Functions:
+//   - parseOptIn(): Reads a Keycloak attribute value as yes/no/unknown
+//   - resolveNewsletterSignup(): Newsletters and note for a new member
+//
+// Characteristics:
+//   - Newsletters are referenced by slug or name (case-insensitive)
+//   - Without a configured list, opted-in members get Ghost's default
+//     newsletters (those with "subscribe on signup")
+//   - A configured opt-in attribute that is missing or false means no
+//     subscription at all
+//   - Only applied when a member is created; later logins never resubscribe
+// ============================================================================
+
+import { findBySlugOrName } from './mappings.js';
+
+// ---------------------------------------------------------------------------
+// OPT-IN PARSING
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads an opt-in attribute value as carried in Keycloak claims.
+ * Keycloak user attributes arrive as strings, booleans or single-value arrays.
+ * @param {*} value - Claim value
+ * @returns {boolean|null} true/false, or null if missing or unrecognized
+ */
+export const parseOptIn = (value) => {
+    const single = Array.isArray(value) ? value[0] : value;
+
+    if (typeof single === 'boolean') {
+        return single;
+    }
+
+    const normalized = String(single ?? '').trim().toLowerCase();
+
+    if (['true', '1', 'yes', 'on'].includes(normalized)) {
+        return true;
+    }
+    if (['false', '0', 'no', 'off'].includes(normalized)) {
+        return false;
+    }
+
+    return null;
+};
+
+// ---------------------------------------------------------------------------
+// SIGNUP RESOLUTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Decides newsletter subscriptions and the consent note for a new member.
+ * @param {Object} claims - ID token claims
+ * @param {Object} options
+ * @param {Array<string>} options.references - Configured newsletter slugs or names
+ * @param {string|null} options.optInClaim - Claim holding the opt-in, or null
+ * @param {Array<Object>} options.newsletters - Ghost newsletters ({ id, slug, name })
+ * @param {Date} [options.now] - Consent timestamp
+ * @returns {{newsletters: (Array<string>|undefined), note: string, unknown: Array<string>}|null}
+ *   Newsletter IDs (undefined = Ghost defaults), the note line and
+ *   references matching no newsletter; null when nothing is configured
+ */
+export const resolveNewsletterSignup = (claims, { references, optInClaim, newsletters, now = new Date() }) => {
+    if (!optInClaim && references.length === 0) {
+        return null;
+    }
+
+    const unknown = [];
+    const selected = [];
+
+    for (const reference of references) {
+        const newsletter = findBySlugOrName(newsletters, reference);
+
+        if (newsletter) {
+            selected.push(newsletter);
+        } else {
+            unknown.push(reference);
+        }
+    }
+
+    const at = now.toISOString();
+    const names = selected.map(newsletter => newsletter.name).join(', ') || 'none';
+
+    if (optInClaim) {
+        const optIn = parseOptIn(claims[optInClaim]);
+        const source = `Keycloak attribute ${optInClaim}`;
+
+        if (optIn !== true) {
+            const answer = optIn === false ? 'declined' : 'no consent given';
+            return {
+                newsletters: [],
+                note: `Newsletters: ${answer} (${source}) on ${at} via SSO signup`,
+                unknown
+            };
+        }
+
+        // Without a configured list Ghost applies its own signup defaults
+        const useDefaults = references.length === 0;
+        return {
+            newsletters: useDefaults ? undefined : selected.map(newsletter => newsletter.id),
+            note: `Newsletters: opted in (${source}) on ${at} via SSO signup; subscribed to ${useDefaults ? 'Ghost defaults' : names}`,
+            unknown
+        };
+    }
+
+    return {
+        newsletters: selected.map(newsletter => newsletter.id),
+        note: `Newsletters: subscribed by site default (MEMBER_NEWSLETTERS) on ${at} via SSO signup; subscribed to ${names}`,
+        unknown
+    };
+};
@@ -0,0 +1,127 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// member-profile.js
+// Ghost member profile fields derived from Keycloak claims
+//
+// Purpose:
+//   - Maps ID token claims onto Ghost member profile fields
+//   - Computes the fields that differ, so unchanged profiles cost no write
+//
+// Key Functions:
+//   - parseProfileMapping(): Parses the MEMBER_PROFILE_MAPPING configuration
+//   - profileFromClaims(): Ghost profile values carried by the claims
+//   - profileChanges(): Fields whose Ghost value differs from Keycloak
+//
+// Characteristics:
+//   - Only name and expertise (shown next to comments) can be mapped
+//   - The special claim "name" falls back to given_name + family_name
+//   - Missing or empty claims never blank out a Ghost value
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+// Ghost member fields the bridge may write
+export const PROFILE_FIELDS = ['name', 'expertise'];
+
+const DEFAULT_MAPPING = 'name=name';
+
+/**
+ * Parses a profile mapping string into a lookup table.
+ * @param {string} [raw] - Comma-separated `ghostField=claim` pairs, defaults to `name=name`
+ * @returns {Map<string, string>} Ghost field to claim name
+ * @throws {Error} If an entry is malformed or targets an unsupported field
+ *
+ * @example
+ * parseProfileMapping('name=name,expertise=job_title');
+ */
+export const parseProfileMapping = (raw) => {
+    const mapping = new Map();
+    const source = raw && raw.trim() ? raw : DEFAULT_MAPPING;
+
+    for (const entry of source.split(',')) {
+        if (!entry.trim()) {
+            continue;
+        }
+
+        const [field, claim, extra] = entry.split('=').map(part => part.trim());
+
+        if (!field || !claim || extra !== undefined) {
+            throw new Error(`Invalid profile mapping entry "${entry.trim()}", expected ghostField=claim`);
+        }
+        if (!PROFILE_FIELDS.includes(field)) {
+            throw new Error(`Unsupported member field "${field}", expected one of ${PROFILE_FIELDS.join(', ')}`);
+        }
+
+        mapping.set(field, claim);
+    }
+
+    return mapping;
+};
+
+// ---------------------------------------------------------------------------
+// PROFILE RESOLUTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a claim as a trimmed string.
+ * @param {Object} claims - ID token claims
+ * @param {string} claim - Claim name
+ * @returns {string|null} Value, or null if missing or empty
+ */
+const claimValue = (claims, claim) => {
+    let value = claims[claim];
+
+    if (claim === 'name' && !value) {
+        value = [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+    }
+    if (Array.isArray(value)) {
+        value = value[0];
+    }
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    return String(value).trim() || null;
+};
+
+/**
+ * Builds the Ghost profile values carried by a set of claims.
+ * @param {Object} claims - ID token claims
+ * @param {Map<string, string>} mapping - Result of parseProfileMapping()
+ * @returns {Object} Ghost field values (fields without a claim value are omitted)
+ */
+export const profileFromClaims = (claims, mapping) => {
+    const profile = {};
+
+    for (const [field, claim] of mapping) {
+        const value = claimValue(claims, claim);
+        if (value !== null) {
+            profile[field] = value;
+        }
+    }
+
+    return profile;
+};
+
+/**
+ * Returns the profile fields whose Ghost value differs from Keycloak.
+ * @param {Object} member - Ghost member
+ * @param {Object} claims - ID token claims
+ * @param {Map<string, string>} mapping - Result of parseProfileMapping()
+ * @returns {Object|null} Changed fields, or null if the profile is up to date
+ */
+export const profileChanges = (member, claims, mapping) => {
+    const changes = {};
+
+    for (const [field, value] of Object.entries(profileFromClaims(claims, mapping))) {
+        if ((member[field] ?? null) !== value) {
+            changes[field] = value;
+        }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+};
@@ -0,0 +1,94 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// member-session.js
+// Signed bridge session describing the Keycloak identity of a member browser
+//
+// Purpose:
+//   - Remembers, after a member login, which Keycloak identity the browser
+//     is linked to, so themes and front-end apps can ask (/auth/member/me)
+//
+// Key Functions:
+//   - createMemberSession(): Session payload built from ID token claims
+//   - readMemberSession(): Verified, unexpired session from a cookie value
+//   - memberStatus(): JSON answer of /auth/member/me
+//
+// Characteristics:
+//   - Stored in a signed cookie (lib/signed-cookies.js) scoped to /auth/member:
+//     the raw ID token is never read back or exposed
+//   - Signed, not encrypted: it only holds what the status endpoint returns
+//   - Roles are a snapshot of the last login, dated by authenticatedAt
+// ============================================================================
+
+import { sealCookie, openCookie } from './signed-cookies.js';
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+export const MEMBER_SESSION_COOKIE = 'kc_member_session';
+
+// ---------------------------------------------------------------------------
+// SESSION
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the bridge session of a member login.
+ * @param {Object} claims - ID token claims
+ * @param {number} maxAge - Session lifetime in milliseconds
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{session: Object, cookie: string}} Payload and its signed cookie value
+ */
+export const createMemberSession = (claims, maxAge, now = Date.now()) => {
+    const roles = claims.realm_access?.roles;
+
+    const session = {
+        sub: claims.sub,
+        email: claims.email,
+        roles: Array.isArray(roles) ? roles.filter(role => typeof role === 'string') : [],
+        authenticatedAt: now,
+        expiresAt: now + maxAge
+    };
+
+    return { session, cookie: sealCookie(session) };
+};
+
+/**
+ * Reads the bridge session from its cookie value.
+ * @param {string} [value] - Cookie value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} Session, or null if missing, tampered or expired
+ */
+export const readMemberSession = (value, now = Date.now()) => {
+    const session = openCookie(value);
+
+    if (!session || typeof session.sub !== 'string' || !(session.expiresAt > now)) {
+        return null;
+    }
+    return session;
+};
+
+/**
+ * Builds the status answered by /auth/member/me.
+ * @param {Object|null} session - Result of readMemberSession()
+ * @param {boolean} ghostSession - Whether Ghost's member session cookie is present
+ * @returns {Object} Status JSON
+ *
+ * @example
+ * memberStatus(null, false); // { linked: false, ghostSession: false }
+ */
+export const memberStatus = (session, ghostSession) => {
+    if (!session) {
+        return { linked: false, ghostSession };
+    }
+
+    return {
+        linked: true,
+        sub: session.sub,
+        email: session.email ?? null,
+        roles: session.roles ?? [],
+        authenticatedAt: new Date(session.authenticatedAt).toISOString(),
+        ghostSession
+    };
+};
@@ -0,0 +1,111 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// member-tiers.js
+// Keycloak role/group to Ghost tier (complimentary subscription) mapping
+//
+// Purpose:
+//   - Grants complimentary access to Ghost tiers from Keycloak roles/groups,
+//     for readers whose paid access comes from outside Stripe
+//   - Revokes that access when the role or group disappears
+//
+// Key Functions:
+//   - parseTierMapping(): Parses the MEMBER_TIER_MAPPING configuration string
+//   - resolveTierGrants(): Tier IDs granted and managed for a set of claims
+//   - planTierChanges(): Member's new tier set, or null if unchanged
+//
+// Characteristics:
+//   - Tiers are referenced by slug or name (case-insensitive)
+//   - Tiers named in the mapping are managed: a complimentary subscription to
+//     them exists exactly while a matching role/group does
+//   - Tiers not named in the mapping are never changed
+//   - Members with a paid (Stripe) subscription are left alone
+// ============================================================================
+
+import { extractKeycloakRoles } from './staff-roles.js';
+import { parseGroupMapping, findBySlugOrName } from './mappings.js';
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION PARSING
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses a tier mapping string into a lookup table.
+ * A role or group may appear several times to grant several tiers.
+ * @param {string} raw - Comma-separated `keycloakRoleOrGroup=tier-slug-or-name` pairs
+ * @returns {Map<string, Array<string>>} Keycloak role/group to tier references
+ * @throws {Error} If an entry is malformed
+ *
+ * @example
+ * parseTierMapping('contract-reader=premium,/partners=Partner Access');
+ */
+export const parseTierMapping = (raw) => parseGroupMapping(raw, { kind: 'tier', expected: 'role=tier' });
+
+// ---------------------------------------------------------------------------
+// RESOLUTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolves which tiers a member's claims grant.
+ * @param {Object} claims - ID token claims
+ * @param {Map<string, Array<string>>} mapping - Result of parseTierMapping()
+ * @param {string} clientId - OIDC client whose client roles are considered
+ * @param {Array<Object>} tiers - Ghost tiers ({ id, slug, name })
+ * @returns {{granted: Set<string>, managed: Set<string>, unknown: Array<string>}}
+ *   Granted tier IDs, every tier ID named in the mapping, and references
+ *   that match no Ghost tier
+ */
+export const resolveTierGrants = (claims, mapping, clientId, tiers) => {
+    const keycloakRoles = extractKeycloakRoles(claims, clientId);
+    const granted = new Set();
+    const managed = new Set();
+    const unknown = [];
+
+    for (const [source, references] of mapping) {
+        for (const reference of references) {
+            const tier = findBySlugOrName(tiers, reference);
+
+            if (!tier) {
+                unknown.push(reference);
+                continue;
+            }
+
+            managed.add(tier.id);
+            if (keycloakRoles.has(source)) {
+                granted.add(tier.id);
+            }
+        }
+    }
+
+    return { granted, managed, unknown };
+};
+
+/**
+ * Computes a member's tier set after applying grants and revocations.
+ * @param {Object} member - Ghost member ({ status, tiers })
+ * @param {Set<string>} granted - Tier IDs the member should have
+ * @param {Set<string>} managed - Tier IDs controlled by the mapping
+ * @returns {{tiers: Array<string>, added: Array<string>, removed: Array<string>}|null}
+ *   New tier IDs with the difference, or null if nothing changes or the
+ *   member pays through Stripe
+ */
+export const planTierChanges = (member, granted, managed) => {
+    if (member.status === 'paid') {
+        return null;
+    }
+
+    const current = (member.tiers || []).map(tier => tier.id);
+    const removed = current.filter(id => managed.has(id) && !granted.has(id));
+    const added = [...granted].filter(id => !current.includes(id));
+
+    if (added.length === 0 && removed.length === 0) {
+        return null;
+    }
+
+    return {
+        tiers: [...current.filter(id => !removed.includes(id)), ...added],
+        added,
+        removed
+    };
+};
@@ -0,0 +1,80 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// nql.js
+// Builder for Ghost NQL filter expressions
+//
+// Purpose:
+//   - Builds the `filter` parameter of Ghost Admin API browse calls without
+//     string interpolation, so user data can never change the query
+//
+// Key Functions:
+//   - nqlValue(): Literal for a value (strings quoted and escaped)
+//   - nqlEquals(): field:value clause
+//
+// Characteristics:
+//   - Strings are always single-quoted; backslashes and quotes are escaped
+//     with a backslash, so commas, +, brackets and operators stay literal
+//   - Field names are checked against a strict pattern, never escaped
+//   - Unicode passes through untouched; URL encoding is left to the caller
+//     (URLSearchParams)
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// VALUES
+// ---------------------------------------------------------------------------
+
+// Ghost resource fields, optionally dotted for relations (labels.slug)
+const FIELD_PATTERN = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/i;
+
+/**
+ * Checks a field name before it is written into a filter.
+ * @param {string} field - Ghost field name
+ * @returns {string} The field
+ * @throws {Error} If the field is not a plain (dotted) identifier
+ */
+const checkField = (field) => {
+    if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+        throw new Error(`Invalid NQL field "${field}"`);
+    }
+    return field;
+};
+
+/**
+ * Converts a value into an NQL literal.
+ * @param {string|number|boolean|null} value - Value to match
+ * @returns {string} NQL literal
+ * @throws {Error} If the value is of an unsupported type
+ *
+ * @example
+ * nqlValue("o'brien@example.com"); // 'o\'brien@example.com'
+ */
+export const nqlValue = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+        return String(value);
+    }
+    if (typeof value !== 'string') {
+        throw new Error(`Unsupported NQL value type "${typeof value}"`);
+    }
+
+    return `'${value.replace(/[\\']/g, char => `\\${char}`)}'`;
+};
+
+// ---------------------------------------------------------------------------
+// CLAUSES
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds an equality clause.
+ * @param {string} field - Ghost field name
+ * @param {string|number|boolean|null} value - Value to match
+ * @returns {string} NQL clause
+ *
+ * @example
+ * nqlEquals('email', 'jane+news@example.com'); // email:'jane+news@example.com'
+ */
+export const nqlEquals = (field, value) => `${checkField(field)}:${nqlValue(value)}`;
@@ -0,0 +1,65 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// pages.js
+// Pages shown to users by the bridge
+//
+// Purpose:
+//   - Explains to a user why a login was refused, instead of a bare error
+//   - Offers links to continue (back to Keycloak, back to the blog)
+//
+// Key Functions:
+//   - emailNotVerifiedPage(): Page shown when Keycloak has not verified the email
+//   - redirectingPage(): Body of the bridge's redirects
+//
+// Characteristics:
+//   - Functions describe pages (template, status, message keys, links); the
+//     HTML is produced by lib/templates.js in the reader's language
+//   - Titles, messages and link labels are keys of the lib/i18n.js catalogs
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// PAGES
+// ---------------------------------------------------------------------------
+
+/**
+ * Describes the page shown when a login is refused for an unverified email.
+ * @param {Object} options
+ * @param {string} [options.email] - Address awaiting verification
+ * @param {string} options.accountUrl - Keycloak account console of the realm
+ * @param {string} options.retryUrl - Bridge login route to start over
+ * @returns {Object} Page description for lib/templates.js
+ *
+ * @example
+ * pages.send(req, res, emailNotVerifiedPage({
+ *     email: claims.email,
+ *     accountUrl: `${metadata.issuer}/account/`,
+ *     retryUrl: '/auth/member/login'
+ * }));
+ */
+export const emailNotVerifiedPage = ({ email, accountUrl, retryUrl }) => ({
+    template: 'access-denied',
+    status: 403,
+    title: 'emailNotVerified.title',
+    message: email ? 'emailNotVerified.messageWithEmail' : 'emailNotVerified.message',
+    vars: { email },
+    links: [
+        { href: accountUrl, label: 'emailNotVerified.manageAccount' },
+        { href: retryUrl, label: 'emailNotVerified.signInAgain' }
+    ]
+});
+
+/**
+ * Describes the body of a redirect, shown by clients that do not follow it.
+ * @param {string} url - Destination
+ * @returns {Object} Page description for lib/templates.js
+ */
+export const redirectingPage = (url) => ({
+    template: 'redirecting',
+    status: 302,
+    title: 'redirecting.title',
+    message: 'redirecting.message',
+    links: [{ href: url, label: 'redirecting.continue' }],
+    redirectUrl: url
+});
@@ -0,0 +1,98 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// return-to.js
+// Validation of post-login return destinations
+//
+// Purpose:
+//   - Lets login routes send users back to the page they started from
+//   - Prevents open redirects through user-supplied return parameters
+//
+// Key Functions:
+//   - resolveReturnTo(): Normalizes a candidate path or rejects it
+//
+// Characteristics:
+//   - Only destinations on the blog (same origin, under the blog's own path)
+//     and under an allowlisted path prefix pass
+//   - Relative values resolve against the blog URL, so blogs served from a
+//     subdirectory (https://example.com/blog) work
+//   - Bridge endpoints (/auth/*) are always refused to avoid login loops
+//   - Returns an absolute URL or null
+// ============================================================================
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('return-to');
+
+// ---------------------------------------------------------------------------
+// PATH MATCHING
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks whether a pathname falls under an allowlisted prefix.
+ * Prefixes match on segment boundaries: "/blog" allows "/blog" and
+ * "/blog/post" but not "/blogger".
+ * @param {string} pathname - Normalized URL pathname
+ * @param {string} prefix - Allowlisted path prefix
+ * @returns {boolean} True if the path is allowed
+ */
+const matchesPrefix = (pathname, prefix) => {
+    if (prefix.endsWith('/')) {
+        return pathname.startsWith(prefix);
+    }
+    return pathname === prefix || pathname.startsWith(prefix + '/');
+};
+
+// ---------------------------------------------------------------------------
+// RESOLVER
+// ---------------------------------------------------------------------------
+
+/**
+ * Validates a user-supplied return destination.
+ * @param {string} value - Raw returnTo value (relative path or absolute URL)
+ * @param {string} blogUrl - Public blog URL defining the allowed origin and path
+ * @param {Array<string>} allowedPaths - Allowlisted path prefixes
+ * @returns {string|null} Safe absolute destination, or null if rejected
+ *
+ * @example
+ * resolveReturnTo('/blog/my-post/', 'https://example.com/blog', ['/']);
+ * // 'https://example.com/blog/my-post/'
+ */
+export const resolveReturnTo = (value, blogUrl, allowedPaths) => {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    let target;
+    let blog;
+    try {
+        blog = new URL(blogUrl.endsWith('/') ? blogUrl : blogUrl + '/');
+        target = new URL(value, blog);
+    } catch (e) {
+        log.debug('Return destination rejected (unparseable)');
+        return null;
+    }
+
+    if (target.origin !== blog.origin) {
+        log.warn('Return destination rejected (cross-origin)', { origin: target.origin });
+        return null;
+    }
+
+    if (!matchesPrefix(target.pathname, blog.pathname) && target.pathname + '/' !== blog.pathname) {
+        log.warn('Return destination rejected (outside the blog)', { path: target.pathname });
+        return null;
+    }
+
+    if (matchesPrefix(target.pathname, '/auth')) {
+        log.debug('Return destination rejected (bridge path)', { path: target.pathname });
+        return null;
+    }
+
+    if (!allowedPaths.some(prefix => matchesPrefix(target.pathname, prefix))) {
+        log.warn('Return destination rejected (not allowlisted)', { path: target.pathname });
+        return null;
+    }
+
+    return target.href;
+};
@@ -0,0 +1,102 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// session-lifetime.js
+// Expiry of bridge-created Ghost sessions, derived from the Keycloak login
+//
+// Purpose:
+//   - Decides how long a Ghost admin session created by the bridge lives
+//   - Lets that lifetime follow the Keycloak session instead of a constant
+//
+// Key Functions:
+//   - parseLifetimeSource(): Validates the configured lifetime source
+//   - resolveSessionExpiry(): Computes the expiry for one login
+//
+// Characteristics:
+//   - Sources: fixed (max age from now), auth_time (max age from the Keycloak
+//     authentication), id_token (ID token exp), refresh_token (Keycloak's
+//     refresh_expires_in, i.e. the SSO session idle timeout)
+//   - The configured max age always caps the result
+//   - Missing claims fall back to the fixed lifetime
+// ============================================================================
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('session-lifetime');
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+export const LIFETIME_SOURCES = ['fixed', 'auth_time', 'id_token', 'refresh_token'];
+
+// Shortest session ever issued, so a nearly-ended SSO session cannot produce
+// a Ghost session that is already expired when the browser receives it
+const MIN_LIFETIME = 60000; // 1 minute
+
+/**
+ * Validates a lifetime source name.
+ * @param {string} [raw] - Configured value, defaults to 'fixed'
+ * @returns {string} One of LIFETIME_SOURCES
+ * @throws {Error} If the source is unknown
+ */
+export const parseLifetimeSource = (raw) => {
+    const source = (raw || 'fixed').trim().toLowerCase();
+
+    if (!LIFETIME_SOURCES.includes(source)) {
+        throw new Error(`Unknown session lifetime source "${raw}", expected one of: ${LIFETIME_SOURCES.join(', ')}`);
+    }
+
+    return source;
+};
+
+// ---------------------------------------------------------------------------
+// EXPIRY RESOLUTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the source-specific end of the session, or null if unavailable.
+ * @param {string} source - Lifetime source
+ * @param {Object} tokenSet - Token endpoint response
+ * @param {Object} claims - ID token claims
+ * @param {number} maxAge - Configured max age in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Expiry timestamp in milliseconds
+ */
+const sourceExpiry = (source, tokenSet, claims, maxAge, now) => {
+    switch (source) {
+        case 'auth_time':
+            return claims.auth_time ? claims.auth_time * 1000 + maxAge : null;
+        case 'id_token':
+            return claims.exp ? claims.exp * 1000 : null;
+        case 'refresh_token':
+            // 0 means an offline token, which has no SSO session to follow
+            return tokenSet.refresh_expires_in > 0 ? now + tokenSet.refresh_expires_in * 1000 : null;
+        default:
+            return now + maxAge;
+    }
+};
+
+/**
+ * Computes when a Ghost session created for this login must expire.
+ * @param {Object} tokenSet - Token endpoint response (refresh_expires_in)
+ * @param {Object} claims - ID token claims (auth_time, exp)
+ * @param {Object} options
+ * @param {string} options.source - One of LIFETIME_SOURCES
+ * @param {number} options.maxAge - Upper bound in milliseconds
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Date} Session expiry
+ */
+export const resolveSessionExpiry = (tokenSet, claims, { source, maxAge, now = Date.now() }) => {
+    let expiry = sourceExpiry(source, tokenSet, claims, maxAge, now);
+
+    if (expiry === null) {
+        log.warn('Session lifetime source unavailable, using max age', { source });
+        expiry = now + maxAge;
+    }
+
+    const capped = Math.min(expiry, now + maxAge);
+
+    return new Date(Math.max(capped, now + MIN_LIFETIME));
+};
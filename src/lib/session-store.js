@@ -0,0 +1,193 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// session-store.js
+// Tracking of Ghost sessions created by the bridge, keyed by Keycloak identity
+//
+// Purpose:
+//   - Records which Keycloak subject (sub) and session (sid) produced which
+//     Ghost staff session or member sign-in
+//   - Lets logout flows find and revoke the matching Ghost state later
+//
+// Key Functions:
+//   - ensureSessionStore(): Creates the tracking table if missing
+//   - recordSession(): Stores a new sub/sid -> Ghost session link
+//   - findSessions(): Looks up links by sid (preferred) or sub
+//   - forgetSessions(): Removes links once revoked
+//   - forgetGhostSession(): Removes the link of a Ghost session ended by logout
+//   - sweepExpiredSessions(): Deletes expired bridge-created Ghost sessions
+//   - startSessionSweeper(): Runs the sweep periodically
+//
+// Characteristics:
+//   - Table keycloak_bridge_sessions lives in the Ghost database but is never
+//     read by Ghost itself
+//   - Table creation is lazy and retried until it succeeds (createTableOnce()
+//     from db.js)
+//   - Rows carry their own expiry so stale links can be swept
+//   - Only sessions recorded here are swept; sessions created by Ghost's own
+//     password login are never touched
+// ============================================================================
+
+import { query, createTableOnce } from './db.js';
+import { generateObjectId } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('session-store');
+
+// ---------------------------------------------------------------------------
+// SCHEMA
+// ---------------------------------------------------------------------------
+
+const CREATE_TABLE = `CREATE TABLE IF NOT EXISTS keycloak_bridge_sessions (
+    id VARCHAR(24) NOT NULL PRIMARY KEY,
+    realm VARCHAR(16) NOT NULL,
+    sub VARCHAR(255) NOT NULL,
+    sid VARCHAR(255) NULL,
+    ghost_id VARCHAR(24) NOT NULL,
+    ghost_session_id VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL,
+    INDEX kbs_realm_sub (realm, sub),
+    INDEX kbs_realm_sid (realm, sid),
+    INDEX kbs_ghost_session (ghost_session_id)
+)`;
+
+/**
+ * Creates the tracking table if it does not exist yet.
+ * Safe to call repeatedly; a failed attempt is retried on the next call.
+ * @returns {Promise<void>}
+ */
+export const ensureSessionStore = createTableOnce(CREATE_TABLE);
+
+// ---------------------------------------------------------------------------
+// OPERATIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Records a Ghost session created for a Keycloak login.
+ * @param {Object} entry
+ * @param {string} entry.realm - 'member' or 'staff'
+ * @param {string} entry.sub - Keycloak subject
+ * @param {string} [entry.sid] - Keycloak session ID
+ * @param {string} entry.ghostId - Ghost users.id or members.id
+ * @param {string} [entry.ghostSessionId] - Ghost sessions.session_id (staff only)
+ * @param {Date} entry.expiresAt - When the Ghost session stops being valid
+ * @returns {Promise<void>}
+ */
+export const recordSession = async ({ realm, sub, sid, ghostId, ghostSessionId, expiresAt }) => {
+    await ensureSessionStore();
+    await query(
+        `INSERT INTO keycloak_bridge_sessions (id, realm, sub, sid, ghost_id, ghost_session_id, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [generateObjectId(), realm, sub, sid || null, ghostId, ghostSessionId || null, new Date(), expiresAt]
+    );
+    log.debug('Session recorded', { realm, hasSid: !!sid });
+};
+
+/**
+ * Finds tracked sessions for a Keycloak session or subject.
+ * When a sid is given only that session matches, otherwise every session
+ * of the subject does.
+ * @param {string} realm - 'member' or 'staff'
+ * @param {Object} identity
+ * @param {string} [identity.sid] - Keycloak session ID
+ * @param {string} [identity.sub] - Keycloak subject
+ * @returns {Promise<Array<{id: string, ghost_id: string, ghost_session_id: string|null}>>}
+ */
+export const findSessions = async (realm, { sid, sub }) => {
+    await ensureSessionStore();
+
+    if (sid) {
+        return query(
+            'SELECT id, ghost_id, ghost_session_id FROM keycloak_bridge_sessions WHERE realm = ? AND sid = ?',
+            [realm, sid]
+        );
+    }
+
+    return query(
+        'SELECT id, ghost_id, ghost_session_id FROM keycloak_bridge_sessions WHERE realm = ? AND sub = ?',
+        [realm, sub]
+    );
+};
+
+/**
+ * Removes tracked sessions by row ID.
+ * @param {Array<string>} ids - keycloak_bridge_sessions.id values
+ * @returns {Promise<void>}
+ */
+export const forgetSessions = async (ids) => {
+    if (ids.length === 0) {
+        return;
+    }
+
+    await ensureSessionStore();
+    await query(
+        `DELETE FROM keycloak_bridge_sessions WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+};
+
+/**
+ * Removes the tracked session of a Ghost session deleted by the bridge.
+ * @param {string} ghostSessionId - Ghost sessions.session_id
+ * @returns {Promise<void>}
+ */
+export const forgetGhostSession = async (ghostSessionId) => {
+    await ensureSessionStore();
+    await query('DELETE FROM keycloak_bridge_sessions WHERE ghost_session_id = ?', [ghostSessionId]);
+};
+
+// ---------------------------------------------------------------------------
+// EXPIRY SWEEPER
+// ---------------------------------------------------------------------------
+// Ghost does not delete expired rows from its sessions table, so the bridge
+// removes the ones it created once their expiry has passed.
+
+/**
+ * Deletes expired bridge-created Ghost sessions and their tracking rows.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of Ghost sessions deleted
+ */
+export const sweepExpiredSessions = async (now = new Date()) => {
+    await ensureSessionStore();
+
+    const result = await query(
+        `DELETE FROM sessions WHERE session_id IN (
+            SELECT ghost_session_id FROM keycloak_bridge_sessions
+            WHERE realm = 'staff' AND expires_at <= ? AND ghost_session_id IS NOT NULL
+        )`,
+        [now]
+    );
+    await query('DELETE FROM keycloak_bridge_sessions WHERE expires_at <= ?', [now]);
+
+    const deleted = result?.affectedRows || 0;
+    if (deleted > 0) {
+        log.info('Expired staff sessions swept', { deleted });
+    }
+
+    return deleted;
+};
+
+/**
+ * Starts the periodic expiry sweep.
+ * @param {number} interval - Milliseconds between sweeps, 0 disables the sweeper
+ * @returns {Function} Stops the sweeper
+ */
+export const startSessionSweeper = (interval) => {
+    if (!interval) {
+        log.info('Session sweeper disabled');
+        return () => {};
+    }
+
+    const sweep = () => sweepExpiredSessions().catch((err) => {
+        log.error('Session sweep failed', { error: err.message });
+    });
+
+    const timer = setInterval(sweep, interval);
+    timer.unref();
+    sweep();
+
+    log.info('Session sweeper started', { intervalMs: interval });
+    return () => clearInterval(timer);
+};
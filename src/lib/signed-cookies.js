@@ -0,0 +1,134 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// signed-cookies.js
+// Tamper-proof cookie payloads for the bridge's own cookies
+//
+// Purpose:
+//   - Serializes small JSON payloads into signed cookie values
+//   - Encrypts payloads that must stay unreadable in the browser
+//   - Verifies and decodes them on later requests
+//
+// Key Functions:
+//   - sealCookie(): JSON payload -> signed base64url string
+//   - openCookie(): Signed string -> JSON payload (or null if invalid)
+//   - encryptCookie(): JSON payload -> encrypted base64url string
+//   - decryptCookie(): Encrypted string -> JSON payload (or null if invalid)
+//
+// Characteristics:
+//   - HMAC-SHA256 via cookie-signature, keyed with BRIDGE_COOKIE_SECRET
+//   - Signed payloads are readable: store secrets with encryptCookie() only
+//   - AES-256-GCM with a key derived (HKDF) from BRIDGE_COOKIE_SECRET; the
+//     GCM tag makes encrypted values tamper-proof as well
+//   - Without a configured secret a random one is generated at startup,
+//     which invalidates cookies on restart and breaks multi-replica setups
+// ============================================================================
+
+import crypto from 'crypto';
+import cookieSignature from 'cookie-signature';
+import { createLogger } from './logger.js';
+
+const log = createLogger('signed-cookies');
+
+// ---------------------------------------------------------------------------
+// SECRET
+// ---------------------------------------------------------------------------
+
+const secret = process.env.BRIDGE_COOKIE_SECRET || (() => {
+    log.warn('BRIDGE_COOKIE_SECRET not set, using an ephemeral secret');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+// Separate key for encryption, so signing and encryption never share one
+const encryptionKey = Buffer.from(
+    crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'ghost-keycloak-bridge cookie encryption', 32)
+);
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// ---------------------------------------------------------------------------
+// SEAL / OPEN
+// ---------------------------------------------------------------------------
+
+/**
+ * Signs a JSON-serializable payload for storage in a cookie.
+ * @param {Object} data - Payload to store
+ * @returns {string} Signed cookie value (<base64url-json>.<signature>)
+ */
+export const sealCookie = (data) => {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return cookieSignature.sign(payload, secret);
+};
+
+/**
+ * Verifies and decodes a value produced by sealCookie().
+ * @param {string} value - Signed cookie value
+ * @returns {Object|null} Decoded payload, or null if missing, tampered or malformed
+ */
+export const openCookie = (value) => {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    const payload = cookieSignature.unsign(value, secret);
+
+    if (payload === false) {
+        log.debug('Cookie signature rejected');
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (e) {
+        log.debug('Cookie payload malformed');
+        return null;
+    }
+};
+
+// ---------------------------------------------------------------------------
+// ENCRYPT / DECRYPT
+// ---------------------------------------------------------------------------
+
+/**
+ * Encrypts a JSON-serializable payload for storage in a cookie.
+ * @param {Object} data - Payload to store (may hold secrets)
+ * @returns {string} Encrypted cookie value (base64url of iv | tag | ciphertext)
+ */
+export const encryptCookie = (data) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data)), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+/**
+ * Decrypts and decodes a value produced by encryptCookie().
+ * @param {string} value - Encrypted cookie value
+ * @returns {Object|null} Decoded payload, or null if missing, tampered or malformed
+ */
+export const decryptCookie = (value) => {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    const raw = Buffer.from(value, 'base64url');
+
+    if (raw.length <= IV_LENGTH + TAG_LENGTH) {
+        log.debug('Encrypted cookie too short');
+        return null;
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, raw.subarray(0, IV_LENGTH));
+        decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        const plaintext = Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+
+        return JSON.parse(plaintext.toString());
+    } catch (e) {
+        log.debug('Encrypted cookie rejected');
+        return null;
+    }
+};
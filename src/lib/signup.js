@@ -0,0 +1,82 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// signup.js
+// Registration hints for /auth/member/login?action=signup
+//
+// Purpose:
+//   - Asks Keycloak to show its registration form instead of the login form
+//   - Checks at startup that the realm can honour the configured hint
+//
+// Key Functions:
+//   - signupParams(): Authorization parameters requesting registration
+//   - checkSignupSupport(): Problem with the realm's metadata, if any
+//
+// Characteristics:
+//   - prompt (default): OIDC `prompt=create`, advertised by Keycloak in
+//     prompt_values_supported
+//   - kc_action: Keycloak's `kc_action=register` on the standard
+//     /protocol/openid-connect/auth endpoint
+//   - A realm that ignores the hint shows the plain login form, which is
+//     why support is checked once at startup (MEMBER_SIGNUP_STRICT turns an
+//     unsupported or unconfirmed hint into a startup error)
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// MODES
+// ---------------------------------------------------------------------------
+
+export const SIGNUP_MODES = ['prompt', 'kc_action'];
+
+const SIGNUP_PARAMS = {
+    prompt: { prompt: 'create' },
+    kc_action: { kc_action: 'register' }
+};
+
+// Keycloak's authorization endpoint: <issuer>/protocol/openid-connect/auth
+const KEYCLOAK_AUTH_PATH = /\/protocol\/openid-connect\/auth$/;
+
+/**
+ * Returns the authorization parameters that request registration.
+ * @param {string} mode - One of SIGNUP_MODES
+ * @returns {Object} Parameters to add to the authorization request
+ */
+export const signupParams = (mode) => ({ ...SIGNUP_PARAMS[mode] });
+
+// ---------------------------------------------------------------------------
+// STARTUP CHECK
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks whether the realm advertises support for the signup hint.
+ * @param {Object} metadata - OIDC discovery metadata
+ * @param {string} mode - One of SIGNUP_MODES
+ * @returns {{supported: (boolean|null), reason: (string|undefined)}}
+ *   supported is null when the metadata does not tell
+ */
+export const checkSignupSupport = (metadata, mode) => {
+    if (mode === 'prompt') {
+        const promptValues = metadata.prompt_values_supported;
+
+        if (!Array.isArray(promptValues)) {
+            return { supported: null, reason: 'prompt_values_supported is not advertised' };
+        }
+        if (!promptValues.includes('create')) {
+            return { supported: false, reason: `prompt_values_supported is ${JSON.stringify(promptValues)}, without "create"` };
+        }
+        return { supported: true };
+    }
+
+    let endpointPath;
+    try {
+        endpointPath = new URL(metadata.authorization_endpoint).pathname;
+    } catch {
+        endpointPath = '';
+    }
+
+    if (!KEYCLOAK_AUTH_PATH.test(endpointPath)) {
+        return { supported: false, reason: `authorization endpoint "${metadata.authorization_endpoint}" is not a Keycloak endpoint` };
+    }
+    return { supported: true };
+};
@@ -0,0 +1,79 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// silent-sso.js
+// Silent sign-in of readers who already have a Keycloak session
+//
+// Purpose:
+//   - Signs readers into Ghost without a click when they are already signed
+//     in to Keycloak through another application (prompt=none)
+//   - Provides the theme script that starts the check once per browser session
+//
+// Key Functions:
+//   - isQuietError(): Whether an OIDC error only means "no usable session"
+//   - silentSsoScript(): Script served at /auth/member/silent.js
+//
+// Characteristics:
+//   - prompt=none never shows a Keycloak screen: the reader either comes back
+//     signed in, or comes back unchanged
+//   - The check runs as a top-level redirect, not an iframe, so it keeps
+//     working when browsers block third-party cookies
+//   - A session cookie set by /auth/member/silent stops the script from
+//     starting the check again until the browser is closed
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION
+// ---------------------------------------------------------------------------
+
+// Set by /auth/member/silent, read by the theme script
+export const SILENT_SSO_COOKIE = 'kc_member_silent';
+
+// OIDC errors answering prompt=none when Keycloak would need to show a screen
+// (OIDC Core 3.1.2.6): the reader simply is not signed in
+const QUIET_ERRORS = ['login_required', 'interaction_required', 'consent_required', 'account_selection_required'];
+
+/**
+ * Tells whether an OIDC error only means that no silent sign-in is possible.
+ * @param {string} code - OIDC error code
+ * @returns {boolean} True for errors expected from prompt=none
+ */
+export const isQuietError = (code) => QUIET_ERRORS.includes(code);
+
+// ---------------------------------------------------------------------------
+// THEME SCRIPT
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the script a theme includes to run the silent check.
+ * The script asks Ghost whether a member is signed in (204 from the member
+ * API means nobody is) and, if not, sends the reader through the silent
+ * check, back to the current page. The page is sent as its full path from
+ * the origin root, the form resolveReturnTo() expects.
+ * @param {Object} options
+ * @param {string} options.silentPath - Path of the silent check route
+ * @param {string} [options.memberApiPath] - Path of Ghost's member API, under
+ *   the blog's own path on subdirectory installs
+ * @returns {string} JavaScript source
+ *
+ * @example
+ * // In the theme's default.hbs
+ * <script src="/auth/member/silent.js" defer></script>
+ */
+export const silentSsoScript = ({ silentPath, memberApiPath = '/members/api/member/' }) => `(function () {
+    var cookie = ${JSON.stringify(SILENT_SSO_COOKIE)};
+    if (!navigator.cookieEnabled || document.cookie.split('; ').indexOf(cookie + '=1') !== -1 || !window.fetch) {
+        return;
+    }
+    fetch(${JSON.stringify(memberApiPath)}, { credentials: 'same-origin' }).then(function (response) {
+        if (response.status !== 204) {
+            // Signed in already (or Ghost unavailable): nothing to do this session
+            document.cookie = cookie + '=1; path=/; SameSite=Lax';
+            return;
+        }
+        var here = location.pathname + location.search + location.hash;
+        location.replace(${JSON.stringify(silentPath)} + '?returnTo=' + encodeURIComponent(here));
+    }).catch(function () {});
+})();
+`;
@@ -0,0 +1,103 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// site-branding.js
+// Blog title and accent color used on the bridge's pages
+//
+// Purpose:
+//   - Reads the site title and accent color from Ghost, so bridge pages look
+//     like they belong to the blog
+//
+// Key Functions:
+//   - readSiteBranding(): Branding values from a Ghost site object
+//   - getSiteBranding(): Branding currently in use
+//   - refreshSiteBranding(): Reloads the branding from the Admin API
+//   - startSiteBrandingRefresh(): Reloads it periodically
+//
+// Characteristics:
+//   - Loaded in the background, never while rendering: error pages must still
+//     render when Ghost is the thing that is down
+//   - The accent color ends up in CSS, so only #rgb / #rrggbb values are kept
+//   - A failed refresh keeps the last known branding
+// ============================================================================
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('site-branding');
+
+// ---------------------------------------------------------------------------
+// BRANDING
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_ACCENT_COLOR = '#15171a';
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+let branding = { title: null, accentColor: DEFAULT_ACCENT_COLOR };
+
+/**
+ * Extracts the branding from Ghost's site settings.
+ * @param {Object|null} site - Result of the Admin API `site.read()`
+ * @returns {{title: (string|null), accentColor: string}} Title (null when
+ *   blank) and a safe CSS color
+ */
+export const readSiteBranding = (site) => {
+    const title = typeof site?.title === 'string' && site.title.trim() ? site.title.trim() : null;
+    const accentColor = typeof site?.accent_color === 'string' && HEX_COLOR.test(site.accent_color)
+        ? site.accent_color
+        : DEFAULT_ACCENT_COLOR;
+
+    return { title, accentColor };
+};
+
+/**
+ * Returns the branding currently in use.
+ * @returns {{title: (string|null), accentColor: string}}
+ */
+export const getSiteBranding = () => branding;
+
+/**
+ * Replaces the branding in use.
+ * @param {Object|null} site - Ghost site settings
+ */
+export const setSiteBranding = (site) => {
+    branding = readSiteBranding(site);
+};
+
+// ---------------------------------------------------------------------------
+// REFRESH
+// ---------------------------------------------------------------------------
+
+/**
+ * Reloads the branding from Ghost, keeping the current one on failure.
+ * @param {Object} ghost - Ghost Admin API client (lib/ghost-api.js)
+ * @returns {Promise<void>}
+ */
+export const refreshSiteBranding = async (ghost) => {
+    try {
+        setSiteBranding(await ghost.site.read());
+        log.debug('Site branding loaded', branding);
+    } catch (err) {
+        log.warn('Site branding could not be loaded, keeping the previous one', { error: err.message });
+    }
+};
+
+/**
+ * Loads the branding now, then every `interval` milliseconds.
+ * @param {Object} ghost - Ghost Admin API client
+ * @param {number} interval - Milliseconds between refreshes, 0 to load once
+ * @returns {Function} Stops the periodic refresh
+ */
+export const startSiteBrandingRefresh = (ghost, interval) => {
+    refreshSiteBranding(ghost);
+
+    if (!interval) {
+        return () => {};
+    }
+
+    const timer = setInterval(() => refreshSiteBranding(ghost), interval);
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
@@ -0,0 +1,178 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// staff-roles.js
+// Keycloak role/group to Ghost staff role mapping
+//
+// Purpose:
+//   - Derives a Ghost staff role from Keycloak roles and groups in the ID token
+//   - Applies that role to Ghost's roles_users table on every admin login
+//
+// Key Functions:
+//   - toGhostRole(): Validates a configured Ghost role name
+//   - parseRoleMapping(): Parses the STAFF_ROLE_MAPPING configuration string
+//   - extractKeycloakRoles(): Collects realm roles, client roles and groups
+//   - resolveGhostRole(): Picks the most privileged mapped Ghost role
+//   - syncStaffRole(): Writes the role to roles_users (Owner is never touched)
+//
+// Characteristics:
+//   - Only Administrator, Editor, Author and Contributor can be assigned
+//   - When several mappings match, the most privileged role wins
+//   - The new role is inserted before old ones are removed (no role-less window)
+// ============================================================================
+
+import { query } from './db.js';
+import { generateObjectId } from './utils.js';
+import { parseGroupMapping } from './mappings.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('staff-roles');
+
+// ---------------------------------------------------------------------------
+// GHOST ROLES
+// ---------------------------------------------------------------------------
+// Assignable roles, most privileged first. Owner is deliberately absent:
+// ownership is transferred inside Ghost, never from Keycloak.
+
+export const GHOST_ROLES = ['Administrator', 'Editor', 'Author', 'Contributor'];
+
+// ---------------------------------------------------------------------------
+// CONFIGURATION PARSING
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalizes a configured role name to its canonical Ghost spelling.
+ * @param {string} name - Role name, case-insensitive (e.g., 'editor')
+ * @returns {string} Canonical Ghost role name (e.g., 'Editor')
+ * @throws {Error} If the name is not an assignable Ghost role
+ */
+export const toGhostRole = (name) => {
+    const role = GHOST_ROLES.find(candidate => candidate.toLowerCase() === String(name).trim().toLowerCase());
+
+    if (!role) {
+        throw new Error(`Unknown Ghost role "${name}", expected one of ${GHOST_ROLES.join(', ')}`);
+    }
+
+    return role;
+};
+
+/**
+ * Parses a role mapping string into a lookup table.
+ * @param {string} raw - Comma-separated `keycloakRoleOrGroup=GhostRole` pairs
+ * @returns {Map<string, string>} Keycloak role/group to Ghost role name
+ * @throws {Error} If an entry is malformed or targets an unknown Ghost role
+ *
+ * @example
+ * parseRoleMapping('ghost-admins=Administrator,/editorial=Editor');
+ */
+export const parseRoleMapping = (raw) => {
+    const mapping = new Map();
+
+    // A role or group listed twice keeps its last Ghost role
+    for (const [source, targets] of parseGroupMapping(raw, { kind: 'role', expected: 'role=GhostRole' })) {
+        mapping.set(source, toGhostRole(targets.at(-1)));
+    }
+
+    return mapping;
+};
+
+// ---------------------------------------------------------------------------
+// CLAIM EXTRACTION
+// ---------------------------------------------------------------------------
+
+/**
+ * Collects every role and group name carried by Keycloak claims.
+ * Reads `realm_access.roles`, `resource_access[clientId].roles` and `groups`.
+ * @param {Object} claims - ID token claims
+ * @param {string} clientId - OIDC client whose client roles are considered
+ * @returns {Set<string>} Role and group names
+ */
+export const extractKeycloakRoles = (claims, clientId) => {
+    const names = new Set();
+    const add = (values) => {
+        if (Array.isArray(values)) {
+            values.filter(value => typeof value === 'string').forEach(value => names.add(value));
+        }
+    };
+
+    add(claims.realm_access?.roles);
+    add(claims.resource_access?.[clientId]?.roles);
+    add(claims.groups);
+
+    return names;
+};
+
+/**
+ * Resolves the Ghost role for a set of claims.
+ * @param {Object} claims - ID token claims
+ * @param {Map<string, string>} mapping - Result of parseRoleMapping()
+ * @param {string} clientId - OIDC client whose client roles are considered
+ * @returns {string|null} Most privileged mapped Ghost role, or null if none match
+ */
+export const resolveGhostRole = (claims, mapping, clientId) => {
+    const keycloakRoles = extractKeycloakRoles(claims, clientId);
+    const matched = new Set();
+
+    for (const [source, role] of mapping) {
+        if (keycloakRoles.has(source)) {
+            matched.add(role);
+        }
+    }
+
+    return GHOST_ROLES.find(role => matched.has(role)) || null;
+};
+
+// ---------------------------------------------------------------------------
+// DATABASE SYNC
+// ---------------------------------------------------------------------------
+
+/**
+ * Applies a Ghost role to a staff user.
+ * @param {string} userId - Ghost users.id
+ * @param {string} roleName - Ghost role name from GHOST_ROLES
+ * @returns {Promise<string>} Outcome: 'owner', 'unchanged', 'unknown_role' or 'updated'
+ */
+export const syncStaffRole = async (userId, roleName) => {
+    const current = await query(
+        `SELECT r.id, r.name FROM roles_users ru
+                 JOIN roles r ON r.id = ru.role_id
+                 WHERE ru.user_id = ?`,
+        [userId]
+    );
+
+    if (current.some(row => row.name === 'Owner')) {
+        log.info('Skipping role sync for Ghost Owner', { userId, mappedRole: roleName });
+        return 'owner';
+    }
+
+    if (current.length === 1 && current[0].name === roleName) {
+        log.debug('Staff role unchanged', { userId, role: roleName });
+        return 'unchanged';
+    }
+
+    const roles = await query('SELECT id FROM roles WHERE name = ?', [roleName]);
+
+    if (roles.length === 0) {
+        log.error('Ghost role not found', { role: roleName });
+        return 'unknown_role';
+    }
+
+    const roleId = roles[0].id;
+
+    if (!current.some(row => row.id === roleId)) {
+        await query(
+            'INSERT INTO roles_users (id, role_id, user_id) VALUES (?, ?, ?)',
+            [generateObjectId(), roleId, userId]
+        );
+    }
+
+    await query('DELETE FROM roles_users WHERE user_id = ? AND role_id <> ?', [userId, roleId]);
+
+    log.info('Staff role updated', {
+        userId,
+        from: current.map(row => row.name),
+        to: roleName
+    });
+    return 'updated';
+};
@@ -0,0 +1,304 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// staff-users.js
+// Lookup and just-in-time provisioning of Ghost staff users from Keycloak claims
+//
+// Purpose:
+//   - Finds the Ghost user of a staff login by Keycloak subject, then email
+//   - Creates Ghost users rows for staff who log in before being invited
+//   - Completes Ghost setup by turning the first SSO login into the Owner
+//   - Derives name, slug and profile fields from ID token claims
+//
+// Key Functions:
+//   - slugify(): Builds a Ghost-style URL slug from a display name
+//   - findStaffUser(): Resolves the users.id for a login and follows email changes
+//   - provisionStaffUser(): Inserts an active user and assigns its role
+//   - bootstrapOwner(): Claims the inactive setup Owner for a fresh install
+//
+// Characteristics:
+//   - Slugs are made unique with a numeric suffix (jane-doe, jane-doe-2, ...)
+//   - Password is a random unusable value: the account is SSO-only until a
+//     password reset is requested in Ghost
+//   - Role assignment reuses syncStaffRole() from staff-roles.js
+//   - The locale claim is kept only when it is a short language tag that
+//     fits users.locale; anything else is stored as null
+//   - Email matching only creates the sub link (identity-links.js); once
+//     linked, the user is found by sub whatever its email
+// ============================================================================
+
+import crypto from 'crypto';
+import { query } from './db.js';
+import { generateObjectId } from './utils.js';
+import { syncStaffRole } from './staff-roles.js';
+import { findLinkedId, linkIdentity, unlinkIdentity } from './identity-links.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('staff-users');
+
+// Ghost user statuses allowed to sign in
+const SIGNIN_STATUSES = ['active', 'warn-1', 'warn-2', 'warn-3', 'locked'];
+
+// users.locale is a VARCHAR(6) holding a language tag (en, fr, pt-BR)
+const LOCALE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,3})?$/i;
+const LOCALE_MAX_LENGTH = 6;
+
+// ---------------------------------------------------------------------------
+// SLUG GENERATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Converts a display name into a Ghost-style slug.
+ * @param {string} value - Name or email local part
+ * @returns {string} Lowercase, hyphen-separated ASCII slug
+ */
+export const slugify = (value) => {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 185);
+};
+
+/**
+ * Finds a slug not yet used by any Ghost user.
+ * @param {string} base - Preferred slug
+ * @returns {Promise<string>} The base slug or base-N for the first free N
+ */
+const uniqueSlug = async (base) => {
+    const rows = await query(
+        'SELECT slug FROM users WHERE slug = ? OR slug LIKE ?',
+        [base, `${base}-%`]
+    );
+    const taken = new Set(rows.map(row => row.slug));
+
+    if (!taken.has(base)) {
+        return base;
+    }
+
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) {
+        suffix++;
+    }
+    return `${base}-${suffix}`;
+};
+
+/**
+ * Picks the best available display name from claims.
+ * @param {Object} claims - ID token claims
+ * @returns {string} Name, given + family name, username or email local part
+ */
+const displayName = (claims) => {
+    return claims.name
+        || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+        || claims.preferred_username
+        || claims.email.split('@')[0];
+};
+
+/**
+ * Reads the locale claim if Ghost can store it.
+ * @param {Object} claims - ID token claims
+ * @returns {string|null} Language tag, or null if missing or malformed
+ */
+const staffLocale = (claims) => {
+    const locale = claims.locale;
+
+    if (typeof locale !== 'string' || locale.length > LOCALE_MAX_LENGTH || !LOCALE_PATTERN.test(locale)) {
+        if (locale) {
+            log.debug('Locale claim ignored, not a short language tag', { length: String(locale).length });
+        }
+        return null;
+    }
+    return locale;
+};
+
+// ---------------------------------------------------------------------------
+// LOOKUP
+// ---------------------------------------------------------------------------
+
+/**
+ * Replaces a linked user's email with the one from Keycloak.
+ * Skipped when another Ghost user already holds the new address.
+ * @param {string} userId - Ghost users.id
+ * @param {string} email - Current Keycloak email
+ * @returns {Promise<void>}
+ */
+const updateStaffEmail = async (userId, email) => {
+    const taken = await query('SELECT id FROM users WHERE email = ? AND id <> ?', [email, userId]);
+
+    if (taken.length > 0) {
+        log.warn('Keycloak email already used by another Ghost user, email not updated', { userId });
+        return;
+    }
+
+    await query('UPDATE users SET email = ?, updated_at = ? WHERE id = ?', [email, new Date(), userId]);
+    log.info('Staff email updated from Keycloak', { userId });
+};
+
+/**
+ * Resolves the Ghost user for a staff login.
+ * The Keycloak subject link wins; the email is only used to create the
+ * link the first time. A linked user whose email changed in Keycloak gets
+ * the new address.
+ * @param {Object} claims - ID token claims (sub, email)
+ * @returns {Promise<string|null>} users.id, or null if no user may sign in
+ * @throws {IdentityConflictError} If the email's user is linked to another subject
+ */
+export const findStaffUser = async (claims) => {
+    const linkedId = claims.sub ? await findLinkedId('staff', claims.sub) : null;
+
+    if (linkedId) {
+        const rows = await query('SELECT id, email, status FROM users WHERE id = ?', [linkedId]);
+
+        if (rows.length === 0) {
+            log.warn('Linked staff user no longer exists, falling back to email', { userId: linkedId });
+            await unlinkIdentity('staff', claims.sub);
+        } else {
+            const user = rows[0];
+
+            if (!SIGNIN_STATUSES.includes(user.status)) {
+                log.warn('Linked staff user may not sign in', { userId: user.id, status: user.status });
+                return null;
+            }
+
+            if (claims.email && user.email.toLowerCase() !== claims.email.toLowerCase()) {
+                await updateStaffEmail(user.id, claims.email);
+            }
+
+            return user.id;
+        }
+    }
+
+    const users = await query(
+        `SELECT id FROM users WHERE email = ? AND status IN (${SIGNIN_STATUSES.map(() => '?').join(', ')})`,
+        [claims.email, ...SIGNIN_STATUSES]
+    );
+
+    if (users.length === 0) {
+        return null;
+    }
+
+    if (claims.sub) {
+        await linkIdentity('staff', claims.sub, users[0].id);
+    }
+
+    return users[0].id;
+};
+
+// ---------------------------------------------------------------------------
+// PROVISIONING
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates an active Ghost staff user from Keycloak claims.
+ * Refuses when any users row already holds the email, so suspended
+ * accounts cannot be recreated through SSO.
+ * @param {Object} claims - ID token claims (email required)
+ * @param {string} roleName - Ghost role to assign
+ * @returns {Promise<string|null>} The new users.id, or null if the email is taken
+ */
+export const provisionStaffUser = async (claims, roleName) => {
+    const email = claims.email;
+
+    const existing = await query('SELECT id, status FROM users WHERE email = ?', [email]);
+
+    if (existing.length > 0) {
+        log.warn('Staff provisioning refused, email already used', {
+            email,
+            status: existing[0].status
+        });
+        return null;
+    }
+
+    const name = displayName(claims);
+
+    const userId = generateObjectId();
+    const slug = await uniqueSlug(slugify(name) || slugify(email.split('@')[0]) || userId);
+    const now = new Date();
+
+    await query(
+        `INSERT INTO users (id, name, slug, password, email, profile_image, website, locale, status, visibility, created_at, created_by, updated_at, updated_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', 'public', ?, ?, ?, ?)`,
+        [
+            userId,
+            name.substring(0, 191),
+            slug,
+            crypto.randomBytes(30).toString('hex'),
+            email,
+            claims.picture || null,
+            claims.website || null,
+            staffLocale(claims),
+            now,
+            userId,
+            now,
+            userId
+        ]
+    );
+
+    await syncStaffRole(userId, roleName);
+
+    log.info('Staff user provisioned', { email, userId, slug, role: roleName });
+    return userId;
+};
+
+// ---------------------------------------------------------------------------
+// OWNER BOOTSTRAP
+// ---------------------------------------------------------------------------
+// Ghost ships with an inactive Owner placeholder and considers itself set up
+// once that user is active. Claiming it replaces the /ghost/#/setup form.
+
+/**
+ * Turns the inactive setup Owner into the given Keycloak user.
+ * The update is conditional on the Owner still being inactive, so two
+ * concurrent first logins cannot both claim ownership.
+ * @param {Object} claims - ID token claims (email required)
+ * @returns {Promise<string|null>} The Owner's users.id, or null if setup is already done
+ */
+export const bootstrapOwner = async (claims) => {
+    const owners = await query(
+        `SELECT u.id, u.status FROM users u
+                 JOIN roles_users ru ON ru.user_id = u.id
+                 JOIN roles r ON r.id = ru.role_id
+                 WHERE r.name = 'Owner'`
+    );
+
+    if (owners.length === 0 || owners[0].status !== 'inactive') {
+        log.warn('Owner bootstrap skipped, Ghost setup already complete', {
+            ownerFound: owners.length > 0
+        });
+        return null;
+    }
+
+    const ownerId = owners[0].id;
+    const name = displayName(claims);
+    const slug = await uniqueSlug(slugify(name) || ownerId);
+
+    const result = await query(
+        `UPDATE users SET name = ?, slug = ?, password = ?, email = ?, profile_image = ?, website = ?, locale = ?,
+                 status = 'active', updated_at = ?, updated_by = ?
+                 WHERE id = ? AND status = 'inactive'`,
+        [
+            name.substring(0, 191),
+            slug,
+            crypto.randomBytes(30).toString('hex'),
+            claims.email,
+            claims.picture || null,
+            claims.website || null,
+            staffLocale(claims),
+            new Date(),
+            ownerId,
+            ownerId
+        ]
+    );
+
+    if (result.affectedRows !== 1) {
+        log.warn('Owner bootstrap lost race, setup completed concurrently');
+        return null;
+    }
+
+    log.info('Ghost setup completed, Owner claimed via SSO', { email: claims.email, userId: ownerId });
+    return ownerId;
+};
@@ -0,0 +1,308 @@
+// Copyright (C) - LOW-LAYER
+// Contact : contact@low-layer.com
+
+// ============================================================================
+// templates.js
+// HTML templates for the pages shown by the bridge
+//
+// Purpose:
+//   - Renders the error, "redirecting" and "access denied" pages in the
+//     blog's colors and the reader's language
+//   - Lets operators replace the built-in templates and translations
+//     (BRIDGE_TEMPLATE_DIR)
+//
+// Key Functions:
+//   - escapeHtml(): Escapes text for safe inclusion in HTML
+//   - renderTemplate(): Fills {{placeholders}} in a template
+//   - loadTemplateDir(): Reads operator templates and locale files
+//   - createPageRenderer(): Renders and sends page descriptions (lib/pages.js)
+//   - getPageRenderer(): Shared renderer configured from the environment
+//
+// Characteristics:
+//   - {{name}} is escaped; {{{name}}} inserts markup built by the bridge
+//     (links, footer) and is only offered for those
+//   - Templates are read once at startup; a missing template falls back to
+//     the built-in one
+//   - Title and accent color come from lib/site-branding.js, the language
+//     from Accept-Language (lib/i18n.js)
+//   - No external assets: styles are inlined, pages work behind any proxy
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { envChoice } from './config.js';
+import { MESSAGES, FALLBACK_LOCALE, negotiateLocale, createTranslator } from './i18n.js';
+import { getSiteBranding } from './site-branding.js';
+import { redirectingPage } from './pages.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('templates');
+
+// ---------------------------------------------------------------------------
+// ESCAPING
+// ---------------------------------------------------------------------------
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// ---------------------------------------------------------------------------
+// BUILT-IN TEMPLATES
+// ---------------------------------------------------------------------------
+
+export const PAGE_TEMPLATES = ['error', 'redirecting', 'access-denied'];
+
+// Markup placeholders: everything else is escaped
+const RAW_VALUES = ['links', 'footer'];
+
+/**
+ * Builds a built-in template around the shared layout.
+ * @param {string} [head] - Extra markup for <head>
+ * @returns {string} Template
+ */
+const builtInTemplate = (head = '') => `<!DOCTYPE html>
+<html lang="{{lang}}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">${head}
+  <title>{{title}} · {{siteName}}</title>
+  <style>
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f4f5f6; color: #15171a; }
+    main { max-width: 480px; margin: 12vh auto; padding: 32px; background: #fff; border-top: 4px solid {{accentColor}}; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.08); }
+    .site { color: #7c8b9a; font-size: 0.9rem; text-decoration: none; }
+    h1 { margin: 12px 0 16px; font-size: 1.4rem; }
+    p { line-height: 1.5; }
+    nav a { display: inline-block; margin: 8px 16px 0 0; color: {{accentColor}}; font-weight: 600; }
+    .reference { margin-top: 24px; font-size: 0.8rem; color: #7c8b9a; }
+  </style>
+</head>
+<body>
+  <main>
+    <a class="site" href="{{siteUrl}}">{{siteName}}</a>
+    <h1>{{title}}</h1>
+    <p>{{message}}</p>
+    <nav>
+      {{{links}}}
+    </nav>{{{footer}}}
+  </main>
+</body>
+</html>
+`;
+
+export const BUILT_IN_TEMPLATES = {
+    'error': builtInTemplate(),
+    'redirecting': builtInTemplate('\n  <meta http-equiv="refresh" content="0;url={{redirectUrl}}">'),
+    'access-denied': builtInTemplate()
+};
+
+// ---------------------------------------------------------------------------
+// RENDERING
+// ---------------------------------------------------------------------------
+
+/**
+ * Fills the placeholders of a template.
+ * @param {string} template - HTML with {{name}} and {{{name}}} placeholders
+ * @param {Object} values - Placeholder values; unknown placeholders render empty
+ * @returns {string} HTML document
+ */
+export const renderTemplate = (template, values) =>
+    template.replace(/\{\{(\{)?\s*(\w+)\s*\}?\}\}/g, (placeholder, raw, name) => {
+        if (raw && RAW_VALUES.includes(name)) {
+            return String(values[name] ?? '');
+        }
+        return escapeHtml(values[name]);
+    });
+
+// ---------------------------------------------------------------------------
+// OPERATOR TEMPLATES
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads operator templates (`<page>.html`) and translations
+ * (`locales/<locale>.json`) from a directory.
+ * @param {string} dir - Template directory
+ * @returns {{templates: Object<string, string>, catalogs: Object<string, Object>}}
+ *   Templates and catalogs found (missing files are simply absent)
+ * @throws {Error} If the directory cannot be read or a locale file is invalid
+ *
+ * @example
+ * // templates/error.html, templates/locales/de.json
+ * loadTemplateDir('/etc/bridge/templates');
+ */
+export const loadTemplateDir = (dir) => {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`BRIDGE_TEMPLATE_DIR "${dir}" is not a directory`);
+    }
+
+    const templates = {};
+    for (const name of PAGE_TEMPLATES) {
+        const file = path.join(dir, `${name}.html`);
+        if (fs.existsSync(file)) {
+            templates[name] = fs.readFileSync(file, 'utf8');
+        }
+    }
+
+    const catalogs = {};
+    const localeDir = path.join(dir, 'locales');
+    const localeFiles = fs.existsSync(localeDir)
+        ? fs.readdirSync(localeDir).filter(file => file.endsWith('.json'))
+        : [];
+
+    for (const file of localeFiles) {
+        let messages;
+        try {
+            messages = JSON.parse(fs.readFileSync(path.join(localeDir, file), 'utf8'));
+        } catch (err) {
+            throw new Error(`Locale file ${file} is not valid JSON: ${err.message}`);
+        }
+
+        if (!messages || typeof messages !== 'object' || Array.isArray(messages)
+            || Object.values(messages).some(message => typeof message !== 'string')) {
+            throw new Error(`Locale file ${file} must map message keys to strings`);
+        }
+
+        catalogs[path.basename(file, '.json')] = messages;
+    }
+
+    return { templates, catalogs };
+};
+
+// ---------------------------------------------------------------------------
+// RENDERER
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a renderer for page descriptions built by lib/pages.js and
+ * lib/login-errors.js.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.templates] - Operator templates by page name
+ * @param {Object<string, Object>} [options.catalogs] - Operator messages by locale,
+ *   merged over the built-in ones
+ * @param {string} [options.defaultLocale] - Locale when Accept-Language matches none
+ * @param {string} [options.siteUrl] - Blog URL, linked from every page
+ * @param {Function} [options.branding] - () => {title, accentColor}
+ * @returns {Object} Renderer with render(), send() and redirect()
+ */
+export const createPageRenderer = ({
+    templates = {},
+    catalogs = {},
+    defaultLocale = FALLBACK_LOCALE,
+    siteUrl = '',
+    branding = getSiteBranding
+} = {}) => {
+    const messages = { ...MESSAGES };
+    for (const [locale, overrides] of Object.entries(catalogs)) {
+        messages[locale] = { ...messages[locale], ...overrides };
+    }
+    const locales = Object.keys(messages);
+    const siteHost = siteUrl ? new URL(siteUrl).host : '';
+
+    /**
+     * Renders a page description.
+     * @param {Object} page - Description from lib/pages.js or lib/login-errors.js
+     * @param {string} [acceptLanguage] - Accept-Language header of the request
+     * @returns {{html: string, locale: string}} Document and its language
+     */
+    const render = (page, acceptLanguage) => {
+        const locale = negotiateLocale(acceptLanguage, locales, defaultLocale);
+        const t = createTranslator(messages, locale, defaultLocale);
+        const { title, accentColor } = branding();
+
+        const links = (page.links || [])
+            .map(link => `<a href="${escapeHtml(link.href)}">${escapeHtml(t(link.label))}</a>`)
+            .join('\n      ');
+        const footer = page.reference
+            ? `\n    <p class="reference">${escapeHtml(t('page.reference'))}: <code>${escapeHtml(page.reference)}</code></p>`
+            : '';
+
+        const html = renderTemplate(templates[page.template] || BUILT_IN_TEMPLATES[page.template], {
+            lang: locale,
+            title: t(page.title, page.vars),
+            message: t(page.message, page.vars),
+            siteName: title || siteHost,
+            siteUrl,
+            accentColor,
+            redirectUrl: page.redirectUrl,
+            reference: page.reference,
+            links,
+            footer
+        });
+
+        return { html, locale };
+    };
+
+    /**
+     * Sends a page as the response.
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Object} page - Page description
+     */
+    const send = (req, res, page) => {
+        const { html, locale } = render(page, req.get('accept-language'));
+
+        res.status(page.status || 200)
+            .set({ 'Content-Language': locale, 'Vary': 'Accept-Language', 'Cache-Control': 'no-store' })
+            .type('html')
+            .send(html);
+    };
+
+    /**
+     * Redirects with a "redirecting" page as the body, for clients that do
+     * not follow the Location header.
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {string} url - Destination
+     */
+    const redirect = (req, res, url) => {
+        res.location(url);
+        send(req, res, redirectingPage(url));
+    };
+
+    return { locales, render, send, redirect };
+};
+
+let sharedRenderer = null;
+
+/**
+ * Returns the renderer shared by the routers, configured from the
+ * environment on first use.
+ * @returns {Object} Renderer from createPageRenderer()
+ * @throws {Error} If BRIDGE_TEMPLATE_DIR or BRIDGE_DEFAULT_LOCALE is invalid
+ */
+export const getPageRenderer = () => {
+    if (!sharedRenderer) {
+        const dir = process.env.BRIDGE_TEMPLATE_DIR;
+        const { templates, catalogs } = dir ? loadTemplateDir(dir) : { templates: {}, catalogs: {} };
+        const locales = [...new Set([...Object.keys(MESSAGES), ...Object.keys(catalogs)])];
+
+        // envChoice() lowercases the value: match it back to the catalog's own
+        // spelling, so operator catalogs such as pt-BR.json can be the default
+        const defaultTag = envChoice('BRIDGE_DEFAULT_LOCALE', locales.map(locale => locale.toLowerCase()), FALLBACK_LOCALE);
+
+        sharedRenderer = createPageRenderer({
+            templates,
+            catalogs,
+            defaultLocale: locales.find(locale => locale.toLowerCase() === defaultTag),
+            siteUrl: (process.env.BLOG_PUBLIC_URL || '').replace(/\/$/, '')
+        });
+
+        log.info('Page templates loaded', {
+            templateDir: dir || null,
+            customTemplates: Object.keys(templates),
+            locales: sharedRenderer.locales
+        });
+    }
+    return sharedRenderer;
+};
@@ -13,11 +13,15 @@
 // Key Functions:
 //   - GET /health: Returns 200 if process is running (liveness)
 //   - GET /ready: Returns 200 if dependencies are available (readiness)
+//   - setGhostVersion(): Records the Ghost version negotiated at startup
+//   - setDatabaseRequired(): Skips the database check when it is not used
 //
 // Characteristics:
 //   - Liveness: Simple process check, always returns 200 if reachable
 //   - Readiness: Validates database connectivity before returning 200
-//   - JSON responses with status details for debugging
+//     (reported as null and not checked in API-only setups without staff SSO)
+//   - JSON responses with status details for debugging, including the Ghost
+//     version and Accept-Version in use
 // ============================================================================
 
 import express from 'express';
@@ -32,6 +36,42 @@ const log = createLogger('health');
 
 const router = express.Router();
 
+// ---------------------------------------------------------------------------
+// GHOST VERSION
+// ---------------------------------------------------------------------------
+// Set once at startup by server.js; null while unknown.
+
+let ghostVersion = null;
+
+/**
+ * Records the Ghost version reported in health responses.
+ * @param {Object|null} info - Result of detectGhostVersion()
+ */
+export const setGhostVersion = (info) => {
+    ghostVersion = info;
+};
+
+const ghostStatus = () => ({
+    version: ghostVersion?.version ?? null,
+    acceptVersion: ghostVersion?.acceptVersion ?? null,
+    supported: ghostVersion?.supported ?? null
+});
+
+// ---------------------------------------------------------------------------
+// DATABASE REQUIREMENT
+// ---------------------------------------------------------------------------
+// Set once at startup by server.js; the database is checked unless told otherwise.
+
+let databaseRequired = true;
+
+/**
+ * Records whether the bridge uses the Ghost database.
+ * @param {boolean} required - False in API-only member mode without staff SSO
+ */
+export const setDatabaseRequired = (required) => {
+    databaseRequired = required;
+};
+
 // ---------------------------------------------------------------------------
 // LIVENESS PROBE - /health
 // ---------------------------------------------------------------------------
@@ -43,7 +83,8 @@ router.get('/health', (req, res) => {
     res.status(200).json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        ghost: ghostStatus()
     });
 });
 
@@ -53,7 +94,8 @@ router.get('/healthz', (req, res) => {
     res.status(200).json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        ghost: ghostStatus()
     });
 });
 
@@ -65,18 +107,21 @@ router.get('/healthz', (req, res) => {
 
 router.get('/ready', async (req, res) => {
     log.debug('Readiness check called');
-    const checks = { database: false };
+    const checks = { database: databaseRequired ? false : null };
 
     try {
-        // Check database connectivity
-        checks.database = await testConnection();
+        // Check database connectivity (null: not used)
+        if (databaseRequired) {
+            checks.database = await testConnection();
+        }
 
-        if (checks.database) {
+        if (checks.database !== false) {
             log.debug('Readiness check passed', { checks });
             res.status(200).json({
                 status: 'ready',
                 timestamp: new Date().toISOString(),
-                checks
+                checks,
+                ghost: ghostStatus()
             });
         } else {
             log.warn('Readiness check failed: database unavailable');
@@ -84,6 +129,7 @@ router.get('/ready', async (req, res) => {
                 status: 'not ready',
                 timestamp: new Date().toISOString(),
                 checks,
+                ghost: ghostStatus(),
                 reason: 'Database connection failed'
             });
         }
@@ -93,6 +139,7 @@ router.get('/ready', async (req, res) => {
             status: 'not ready',
             timestamp: new Date().toISOString(),
             checks,
+            ghost: ghostStatus(),
             reason: err.message
         });
     }
@@ -101,17 +148,20 @@ router.get('/ready', async (req, res) => {
 // Alias for /readyz (common Kubernetes convention)
 router.get('/readyz', async (req, res) => {
     log.debug('Readiness check called (alias)');
-    const checks = { database: false };
+    const checks = { database: databaseRequired ? false : null };
 
     try {
-        checks.database = await testConnection();
+        if (databaseRequired) {
+            checks.database = await testConnection();
+        }
 
-        if (checks.database) {
+        if (checks.database !== false) {
             log.debug('Readiness check passed', { checks });
             res.status(200).json({
                 status: 'ready',
                 timestamp: new Date().toISOString(),
-                checks
+                checks,
+                ghost: ghostStatus()
             });
         } else {
             log.warn('Readiness check failed: database unavailable');
@@ -119,6 +169,7 @@ router.get('/readyz', async (req, res) => {
                 status: 'not ready',
                 timestamp: new Date().toISOString(),
                 checks,
+                ghost: ghostStatus(),
                 reason: 'Database connection failed'
             });
         }
@@ -128,6 +179,7 @@ router.get('/readyz', async (req, res) => {
             status: 'not ready',
             timestamp: new Date().toISOString(),
             checks,
+            ghost: ghostStatus(),
             reason: err.message
         });
     }
@@ -8,157 +8,235 @@
 // Purpose:
 //   - Handles SSO login/logout flow for blog members (subscribers)
 //   - Auto-provisions Ghost members on first Keycloak login
-//   - Generates magic link tokens for native Ghost session establishment
+//   - Refuses emails Keycloak has not verified (MEMBER_REQUIRE_EMAIL_VERIFIED)
+//   - Links members to their Keycloak subject so email changes follow them
+//   - Keeps Ghost member profiles (name, ...) in sync with Keycloak on every login
+//   - Keeps Ghost member labels in sync with Keycloak roles/groups (optional)
+//   - Grants and revokes complimentary tier access from Keycloak roles (optional)
+//   - Subscribes new members to newsletters and records consent in the note
+//   - Generates magic link tokens for native Ghost session establishment, or
+//     asks the Admin API for a sign-in URL (MEMBER_LOGIN_MODE=api, no database)
 //
 // Key Functions:
-//   - GET /login: Initiates OIDC authorization (supports signup redirect)
+//   - GET /login: Initiates OIDC authorization (supports signup, returnTo and
+//     allowlisted Keycloak parameters such as kc_idp_hint)
+//   - GET /silent: Signs the reader in if Keycloak already has a session (prompt=none)
+//   - GET /silent.js: Theme script running the silent check once per browser session
+//   - GET /me: Keycloak identity linked to this browser, as JSON
 //   - GET /logout: Clears local cookies and triggers Keycloak SLO
 //   - GET /callback: Processes OIDC response and provisions Ghost member
+//   - POST /backchannel-logout: Signs members out when Keycloak ends their session
 //
 // Characteristics:
-//   - Uses Ghost Admin API for member management
+//   - Uses the Ghost Admin API client (lib/ghost-api.js) for member management
 //   - Stores id_token in cookie for logout without confirmation prompt
+//   - Records the linked identity in a signed bridge session cookie (/me)
 //   - Magic token inserted directly into Ghost tokens table for seamless auth
+//     (database mode, the default)
+//   - State, nonce and PKCE verifier carried in an encrypted single-use cookie
+//   - OIDC error responses and failures end on a branded, translated page
+//     with a retry link and a reference; internal errors are never shown
 // ============================================================================
 
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { authorizationCodeGrant } from 'openid-client';
+import { createRemoteJWKSet } from 'jose';
 import { query } from '../lib/db.js';
 import { generateObjectId, generateUUID, generateMagicToken } from '../lib/utils.js';
+import { createAuthState, consumeAuthState, AuthStateError, AUTH_STATE_MAX_AGE } from '../lib/auth-state.js';
+import { resolveReturnTo } from '../lib/return-to.js';
+import { nqlEquals } from '../lib/nql.js';
+import { SIGNUP_MODES, signupParams, checkSignupSupport } from '../lib/signup.js';
+import { LOGIN_PARAMS, parseLoginParams, pickLoginParams } from '../lib/login-params.js';
+import { SILENT_SSO_COOKIE, isQuietError, silentSsoScript } from '../lib/silent-sso.js';
+import { MEMBER_SESSION_COOKIE, createMemberSession, readMemberSession, memberStatus } from '../lib/member-session.js';
+import { parseAllowedOrigins, corsMiddleware } from '../lib/cors.js';
+import { envList, envBool, envChoice } from '../lib/config.js';
+import { getGhostApi } from '../lib/ghost-api.js';
+import { parseProfileMapping, profileFromClaims, profileChanges } from '../lib/member-profile.js';
+import { parseLabelMapping, resolveMemberLabels, reconcileLabels } from '../lib/member-labels.js';
+import { parseTierMapping, resolveTierGrants, planTierChanges } from '../lib/member-tiers.js';
+import { resolveNewsletterSignup } from '../lib/member-newsletters.js';
+import { recordSession, findSessions, forgetSessions } from '../lib/session-store.js';
+import { findLinkedId, linkIdentity, unlinkIdentity, IdentityConflictError } from '../lib/identity-links.js';
+import { createLogoutTokenVerifier, backchannelLogoutHandler } from '../lib/backchannel.js';
+import { emailNotVerifiedPage } from '../lib/pages.js';
+import { getPageRenderer } from '../lib/templates.js';
+import { createCorrelationId, readOidcError, loginErrorPage } from '../lib/login-errors.js';
 import { createLogger } from '../lib/logger.js';
 
 const log = createLogger('members');
 
+const AUTH_STATE_COOKIE = 'kc_member_auth_state';
+
+// Lifetime of Ghost's ghost-members-ssr cookie (184 days)
+const MEMBER_SESSION_MAX_AGE = 15897600000;
+
+// How members are signed in to Ghost: magic token written to the tokens table,
+// or a sign-in URL requested from the Admin API (no database access)
+export const LOGIN_MODES = ['database', 'api'];
+
+// How long Ghost tier and newsletter lists are reused before being fetched again
+const LIST_CACHE_TTL = 300000; // 5 minutes
+
 // ---------------------------------------------------------------------------
-// GHOST ADMIN API HELPER
+// ROUTER FACTORY
 // ---------------------------------------------------------------------------
-// Manual implementation that handles redirects (SDK doesn't handle 301)
+// Returns an Express router configured with the provided OIDC client.
+
+export default function (oidcConfig) {
+  const router = express.Router();
+
+  // URL configuration
+  const blogUrl = (process.env.BLOG_PUBLIC_URL || '').replace(/\/$/, '');
+  const ghostInternalUrl = (process.env.GHOST_INTERNAL_URL || blogUrl).replace(/\/$/, '');
+  const apiKey = process.env.GHOST_ADMIN_API_KEY;
+  const returnPaths = envList('MEMBER_RETURN_PATHS', ['/']);
+
+  // API-only mode needs no database: identity links and session tracking
+  // (back-channel logout) live in the database and are therefore off
+  const loginMode = envChoice('MEMBER_LOGIN_MODE', LOGIN_MODES, 'database');
+  const useDatabase = loginMode === 'database';
 
-function createGhostApi(baseUrl, publicUrl, adminKey) {
-  if (!adminKey || !adminKey.includes(':')) {
-    log.error('Invalid GHOST_ADMIN_API_KEY format', { expected: 'id:secret' });
-    throw new Error('GHOST_ADMIN_API_KEY must be in format id:secret');
+  if (!useDatabase) {
+    log.warn('MEMBER_LOGIN_MODE=api: members are matched by email only and back-channel logout is disabled');
   }
 
-  const [id, secret] = adminKey.split(':');
+  // Query parameters /login forwards to Keycloak (IdP hint, login hint, ...)
+  const loginParams = parseLoginParams(envList('MEMBER_LOGIN_PARAMS', LOGIN_PARAMS));
+  const idpHints = envList('MEMBER_IDP_HINTS');
 
-  log.debug('Ghost API client initialized', {
-    baseUrl,
-    publicUrl,
-    keyId: id,
-    secretLength: secret?.length || 0
-  });
+  // Signup: registration hint sent by /login?action=signup
+  const signupMode = envChoice('MEMBER_SIGNUP_MODE', SIGNUP_MODES, 'prompt');
+  const signupStrict = envBool('MEMBER_SIGNUP_STRICT');
 
-  // Generate JWT for Ghost Admin API authentication
-  const generateToken = () => {
-    return jwt.sign({}, Buffer.from(secret, 'hex'), {
-      keyid: id,
-      algorithm: 'HS256',
-      expiresIn: '5m',
-      audience: '/admin/'
-    });
-  };
+  // Emails Keycloak has not verified could claim someone else's Ghost account
+  const requireVerifiedEmail = envBool('MEMBER_REQUIRE_EMAIL_VERIFIED', true);
 
-  const apiRequest = async (endpoint, options = {}) => {
-    const token = generateToken();
-    const url = `${baseUrl}/ghost/api/admin${endpoint}`;
-    const publicHost = new URL(publicUrl).host;
+  // Profile sync: Ghost member fields refreshed from claims on every login
+  const profileSync = envBool('MEMBER_PROFILE_SYNC', true);
+  const profileMapping = parseProfileMapping(process.env.MEMBER_PROFILE_MAPPING);
 
-    log.http('Ghost API request', {
-      method: options.method || 'GET',
-      url,
-      host: publicHost
-    });
+  // Label mapping (optional): Keycloak role/group -> Ghost member label
+  const labelMapping = parseLabelMapping(process.env.MEMBER_LABEL_MAPPING);
+  const removeStaleLabels = envBool('MEMBER_LABEL_REMOVE_STALE');
 
-    const response = await fetch(url, {
-      ...options,
-      redirect: 'manual',
-      headers: {
-        'Authorization': `Ghost ${token}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'Host': publicHost,
-        'X-Forwarded-Proto': 'https',
-        'X-Forwarded-Host': publicHost,
-        ...options.headers
-      }
-    });
+  // Tier mapping (optional): Keycloak role/group -> complimentary Ghost tier
+  const tierMapping = parseTierMapping(process.env.MEMBER_TIER_MAPPING);
+  const tierDryRun = envBool('MEMBER_TIER_DRY_RUN');
 
-    log.http('Ghost API response', {
-      status: response.status,
-      statusText: response.statusText
-    });
+  // Newsletters for new members (optional): fixed list and/or Keycloak opt-in attribute
+  const newsletterRefs = envList('MEMBER_NEWSLETTERS');
+  const newsletterOptInClaim = process.env.MEMBER_NEWSLETTER_OPT_IN_CLAIM || null;
 
-    // Handle redirects as errors
-    if (response.status >= 300 && response.status < 400) {
-      const location = response.headers.get('location');
-      log.warn('Ghost API redirected', { location });
-      throw new Error(`Ghost redirected to: ${location}`);
-    }
+  // Origins (besides the blog itself) whose scripts may read /me with cookies
+  const statusOrigins = parseAllowedOrigins(envList('MEMBER_STATUS_ORIGINS'));
 
-    const text = await response.text();
+  // Browsers only attach SameSite=None cookies to credentialed cross-site
+  // fetches; the session is read by /me alone, so nothing else is exposed
+  const sessionSameSite = statusOrigins.size > 0 ? 'None' : 'Lax';
 
-    if (!response.ok) {
-      log.error('Ghost API error', {
-        status: response.status,
-        body: text.substring(0, 200)
-      });
-      throw new Error(`Ghost API error ${response.status}: ${text.substring(0, 200)}`);
-    }
+  log.info('Member routes initialized', {
+    blogUrl,
+    ghostInternalUrl,
+    apiKeyPresent: !!apiKey,
+    returnPaths,
+    loginMode,
+    loginParams: [...loginParams],
+    idpHints,
+    signupMode,
+    signupStrict,
+    requireVerifiedEmail,
+    profileSync,
+    profileFields: [...profileMapping.keys()],
+    labelMappings: labelMapping.size,
+    removeStaleLabels,
+    tierMappings: tierMapping.size,
+    tierDryRun,
+    newsletters: newsletterRefs,
+    newsletterOptInClaim,
+    statusOrigins: [...statusOrigins],
+    sessionSameSite
+  });
 
-    // Parse JSON response
-    try {
-      const data = JSON.parse(text);
-      log.debug('Ghost API success', { endpoint });
-      return data;
-    } catch (e) {
-      log.error('Ghost API returned invalid JSON', {
-        bodyPreview: text.substring(0, 100)
-      });
-      throw new Error(`Ghost returned HTML instead of JSON`);
-    }
+  // Ghost API client (shared: carries the version negotiated at startup)
+  const ghost = getGhostApi();
+
+  // Branded, translated pages (lib/templates.js)
+  const pages = getPageRenderer();
+
+  // Theme script starting the silent SSO check (Ghost's member API lives
+  // under the blog's own path on subdirectory installs)
+  const blogPath = URL.canParse(blogUrl) ? new URL(blogUrl).pathname.replace(/\/$/, '') : '';
+  const silentScript = silentSsoScript({
+    silentPath: '/auth/member/silent',
+    memberApiPath: `${blogPath}/members/api/member/`
+  });
+
+  /**
+   * Ends a silent login attempt without any page: back where the reader was.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string|null} returnTo - Validated return destination
+   */
+  const returnQuietly = (req, res, returnTo) => pages.redirect(req, res, new URL(returnTo || '', `${blogUrl}/`).href);
+
+  /**
+   * Returns the first member matching an NQL filter.
+   * @param {string} filter - Ghost NQL filter, built with lib/nql.js
+   * @returns {Promise<Object|undefined>} Member, or undefined if none matches
+   */
+  const findMember = async (filter) => {
+    const [member] = await ghost.members.browse({ filter, limit: 1 });
+    return member;
   };
 
-  return {
-    members: {
-      browse: async (params = {}) => {
-        const queryStr = new URLSearchParams(params).toString();
-        const data = await apiRequest(`/members/?${queryStr}`);
-        return data.members || [];
-      },
-      add: async (member) => {
-        const data = await apiRequest('/members/', {
-          method: 'POST',
-          body: JSON.stringify({ members: [member] })
-        });
-        return data.members?.[0];
+  /**
+   * Wraps a Ghost list fetcher so it runs at most every LIST_CACHE_TTL.
+   * @param {Function} fetchList - async () => Array
+   * @returns {Function} async () => Array, served from cache when fresh
+   */
+  const cachedList = (fetchList) => {
+    let cache = { items: null, expiresAt: 0 };
+
+    return async () => {
+      if (!cache.items || cache.expiresAt <= Date.now()) {
+        cache = { items: await fetchList(), expiresAt: Date.now() + LIST_CACHE_TTL };
       }
-    }
+      return cache.items;
+    };
   };
-}
 
-// ---------------------------------------------------------------------------
-// ROUTER FACTORY
-// ---------------------------------------------------------------------------
-// Returns an Express router configured with the provided OIDC client.
+  // Tiers and newsletters are referenced by slug or name in the configuration
+  const loadTiers = cachedList(() => ghost.tiers.browse());
+  const loadNewsletters = cachedList(() => ghost.newsletters.browse({ filter: nqlEquals('status', 'active') }));
 
-export default function (oidcConfig) {
-  const router = express.Router();
+  // Back-channel logout: logout tokens are verified against the realm's JWKS
+  const metadata = oidcConfig.serverMetadata();
+  const verifyLogoutToken = createLogoutTokenVerifier({
+    issuer: metadata.issuer,
+    clientId: process.env.MEMBER_CLIENT_ID,
+    jwks: createRemoteJWKSet(new URL(metadata.jwks_uri))
+  });
 
-  // URL configuration
-  const blogUrl = (process.env.BLOG_PUBLIC_URL || '').replace(/\/$/, '');
-  const ghostInternalUrl = (process.env.GHOST_INTERNAL_URL || blogUrl).replace(/\/$/, '');
-  const apiKey = process.env.GHOST_ADMIN_API_KEY;
+  // A realm ignoring the signup hint silently shows the login form instead
+  const signupSupport = checkSignupSupport(metadata, signupMode);
 
-  log.info('Member routes initialized', {
-    blogUrl,
-    ghostInternalUrl,
-    apiKeyPresent: !!apiKey
-  });
+  if (signupStrict && signupSupport.supported !== true) {
+    throw new Error(`Member realm cannot confirm support for MEMBER_SIGNUP_MODE=${signupMode}: ${signupSupport.reason}`);
+  }
 
-  // Ghost API client
-  const ghost = createGhostApi(ghostInternalUrl, blogUrl, apiKey);
+  if (signupSupport.supported === false) {
+    log.error('Member realm does not support the signup hint, action=signup will show the login form', {
+      signupMode,
+      reason: signupSupport.reason
+    });
+  } else if (signupSupport.supported === null) {
+    log.warn('Member realm support for the signup hint could not be confirmed', {
+      signupMode,
+      reason: signupSupport.reason
+    });
+  }
 
   // ---------------------------------------------------------------------------
   // DEBUG ENDPOINT
@@ -173,7 +251,9 @@ export default function (oidcConfig) {
         ghostInternalUrl,
         apiKeyPresent: !!apiKey,
         apiKeyPrefix: apiKey ? apiKey.substring(0, 10) : null,
-        memberCallbackUrl: process.env.MEMBER_CALLBACK_URL
+        memberCallbackUrl: process.env.MEMBER_CALLBACK_URL,
+        signupMode,
+        signupSupported: signupSupport.supported
       },
       tests: {}
     };
@@ -202,27 +282,104 @@ export default function (oidcConfig) {
   // LOGIN ENDPOINT
   // ---------------------------------------------------------------------------
 
-  router.get('/login', (req, res) => {
-    const action = req.query.action;
-    const metadata = oidcConfig.serverMetadata();
-    let endpoint = metadata.authorization_endpoint;
-
+  /**
+   * Starts an authorization request: stores the attempt in the auth state
+   * cookie and returns the Keycloak URL to send the browser to.
+   * @param {Object} res - Express response
+   * @param {Object} attempt - Values carried to the callback (returnTo, silent)
+   * @param {Object} [extraParams] - Additional authorization parameters
+   * @returns {Promise<string>} Authorization URL
+   */
+  const authorizationUrl = async (res, attempt, extraParams = {}) => {
+    const endpoint = oidcConfig.serverMetadata().authorization_endpoint;
+    const { cookie, params: authParams } = await createAuthState(attempt);
+
+    // Extra parameters come first: client and transaction values always win
     const params = new URLSearchParams({
+      ...extraParams,
       client_id: process.env.MEMBER_CLIENT_ID,
       redirect_uri: process.env.MEMBER_CALLBACK_URL,
       response_type: 'code',
-      scope: 'openid email profile'
+      scope: 'openid email profile',
+      ...authParams
+    });
+
+    res.cookie(AUTH_STATE_COOKIE, cookie, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'Lax',
+      path: '/auth/member',
+      maxAge: AUTH_STATE_MAX_AGE
+    });
+
+    return `${endpoint}?${params.toString()}`;
+  };
+
+  router.get('/login', async (req, res) => {
+    const action = req.query.action;
+    const returnTo = resolveReturnTo(req.query.returnTo || req.query.r, blogUrl, returnPaths);
+    const { params: forwarded, rejected } = pickLoginParams(req.query, loginParams, { idpHints });
+
+    if (rejected.length > 0) {
+      log.warn('Login parameters dropped (invalid value)', { rejected });
+    }
+
+    // max_age is remembered so the callback can check auth_time against it
+    const url = await authorizationUrl(res, {
+      returnTo,
+      ...(forwarded.max_age && { maxAge: Number(forwarded.max_age) })
+    }, {
+      ...forwarded,
+      ...(action === 'signup' && signupParams(signupMode))
     });
 
-    // Keycloak registration endpoint
     if (action === 'signup') {
-      endpoint = endpoint.replace(/\/auth$/, '/registrations');
-      log.info('Login redirect (signup mode)', { endpoint });
+      log.info('Login redirect (signup mode)', { signupMode, returnTo, forwarded: Object.keys(forwarded) });
     } else {
-      log.info('Login redirect', { endpoint });
+      log.info('Login redirect', { returnTo, forwarded: Object.keys(forwarded) });
     }
 
-    res.redirect(`${endpoint}?${params.toString()}`);
+    res.redirect(url);
+  });
+
+  // ---------------------------------------------------------------------------
+  // SILENT SSO
+  // ---------------------------------------------------------------------------
+  // prompt=none: Keycloak answers at once, with a code if the reader already
+  // has a session, or login_required otherwise. The callback then returns
+  // the reader to returnTo either signed in or unchanged, never on an error page.
+
+  router.get('/silent', async (req, res) => {
+    const returnTo = resolveReturnTo(req.query.returnTo || req.query.r, blogUrl, returnPaths);
+    const url = await authorizationUrl(res, { returnTo, silent: true }, { prompt: 'none' });
+
+    // Read by silent.js: one check per browser session
+    res.cookie(SILENT_SSO_COOKIE, '1', { secure: true, sameSite: 'Lax', path: '/' });
+
+    log.info('Silent login redirect', { returnTo });
+    res.redirect(url);
+  });
+
+  router.get('/silent.js', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600')
+      .type('application/javascript')
+      .send(silentScript);
+  });
+
+  // ---------------------------------------------------------------------------
+  // STATUS ENDPOINT
+  // ---------------------------------------------------------------------------
+  // Tells themes and front-end apps which Keycloak identity this browser is
+  // linked to, from the signed bridge session set at login.
+
+  router.use('/me', corsMiddleware(statusOrigins));
+
+  router.get('/me', (req, res) => {
+    const session = readMemberSession(req.cookies[MEMBER_SESSION_COOKIE]);
+
+    res.set('Cache-Control', 'no-store')
+      .vary('Cookie')
+      .json(memberStatus(session, !!req.cookies['ghost-members-ssr']));
   });
 
   // ---------------------------------------------------------------------------
@@ -237,6 +394,7 @@ export default function (oidcConfig) {
     // Clear local cookies
     res.clearCookie('ghost-members-ssr', { path: '/' });
     res.clearCookie('kc_member_id_token');
+    res.clearCookie(MEMBER_SESSION_COOKIE, { path: '/auth/member' });
 
     const endSessionEndpoint = oidcConfig.serverMetadata().end_session_endpoint;
 
@@ -258,6 +416,32 @@ export default function (oidcConfig) {
     res.redirect(blogUrl);
   });
 
+  // ---------------------------------------------------------------------------
+  // BACK-CHANNEL LOGOUT ENDPOINT
+  // ---------------------------------------------------------------------------
+  // Called server-to-server by Keycloak. Ghost member sessions are stateless
+  // cookies bound to the member's transient_id, so cycling it is the only way
+  // to end them: this signs the member out on every device. Not available in
+  // API-only mode, which keeps no session records.
+
+  if (useDatabase) {
+    router.post('/backchannel-logout', express.urlencoded({ extended: false }), backchannelLogoutHandler(
+      'member',
+      verifyLogoutToken,
+      async (identity) => {
+        const tracked = await findSessions('member', identity);
+        const memberIds = [...new Set(tracked.map(row => row.ghost_id))];
+
+        for (const memberId of memberIds) {
+          await query('UPDATE members SET transient_id = ? WHERE id = ?', [generateUUID(), memberId]);
+        }
+
+        await forgetSessions(tracked.map(row => row.id));
+        return memberIds.length;
+      }
+    ));
+  }
+
   // ---------------------------------------------------------------------------
   // OIDC CALLBACK ENDPOINT
   // ---------------------------------------------------------------------------
@@ -265,16 +449,72 @@ export default function (oidcConfig) {
   router.get('/callback', async (req, res) => {
     log.http('Callback received', { query: Object.keys(req.query) });
 
+    // Known once the state is checked; silent attempts never end on a page
+    let authState = null;
+
     try {
       const currentUrl = new URL(req.protocol + '://' + req.get('host') + req.originalUrl);
       log.debug('OIDC params extracted');
 
+      // Single-use: the attempt is spent whatever the outcome
+      res.clearCookie(AUTH_STATE_COOKIE, { path: '/auth/member' });
+
+      // Keycloak answered with an error (cancelled, no session, ...): show
+      // it with a retry link, never bounce back to Keycloak
+      const oidcError = readOidcError(req.query);
+      if (oidcError) {
+        let attempt = null;
+        try {
+          attempt = consumeAuthState(req.cookies[AUTH_STATE_COOKIE], req.query.state);
+        } catch {
+          // Not a valid attempt (expired, blocked or forged cookie)
+        }
+
+        // Quiet errors only answer prompt=none: when the attempt cookie
+        // expired or was blocked, the reader still goes back to the blog
+        if (attempt?.silent || (!attempt && isQuietError(oidcError.error))) {
+          if (isQuietError(oidcError.error)) {
+            log.info('Silent login: no Keycloak session', { error: oidcError.error, attemptLost: !attempt });
+          } else {
+            log.warn('Silent login returned an OIDC error', oidcError);
+          }
+          return returnQuietly(req, res, attempt?.returnTo);
+        }
+
+        const correlationId = createCorrelationId();
+        log.warn('Callback returned an OIDC error', { ...oidcError, correlationId });
+
+        return pages.send(req, res, loginErrorPage({
+          code: oidcError.error,
+          correlationId,
+          retryUrl: '/auth/member/login',
+          homeUrl: blogUrl
+        }));
+      }
+
+      authState = consumeAuthState(req.cookies[AUTH_STATE_COOKIE], req.query.state);
+
       const tokenSet = await authorizationCodeGrant(oidcConfig, currentUrl, {
-        redirect_uri: process.env.MEMBER_CALLBACK_URL
+        pkceCodeVerifier: authState.codeVerifier,
+        expectedState: authState.state,
+        expectedNonce: authState.nonce,
+        ...(authState.maxAge !== undefined && { maxAge: authState.maxAge })
       });
       const claims = tokenSet.claims();
       log.info('Token received from Keycloak');
 
+      if (requireVerifiedEmail && claims.email_verified !== true) {
+        log.warn('Callback rejected', { reason: 'email_not_verified', email: claims.email });
+        if (authState.silent) {
+          return returnQuietly(req, res, authState.returnTo);
+        }
+        return pages.send(req, res, emailNotVerifiedPage({
+          email: claims.email,
+          accountUrl: `${metadata.issuer}/account/`,
+          retryUrl: '/auth/member/login'
+        }));
+      }
+
       // Store id_token for SLO
       res.cookie('kc_member_id_token', tokenSet.id_token, {
         httpOnly: true,
@@ -288,57 +528,240 @@ export default function (oidcConfig) {
 
       log.info('Processing member authentication', { email: userEmail });
 
-      // Check if member exists
-      let members;
-      try {
-        members = await ghost.members.browse({ filter: `email:'${userEmail}'` });
-      } catch (apiErr) {
-        log.error('Ghost API browse failed', { error: apiErr.message });
-        throw new Error(`Ghost API unreachable: ${apiErr.message}`);
+      // Labels granted by Keycloak roles/groups (empty when mapping disabled)
+      const grantedLabels = resolveMemberLabels(claims, labelMapping, process.env.MEMBER_CLIENT_ID);
+
+      // Check if member exists: by Keycloak subject first, then by email
+      let member;
+      let created = false;
+      const linkedId = useDatabase && claims.sub ? await findLinkedId('member', claims.sub) : null;
+
+      if (linkedId) {
+        member = await findMember(nqlEquals('id', linkedId));
+
+        if (!member) {
+          log.warn('Linked member no longer exists, falling back to email', { memberId: linkedId });
+          await unlinkIdentity('member', claims.sub);
+        } else if (userEmail && member.email.toLowerCase() !== userEmail.toLowerCase()) {
+          // Email changed in Keycloak: follow it (Ghost refuses addresses already in use)
+          try {
+            member = await ghost.members.edit(member.id, { email: userEmail });
+            log.info('Member email updated from Keycloak', { memberId: member.id });
+          } catch (apiErr) {
+            log.warn('Member email update failed, keeping Ghost email', { memberId: member.id, error: apiErr.message });
+          }
+        }
       }
 
-      if (!Array.isArray(members)) {
-        log.error('Ghost API returned invalid response', { type: typeof members });
-        throw new Error('Ghost API returned invalid response');
+      if (!member) {
+        member = await findMember(nqlEquals('email', userEmail));
+
+        // Auto-provision member
+        if (!member) {
+          // Newsletters and consent record (null when not configured: Ghost defaults, no note)
+          const signup = resolveNewsletterSignup(claims, {
+            references: newsletterRefs,
+            optInClaim: newsletterOptInClaim,
+            newsletters: newsletterRefs.length > 0 ? await loadNewsletters() : []
+          });
+
+          if (signup?.unknown.length > 0) {
+            log.warn('MEMBER_NEWSLETTERS references unknown newsletters', { unknown: signup.unknown });
+          }
+
+          log.info('Creating new member', {
+            email: userEmail,
+            name: userName,
+            labels: grantedLabels,
+            newsletters: signup?.newsletters ?? 'default'
+          });
+          member = await ghost.members.add({
+            email: userEmail,
+            name: userName,
+            ...profileFromClaims(claims, profileMapping),
+            ...(grantedLabels.length > 0 && { labels: grantedLabels.map(name => ({ name })) }),
+            ...(signup && { note: signup.note }),
+            ...(signup?.newsletters && { newsletters: signup.newsletters.map(id => ({ id })) })
+          });
+          created = true;
+        } else {
+          log.debug('Member exists', { email: userEmail, memberId: member.id });
+        }
+
+        if (useDatabase && member?.id && claims.sub) {
+          await linkIdentity('member', claims.sub, member.id);
+        }
       }
 
-      // Auto-provision member
-      if (members.length === 0) {
-        log.info('Creating new member', { email: userEmail, name: userName });
-        await ghost.members.add({
-          email: userEmail,
-          name: userName
-        });
+      // Refresh profile and labels of existing members in a single write,
+      // skipped when nothing changed; a failure must not block sign-in
+      if (!created && member?.id) {
+        const updates = {
+          ...(profileSync && profileChanges(member, claims, profileMapping))
+        };
+
+        if (labelMapping.size > 0) {
+          const labels = reconcileLabels(member.labels, grantedLabels, {
+            mapping: labelMapping,
+            removeStale: removeStaleLabels
+          });
+
+          if (labels) {
+            updates.labels = labels.map(name => ({ name }));
+          }
+        }
+
+        if (Object.keys(updates).length > 0) {
+          try {
+            member = await ghost.members.edit(member.id, updates) || member;
+            log.info('Member updated from Keycloak', { memberId: member.id, fields: Object.keys(updates) });
+          } catch (apiErr) {
+            log.error('Member sync failed', { memberId: member.id, fields: Object.keys(updates), error: apiErr.message });
+          }
+        }
+      }
+
+      // Grant/revoke complimentary tiers; a failure must not block sign-in
+      if (member?.id && tierMapping.size > 0) {
+        try {
+          const { granted, managed, unknown } = resolveTierGrants(
+            claims, tierMapping, process.env.MEMBER_CLIENT_ID, await loadTiers()
+          );
+
+          if (unknown.length > 0) {
+            log.warn('MEMBER_TIER_MAPPING references unknown tiers', { unknown });
+          }
+
+          const changes = planTierChanges(member, granted, managed);
+
+          if (changes && tierDryRun) {
+            log.info('Member tier changes (dry run, not applied)', {
+              memberId: member.id,
+              added: changes.added,
+              removed: changes.removed
+            });
+          } else if (changes) {
+            member = await ghost.members.edit(member.id, { tiers: changes.tiers.map(id => ({ id })) }) || member;
+            log.info('Member tiers updated', { memberId: member.id, added: changes.added, removed: changes.removed });
+          }
+        } catch (apiErr) {
+          log.error('Member tier sync failed', { memberId: member.id, error: apiErr.message });
+        }
+      }
+
+      let magicLink;
+
+      if (useDatabase) {
+        // Ghost signs in by email: use the member's, which may differ if the update failed
+        const signinEmail = member?.email || userEmail;
+
+        // Generate magic token
+        const token = generateMagicToken();
+        const now = new Date();
+
+        await query(
+          `INSERT INTO tokens (id, token, uuid, data, created_at, updated_at, used_count, otc_used_count) 
+                   VALUES (?, ?, ?, ?, ?, ?, 0, 0)`,
+          [
+            generateObjectId(),
+            token,
+            generateUUID(),
+            JSON.stringify({ email: signinEmail, type: 'signin' }),
+            now,
+            now
+          ]
+        );
+
+        magicLink = new URL(`${blogUrl}/members/`);
+        magicLink.searchParams.set('token', token);
+
+        // Link the member to the Keycloak session for back-channel logout
+        if (member?.id) {
+          try {
+            await recordSession({
+              realm: 'member',
+              sub: claims.sub,
+              sid: claims.sid,
+              ghostId: member.id,
+              expiresAt: new Date(Date.now() + MEMBER_SESSION_MAX_AGE)
+            });
+          } catch (err) {
+            log.error('Failed to record member session, back-channel logout will miss it', { error: err.message });
+          }
+        }
       } else {
-        log.debug('Member exists', { email: userEmail, memberId: members[0].id });
+        // A sign-in URL needs the Ghost member ID; without it there is nothing to sign in to
+        if (!member?.id) {
+          const correlationId = createCorrelationId();
+          log.error('Ghost returned no member ID, cannot request a sign-in URL', { email: userEmail, correlationId });
+
+          if (authState.silent) {
+            return returnQuietly(req, res, authState.returnTo);
+          }
+          return pages.send(req, res, loginErrorPage({
+            code: 'fatal',
+            correlationId,
+            retryUrl: '/auth/member/login',
+            homeUrl: blogUrl
+          }));
+        }
+
+        // Ghost creates the token itself (Admin API member sign-in URL)
+        magicLink = new URL(await ghost.members.signinUrl(member.id));
       }
 
-      // Generate magic token
-      const token = generateMagicToken();
-      const now = new Date();
-
-      await query(
-        `INSERT INTO tokens (id, token, uuid, data, created_at, updated_at, used_count, otc_used_count) 
-                 VALUES (?, ?, ?, ?, ?, ?, 0, 0)`,
-        [
-          generateObjectId(),
-          token,
-          generateUUID(),
-          JSON.stringify({ email: userEmail, type: 'signin' }),
-          now,
-          now
-        ]
-      );
-
-      log.info('Magic token created, redirecting', { email: userEmail });
-      res.redirect(`${blogUrl}/members/?token=${token}`);
+      // Bridge session read by /me (lasts as long as Ghost's member session)
+      res.cookie(MEMBER_SESSION_COOKIE, createMemberSession(claims, MEMBER_SESSION_MAX_AGE).cookie, {
+        httpOnly: true,
+        secure: true,
+        sameSite: sessionSameSite,
+        path: '/auth/member',
+        maxAge: MEMBER_SESSION_MAX_AGE
+      });
 
-    } catch (err) {
-      log.error('Callback failed', {
-        error: err.message,
-        stack: err.stack
+      // Ghost's magic link handler sends the member on to `r` once signed in
+      if (authState.returnTo) {
+        magicLink.searchParams.set('action', 'signin');
+        magicLink.searchParams.set('r', authState.returnTo);
+      }
+
+      log.info('Magic link created, redirecting', {
+        email: userEmail,
+        loginMode,
+        returnTo: authState.returnTo,
+        silent: !!authState.silent
       });
-      res.status(500).send(`Authentication failed: ${err.message}`);
+      pages.redirect(req, res, magicLink.href);
+
+    } catch (err) {
+      // Internal error messages stay in the logs, the page shows the reference
+      const correlationId = createCorrelationId();
+      let code = 'fatal';
+
+      if (err instanceof AuthStateError) {
+        code = 'invalid_state';
+        log.warn('Callback rejected', { reason: err.code, correlationId });
+      } else if (err instanceof IdentityConflictError) {
+        code = 'identity_conflict';
+        log.warn('Callback rejected', { reason: 'identity_conflict', correlationId });
+      } else {
+        log.error('Callback failed', {
+          error: err.message,
+          stack: err.stack,
+          correlationId
+        });
+      }
+
+      if (authState?.silent) {
+        return returnQuietly(req, res, authState.returnTo);
+      }
+
+      pages.send(req, res, loginErrorPage({
+        code,
+        correlationId,
+        retryUrl: '/auth/member/login',
+        homeUrl: blogUrl
+      }));
     }
   });
 
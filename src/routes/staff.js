@@ -11,24 +11,66 @@
 //   - Signs session cookies using Ghost's internal secret
 //
 // Key Functions:
-//   - GET /login: Initiates OIDC authorization flow
+//   - GET /login: Initiates OIDC authorization flow (forwarding allowlisted
+//     Keycloak parameters such as kc_idp_hint), or shows why the last attempt
+//     failed (?error=...)
+//   - GET /logout: Deletes the bridge session and triggers Keycloak SLO
+//   - POST /backchannel-logout: Revokes sessions when Keycloak ends them centrally
 //   - GET /callback: Validates user, creates session, sets signed cookie
 //
 // Characteristics:
-//   - Requires user to pre-exist in Ghost users table (no auto-provisioning)
-//   - Session validity: 180 days (15552000000ms)
+//   - Emails Keycloak has not verified are refused (STAFF_REQUIRE_EMAIL_VERIFIED)
+//   - Unknown users are refused unless STAFF_AUTO_PROVISION is enabled and
+//     they carry a mapped Keycloak role or group
+//   - On a fresh Ghost install, the first login carrying STAFF_BOOTSTRAP_ROLE
+//     becomes the Owner and completes setup
+//   - Ghost role re-synced from Keycloak roles/groups on every login (optional)
+//   - Session validity: STAFF_SESSION_MAX_AGE (180 days by default), optionally
+//     following the Keycloak session via STAFF_SESSION_LIFETIME
 //   - Cookie path restricted to /ghost for admin panel isolation
+//   - State, nonce and PKCE verifier carried in an encrypted single-use cookie
+//   - Failed logins end on a branded, translated error page with a
+//     correlation ID, never back at Keycloak (which would sign the user
+//     straight back into the failure)
 // ============================================================================
 
 import express from 'express';
 import crypto from 'crypto';
-import { buildAuthorizationUrl, authorizationCodeGrant } from 'openid-client';
-import { query } from '../lib/db.js';
+import { buildAuthorizationUrl, buildEndSessionUrl, authorizationCodeGrant } from 'openid-client';
+import { createRemoteJWKSet } from 'jose';
+import { query, isStaffEmpty } from '../lib/db.js';
 import { generateObjectId, generateSessionId } from '../lib/utils.js';
+import { createAuthState, consumeAuthState, AuthStateError, AUTH_STATE_MAX_AGE } from '../lib/auth-state.js';
+import { sealCookie, openCookie } from '../lib/signed-cookies.js';
+import { parseRoleMapping, toGhostRole, extractKeycloakRoles, resolveGhostRole, syncStaffRole } from '../lib/staff-roles.js';
+import { findStaffUser, provisionStaffUser, bootstrapOwner } from '../lib/staff-users.js';
+import { linkIdentity, IdentityConflictError } from '../lib/identity-links.js';
+import { envList, envBool, envDuration } from '../lib/config.js';
+import { parseLifetimeSource, resolveSessionExpiry } from '../lib/session-lifetime.js';
+import { recordSession, findSessions, forgetSessions, forgetGhostSession } from '../lib/session-store.js';
+import { createLogoutTokenVerifier, backchannelLogoutHandler } from '../lib/backchannel.js';
+import { emailNotVerifiedPage } from '../lib/pages.js';
+import { LOGIN_PARAMS, parseLoginParams, pickLoginParams } from '../lib/login-params.js';
+import { getPageRenderer } from '../lib/templates.js';
+import { createCorrelationId, readCorrelationId, readOidcError, loginErrorPage } from '../lib/login-errors.js';
 import { createLogger } from '../lib/logger.js';
 
 const log = createLogger('staff');
 
+const AUTH_STATE_COOKIE = 'kc_staff_auth_state';
+const ID_TOKEN_COOKIE = 'kc_staff_id_token';
+const SESSION_COOKIE = 'kc_staff_session';
+
+const DEFAULT_SESSION_MAX_AGE = 15552000000; // 180 days
+
+// Bridge cookies live on /auth/admin so that /logout can read them
+const BRIDGE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'Lax',
+  path: '/auth/admin'
+};
+
 // ---------------------------------------------------------------------------
 // COOKIE SIGNATURE
 // ---------------------------------------------------------------------------
@@ -60,25 +102,201 @@ export default function (oidcConfig) {
 
   const blogUrl = (process.env.BLOG_PUBLIC_URL || '').replace(/\/$/, '');
 
-  log.info('Staff routes initialized', { blogUrl });
+  // Emails Keycloak has not verified could claim someone else's staff account
+  const requireVerifiedEmail = envBool('STAFF_REQUIRE_EMAIL_VERIFIED', true);
+
+  // Role mapping (optional): Keycloak role/group -> Ghost role
+  const roleMapping = parseRoleMapping(process.env.STAFF_ROLE_MAPPING);
+  const defaultRole = process.env.STAFF_ROLE_DEFAULT ? toGhostRole(process.env.STAFF_ROLE_DEFAULT) : null;
+
+  // Just-in-time provisioning (opt-in): only for users with a mapped role
+  const autoProvision = envBool('STAFF_AUTO_PROVISION');
+
+  if (autoProvision && roleMapping.size === 0) {
+    log.warn('STAFF_AUTO_PROVISION is enabled but STAFF_ROLE_MAPPING is empty, no user will be provisioned');
+  }
+
+  // Owner bootstrap (opt-in): Keycloak role/group allowed to complete Ghost setup
+  const bootstrapRole = process.env.STAFF_BOOTSTRAP_ROLE || null;
+
+  // Ghost session lifetime: capped by the max age, optionally following Keycloak
+  const sessionMaxAge = envDuration('STAFF_SESSION_MAX_AGE', DEFAULT_SESSION_MAX_AGE);
+  const sessionLifetimeSource = parseLifetimeSource(process.env.STAFF_SESSION_LIFETIME);
+
+  // Query parameters /login forwards to Keycloak (IdP hint, login hint, ...)
+  const loginParams = parseLoginParams(envList('STAFF_LOGIN_PARAMS', LOGIN_PARAMS));
+  const idpHints = envList('STAFF_IDP_HINTS');
+
+  // Where Keycloak sends staff after logout (must be a valid post-logout URI)
+  const postLogoutUrl = process.env.STAFF_POST_LOGOUT_URL || blogUrl;
+
+  // Back-channel logout: logout tokens are verified against the realm's JWKS
+  const metadata = oidcConfig.serverMetadata();
+  const verifyLogoutToken = createLogoutTokenVerifier({
+    issuer: metadata.issuer,
+    clientId: process.env.STAFF_CLIENT_ID,
+    jwks: createRemoteJWKSet(new URL(metadata.jwks_uri))
+  });
+
+  log.info('Staff routes initialized', {
+    blogUrl,
+    requireVerifiedEmail,
+    loginParams: [...loginParams],
+    idpHints,
+    roleMappings: roleMapping.size,
+    defaultRole,
+    autoProvision,
+    bootstrapRole,
+    sessionMaxAge,
+    sessionLifetimeSource
+  });
+
+  // Branded, translated pages (lib/templates.js)
+  const pages = getPageRenderer();
+
+  /**
+   * Sends the browser to the login error page.
+   * @param {Object} res - Express response
+   * @param {string} code - Error code shown by GET /login
+   * @param {string} correlationId - ID logged with the failure
+   */
+  const redirectToError = (res, code, correlationId) => {
+    const params = new URLSearchParams({ error: code, ref: correlationId });
+    res.redirect(`/auth/admin/login?${params}`);
+  };
 
   // ---------------------------------------------------------------------------
   // LOGIN ENDPOINT
   // ---------------------------------------------------------------------------
 
-  router.get('/login', (req, res) => {
+  router.get('/login', async (req, res) => {
+    // Failed logins land here: show the error instead of bouncing to Keycloak
+    if (req.query.error) {
+      return pages.send(req, res, loginErrorPage({
+        code: String(req.query.error),
+        correlationId: readCorrelationId(req.query.ref),
+        retryUrl: '/auth/admin/login',
+        homeUrl: blogUrl
+      }));
+    }
+
+    const { params: forwarded, rejected } = pickLoginParams(req.query, loginParams, { idpHints });
+
+    if (rejected.length > 0) {
+      log.warn('Staff login parameters dropped (invalid value)', { rejected });
+    }
+
+    // max_age is remembered so the callback can check auth_time against it
+    const { cookie, params: authParams } = await createAuthState(
+      forwarded.max_age ? { maxAge: Number(forwarded.max_age) } : {}
+    );
+
     const authUrl = buildAuthorizationUrl(oidcConfig, {
       scope: 'openid email profile',
-      redirect_uri: process.env.STAFF_CALLBACK_URL
+      redirect_uri: process.env.STAFF_CALLBACK_URL,
+      ...forwarded,
+      ...authParams
+    });
+
+    res.cookie(AUTH_STATE_COOKIE, cookie, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'Lax',
+      path: '/auth/admin',
+      maxAge: AUTH_STATE_MAX_AGE
     });
 
     log.info('Staff login redirect', {
-      redirectUri: process.env.STAFF_CALLBACK_URL
+      redirectUri: process.env.STAFF_CALLBACK_URL,
+      forwarded: Object.keys(forwarded)
     });
 
     res.redirect(authUrl.href);
   });
 
+  // ---------------------------------------------------------------------------
+  // LOGOUT ENDPOINT
+  // ---------------------------------------------------------------------------
+
+  router.get('/logout', async (req, res) => {
+    const idToken = req.cookies[ID_TOKEN_COOKIE];
+    const bridgeSession = openCookie(req.cookies[SESSION_COOKIE]);
+
+    log.info('Staff logout initiated', {
+      hasIdToken: !!idToken,
+      hasSession: !!bridgeSession
+    });
+
+    // Revoke the Ghost session row created at login, then its tracking row,
+    // so back-channel logout and the sweeper no longer target it
+    if (bridgeSession?.sessionId) {
+      try {
+        const result = await query('DELETE FROM sessions WHERE session_id = ?', [bridgeSession.sessionId]);
+        await forgetGhostSession(bridgeSession.sessionId);
+        log.info('Staff session deleted', {
+          sessionId: bridgeSession.sessionId.substring(0, 8) + '...',
+          rows: result.affectedRows
+        });
+      } catch (err) {
+        // Logout must still complete on the browser and Keycloak side
+        log.error('Staff session deletion failed', { error: err.message });
+      }
+    }
+
+    // Clear local cookies (attributes must match those used when setting)
+    res.clearCookie('ghost-admin-api-session', {
+      httpOnly: true,
+      secure: true,
+      path: '/ghost',
+      sameSite: 'none'
+    });
+    res.clearCookie(ID_TOKEN_COOKIE, BRIDGE_COOKIE_OPTIONS);
+    res.clearCookie(SESSION_COOKIE, BRIDGE_COOKIE_OPTIONS);
+
+    if (oidcConfig.serverMetadata().end_session_endpoint) {
+      const params = {
+        client_id: process.env.STAFF_CLIENT_ID,
+        post_logout_redirect_uri: postLogoutUrl
+      };
+
+      if (idToken) {
+        params.id_token_hint = idToken;
+      }
+
+      const endSessionUrl = buildEndSessionUrl(oidcConfig, params);
+      log.debug('Redirecting to Keycloak logout', { endpoint: endSessionUrl.origin + endSessionUrl.pathname });
+      return res.redirect(endSessionUrl.href);
+    }
+
+    log.debug('No end_session_endpoint, redirecting to blog');
+    res.redirect(postLogoutUrl);
+  });
+
+  // ---------------------------------------------------------------------------
+  // BACK-CHANNEL LOGOUT ENDPOINT
+  // ---------------------------------------------------------------------------
+  // Called server-to-server by Keycloak; deletes the Ghost sessions created
+  // for the ended Keycloak session (sid) or for every session of the user (sub).
+
+  router.post('/backchannel-logout', express.urlencoded({ extended: false }), backchannelLogoutHandler(
+    'staff',
+    verifyLogoutToken,
+    async (identity) => {
+      const tracked = await findSessions('staff', identity);
+      const sessionIds = tracked.map(row => row.ghost_session_id).filter(Boolean);
+
+      if (sessionIds.length > 0) {
+        await query(
+          `DELETE FROM sessions WHERE session_id IN (${sessionIds.map(() => '?').join(', ')})`,
+          sessionIds
+        );
+      }
+
+      await forgetSessions(tracked.map(row => row.id));
+      return sessionIds.length;
+    }
+  ));
+
   // ---------------------------------------------------------------------------
   // OIDC CALLBACK ENDPOINT
   // ---------------------------------------------------------------------------
@@ -88,34 +306,93 @@ export default function (oidcConfig) {
 
     try {
       const currentUrl = new URL(req.protocol + '://' + req.get('host') + req.originalUrl);
+
+      // Single-use: the attempt is spent whatever the outcome
+      res.clearCookie(AUTH_STATE_COOKIE, { path: '/auth/admin' });
+
+      // Keycloak answered with an error (cancelled, no session, ...)
+      const oidcError = readOidcError(req.query);
+      if (oidcError) {
+        const correlationId = createCorrelationId();
+        log.warn('Staff callback returned an OIDC error', { ...oidcError, correlationId });
+        return redirectToError(res, oidcError.error, correlationId);
+      }
+
+      const authState = consumeAuthState(req.cookies[AUTH_STATE_COOKIE], req.query.state);
+
       const tokenSet = await authorizationCodeGrant(oidcConfig, currentUrl, {
-        redirect_uri: process.env.STAFF_CALLBACK_URL
+        pkceCodeVerifier: authState.codeVerifier,
+        expectedState: authState.state,
+        expectedNonce: authState.nonce,
+        ...(authState.maxAge !== undefined && { maxAge: authState.maxAge })
       });
       const claims = tokenSet.claims();
       const email = claims.email;
 
       log.info('Staff token received', { email });
 
-      // Verify user exists in Ghost
-      const users = await query(
-        "SELECT id FROM users WHERE email = ? AND status IN ('active', 'warn-1', 'warn-2', 'warn-3', 'locked')",
-        [email]
-      );
+      if (requireVerifiedEmail && claims.email_verified !== true) {
+        log.warn('Staff callback rejected', { reason: 'email_not_verified', email });
+        return pages.send(req, res, emailNotVerifiedPage({
+          email,
+          accountUrl: `${metadata.issuer}/account/`,
+          retryUrl: '/auth/admin/login'
+        }));
+      }
 
-      if (users.length === 0) {
-        log.warn('Staff user not found in Ghost', { email });
-        return res.redirect('/auth/admin/login?error=user_not_found');
+      // Keycloak-managed role (null when unmapped or mapping disabled)
+      const mappedRole = roleMapping.size > 0
+        ? resolveGhostRole(claims, roleMapping, process.env.STAFF_CLIENT_ID)
+        : null;
+
+      // Verify user exists in Ghost (by Keycloak subject, then email)
+      let userId = await findStaffUser(claims);
+      const existingUser = Boolean(userId);
+
+      if (existingUser) {
+        log.debug('Staff user found', { email, userId });
+
+        // Apply Keycloak-managed role (Owner is never modified)
+        if (roleMapping.size > 0) {
+          const ghostRole = mappedRole || defaultRole;
+
+          if (ghostRole) {
+            await syncStaffRole(userId, ghostRole);
+          } else {
+            log.warn('No mapped Ghost role for staff user, role left unchanged', { email });
+          }
+        }
+      } else {
+        if (bootstrapRole
+          && extractKeycloakRoles(claims, process.env.STAFF_CLIENT_ID).has(bootstrapRole)
+          && await isStaffEmpty()) {
+          userId = await bootstrapOwner(claims);
+        }
+
+        // Also reached when another first login claimed the Owner concurrently
+        if (!userId && autoProvision && mappedRole) {
+          userId = await provisionStaffUser(claims, mappedRole);
+        }
       }
 
-      const userId = users[0].id;
-      log.debug('Staff user found', { email, userId });
+      // Users created above are linked right away
+      if (userId && !existingUser && claims.sub) {
+        await linkIdentity('staff', claims.sub, userId);
+      }
+
+      if (!userId) {
+        const correlationId = createCorrelationId();
+        log.warn('Staff user not found in Ghost', { email, autoProvision, mappedRole, correlationId });
+        return redirectToError(res, 'user_not_found', correlationId);
+      }
 
       // Retrieve Ghost session secret
       const settings = await query("SELECT value FROM settings WHERE `key` = 'admin_session_secret'");
 
       if (settings.length === 0) {
-        log.error('admin_session_secret not found in Ghost settings');
-        return res.redirect('/auth/admin/login?error=fatal_config');
+        const correlationId = createCorrelationId();
+        log.error('admin_session_secret not found in Ghost settings', { correlationId });
+        return redirectToError(res, 'fatal_config', correlationId);
       }
 
       const ghostSessionSecret = settings[0].value;
@@ -124,7 +401,12 @@ export default function (oidcConfig) {
       const sessionId = generateSessionId();
       const rowId = generateObjectId();
       const now = new Date();
-      const expiresAt = new Date(Date.now() + 15552000000); // 180 days
+      const expiresAt = resolveSessionExpiry(tokenSet, claims, {
+        source: sessionLifetimeSource,
+        maxAge: sessionMaxAge,
+        now: now.getTime()
+      });
+      const sessionTtl = expiresAt.getTime() - now.getTime();
 
       // Extract real client IP
       let userIp = req.headers['x-real-ip']
@@ -146,7 +428,7 @@ export default function (oidcConfig) {
       // Build session JSON
       const sessionData = JSON.stringify({
         cookie: {
-          originalMaxAge: 15552000000,
+          originalMaxAge: sessionTtl,
           expires: expiresAt.toISOString(),
           secure: true,
           httpOnly: true,
@@ -167,6 +449,20 @@ export default function (oidcConfig) {
         [rowId, sessionId, userId, sessionData, now, now]
       );
 
+      // Link the Ghost session to the Keycloak session for back-channel logout
+      try {
+        await recordSession({
+          realm: 'staff',
+          sub: claims.sub,
+          sid: claims.sid,
+          ghostId: userId,
+          ghostSessionId: sessionId,
+          expiresAt
+        });
+      } catch (err) {
+        log.error('Failed to record staff session, back-channel logout will miss it', { error: err.message });
+      }
+
       log.info('Staff session created', {
         email,
         userId,
@@ -181,19 +477,42 @@ export default function (oidcConfig) {
         httpOnly: true,
         secure: true,
         path: '/ghost',
-        maxAge: 15552000000,
+        maxAge: sessionTtl,
         sameSite: 'none'
       });
 
+      // Keep what /logout needs: the Ghost session to revoke and the SLO hint
+      res.cookie(SESSION_COOKIE, sealCookie({ sessionId }), {
+        ...BRIDGE_COOKIE_OPTIONS,
+        maxAge: sessionTtl
+      });
+      res.cookie(ID_TOKEN_COOKIE, tokenSet.id_token, {
+        ...BRIDGE_COOKIE_OPTIONS,
+        maxAge: sessionTtl
+      });
+
       log.info('Staff login successful, redirecting to admin', { email });
-      res.redirect(`${blogUrl}/ghost/`);
+      pages.redirect(req, res, `${blogUrl}/ghost/`);
 
     } catch (err) {
+      const correlationId = createCorrelationId();
+
+      if (err instanceof AuthStateError) {
+        log.warn('Staff callback rejected', { reason: err.code, correlationId });
+        return redirectToError(res, 'invalid_state', correlationId);
+      }
+
+      if (err instanceof IdentityConflictError) {
+        log.warn('Staff callback rejected', { reason: 'identity_conflict', correlationId });
+        return redirectToError(res, 'identity_conflict', correlationId);
+      }
+
       log.error('Staff callback failed', {
         error: err.message,
-        stack: err.stack
+        stack: err.stack,
+        correlationId
       });
-      res.redirect('/auth/admin/login?error=fatal');
+      redirectToError(res, 'fatal', correlationId);
     }
   });
 
@@ -12,22 +12,32 @@
 //
 // Key Functions:
 //   - Discovers Keycloak OIDC metadata for both realms dynamically
+//   - Negotiates the Ghost Admin API version before serving logins
+//   - Loads the blog's title and accent color for the bridge's pages
 //   - Mounts /auth/member and /auth/admin route handlers
 //   - Enables trust proxy for X-Forwarded-* header processing
+//   - Starts the sweeper for expired bridge-created sessions
 //
 // Characteristics:
 //   - Async bootstrap: waits for OIDC discovery before accepting requests
-//   - Requires environment variables for both Member and Staff realms
+//   - Requires environment variables for the Member realm; the Staff realm is
+//     skipped when STAFF_KEYCLOAK_ISSUER is not set
+//   - Without the Staff realm and with MEMBER_LOGIN_MODE=api, the Ghost
+//     database is never used: no session sweeper, no database readiness check
 //   - Default port: 3000 (configurable via PORT env var)
 // ============================================================================
 
 import express from 'express';
 import cookieParser from 'cookie-parser';
 import { discovery } from 'openid-client';
-import memberRoutes from './routes/members.js';
+import memberRoutes, { LOGIN_MODES } from './routes/members.js';
 import staffRoutes from './routes/staff.js';
 import { createLogger } from './lib/logger.js';
-import healthRouter, { setStartupComplete } from './routes/health.js';
+import { envBool, envChoice, envDuration } from './lib/config.js';
+import { startSessionSweeper } from './lib/session-store.js';
+import { getGhostApi, detectGhostVersion } from './lib/ghost-api.js';
+import { startSiteBrandingRefresh } from './lib/site-branding.js';
+import healthRouter, { setStartupComplete, setGhostVersion, setDatabaseRequired } from './routes/health.js';
 
 const log = createLogger('server');
 
@@ -59,6 +69,11 @@ async function start() {
   });
 
   try {
+    // Staff SSO always writes Ghost sessions; members only in database mode
+    const staffEnabled = Boolean(process.env.STAFF_KEYCLOAK_ISSUER);
+    const databaseInUse = staffEnabled || envChoice('MEMBER_LOGIN_MODE', LOGIN_MODES, 'database') === 'database';
+    setDatabaseRequired(databaseInUse);
+
     // Member Realm: handles blog subscribers and free/paid members
     log.info('Discovering Member OIDC issuer...', { issuer: process.env.MEMBER_KEYCLOAK_ISSUER });
     const memberConfig = await discovery(
@@ -69,13 +84,28 @@ async function start() {
     log.info('Member OIDC client initialized');
 
     // Staff Realm: handles Ghost admin panel access (editors, authors, admins)
-    log.info('Discovering Staff OIDC issuer...', { issuer: process.env.STAFF_KEYCLOAK_ISSUER });
-    const staffConfig = await discovery(
-      new URL(process.env.STAFF_KEYCLOAK_ISSUER),
-      process.env.STAFF_CLIENT_ID,
-      process.env.STAFF_CLIENT_SECRET
-    );
-    log.info('Staff OIDC client initialized');
+    let staffConfig = null;
+
+    if (staffEnabled) {
+      log.info('Discovering Staff OIDC issuer...', { issuer: process.env.STAFF_KEYCLOAK_ISSUER });
+      staffConfig = await discovery(
+        new URL(process.env.STAFF_KEYCLOAK_ISSUER),
+        process.env.STAFF_CLIENT_ID,
+        process.env.STAFF_CLIENT_SECRET
+      );
+      log.info('Staff OIDC client initialized');
+    } else {
+      log.info('STAFF_KEYCLOAK_ISSUER not set, staff SSO disabled');
+    }
+
+    // Ghost version: pins Accept-Version for every later Admin API call
+    const ghostVersion = await detectGhostVersion(getGhostApi(), {
+      strict: envBool('GHOST_VERSION_STRICT')
+    });
+    setGhostVersion(ghostVersion);
+
+    // Blog title and accent color for the bridge's pages, kept fresh in the background
+    startSiteBrandingRefresh(getGhostApi(), envDuration('SITE_BRANDING_REFRESH_INTERVAL', 3600000));
 
     // ---------------------------------------------------------------------------
     // ROUTE MOUNTING
@@ -83,9 +113,18 @@ async function start() {
     // Attaches realm-specific route handlers with their respective OIDC clients.
 
     app.use('/auth/member', memberRoutes(memberConfig));
-    app.use('/auth/admin', staffRoutes(staffConfig));
+    if (staffConfig) {
+      app.use('/auth/admin', staffRoutes(staffConfig));
+    }
     setStartupComplete();
-    log.debug('Routes mounted', { paths: ['/auth/member', '/auth/admin'] });
+    log.debug('Routes mounted', { paths: staffConfig ? ['/auth/member', '/auth/admin'] : ['/auth/member'] });
+
+    // Expired bridge-created sessions are removed from Ghost's sessions table
+    if (databaseInUse) {
+      startSessionSweeper(envDuration('SESSION_SWEEP_INTERVAL', 900000));
+    } else {
+      log.info('Ghost database not used, session sweeper not started');
+    }
 
     // ---------------------------------------------------------------------------
     // SERVER START
@@ -21,7 +21,9 @@ process.env.LOG_LEVEL = 'error'; // Silence logs during tests
 
 process.env.BLOG_PUBLIC_URL = 'https://blog.example.com';
 process.env.GHOST_INTERNAL_URL = 'http://ghost:2368';
+process.env.BRIDGE_COOKIE_SECRET = 'test-cookie-secret';
 process.env.GHOST_ADMIN_API_KEY = 'abc123def456:1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
+process.env.GHOST_API_RETRIES = '0'; // Failures are final: no backoff waits in route tests
 
 process.env.DB_HOST = 'localhost';
 process.env.DB_USER = 'ghost';
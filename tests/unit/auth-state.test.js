@@ -0,0 +1,137 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// auth-state.test.js
+// Unit tests for OIDC login transaction state
+//
+// Purpose:
+//   - Validates state, nonce and PKCE generation
+//   - Ensures tampered, expired, mismatched and replayed callbacks are rejected
+// ============================================================================
+
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCK LOGGER
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const {
+    createAuthState,
+    consumeAuthState,
+    AuthStateError,
+    AUTH_STATE_MAX_AGE
+} = await import('../../src/lib/auth-state.js');
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: createAuthState()
+// ---------------------------------------------------------------------------
+
+describe('createAuthState()', () => {
+    test('should return state, nonce and S256 code challenge params', async () => {
+        const { params } = await createAuthState();
+
+        expect(params.state).toEqual(expect.any(String));
+        expect(params.nonce).toEqual(expect.any(String));
+        expect(params.code_challenge).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(params.code_challenge_method).toBe('S256');
+    });
+
+    test('should not expose the code verifier in params', async () => {
+        const { authState, params } = await createAuthState();
+
+        expect(Object.values(params)).not.toContain(authState.codeVerifier);
+    });
+
+    test('should generate unique values per attempt', async () => {
+        const first = await createAuthState();
+        const second = await createAuthState();
+
+        expect(first.params.state).not.toBe(second.params.state);
+        expect(first.params.nonce).not.toBe(second.params.nonce);
+    });
+
+    test('should carry extra data through the cookie', async () => {
+        const { cookie, params } = await createAuthState({ returnTo: '/welcome/' });
+
+        const authState = consumeAuthState(cookie, params.state);
+
+        expect(authState.returnTo).toBe('/welcome/');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: consumeAuthState()
+// ---------------------------------------------------------------------------
+
+describe('consumeAuthState()', () => {
+    test('should return the stored transaction for a matching state', async () => {
+        const { cookie, authState } = await createAuthState();
+
+        const result = consumeAuthState(cookie, authState.state);
+
+        expect(result.nonce).toBe(authState.nonce);
+        expect(result.codeVerifier).toBe(authState.codeVerifier);
+    });
+
+    test('should reject a missing cookie', () => {
+        expect(() => consumeAuthState(undefined, 'state')).toThrow(AuthStateError);
+    });
+
+    test('should reject a tampered cookie', async () => {
+        const { cookie, authState } = await createAuthState();
+        const raw = Buffer.from(cookie, 'base64url');
+        raw[raw.length - 1] ^= 1;
+
+        expect(() => consumeAuthState(raw.toString('base64url'), authState.state))
+            .toThrow(expect.objectContaining({ code: 'invalid' }));
+    });
+
+    test('should not expose the nonce or PKCE verifier in the cookie', async () => {
+        const { cookie, authState } = await createAuthState();
+        const decoded = Buffer.from(cookie, 'base64url').toString('latin1');
+
+        expect(cookie).not.toContain(authState.codeVerifier);
+        expect(decoded).not.toContain(authState.codeVerifier);
+        expect(decoded).not.toContain(authState.nonce);
+    });
+
+    test('should reject a mismatched state', async () => {
+        const { cookie } = await createAuthState();
+
+        expect(() => consumeAuthState(cookie, 'attacker-state'))
+            .toThrow(expect.objectContaining({ code: 'mismatch' }));
+    });
+
+    test('should reject an expired attempt', async () => {
+        jest.useFakeTimers();
+        const { cookie, authState } = await createAuthState();
+        jest.advanceTimersByTime(AUTH_STATE_MAX_AGE + 1);
+
+        expect(() => consumeAuthState(cookie, authState.state))
+            .toThrow(expect.objectContaining({ code: 'expired' }));
+    });
+
+    test('should reject a replayed callback', async () => {
+        const { cookie, authState } = await createAuthState();
+        consumeAuthState(cookie, authState.state);
+
+        expect(() => consumeAuthState(cookie, authState.state))
+            .toThrow(expect.objectContaining({ code: 'replayed' }));
+    });
+});
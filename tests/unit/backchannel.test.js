@@ -0,0 +1,149 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// backchannel.test.js
+// Unit tests for OIDC back-channel logout token validation
+//
+// Purpose:
+//   - Validates acceptance of well-formed, correctly signed logout tokens
+//   - Ensures forged, foreign, replayed and ID-token-shaped tokens are rejected
+// ============================================================================
+
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { generateKeyPair, exportJWK, createLocalJWKSet, SignJWT } from 'jose';
+
+// ---------------------------------------------------------------------------
+// MOCK LOGGER
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const { createLogoutTokenVerifier, LogoutTokenError } = await import('../../src/lib/backchannel.js');
+
+// ---------------------------------------------------------------------------
+// TOKEN FIXTURES
+// ---------------------------------------------------------------------------
+
+const ISSUER = 'https://keycloak.example.com/realms/test';
+const CLIENT_ID = 'ghost-bridge';
+const LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+let realmKey;
+let foreignKey;
+let jwks;
+
+let jtiCounter = 0;
+
+const signLogoutToken = (claims = {}, { key = realmKey, issuer = ISSUER, audience = CLIENT_ID } = {}) =>
+    new SignJWT({
+        sub: 'kc-user-1',
+        sid: 'kc-session-1',
+        events: { [LOGOUT_EVENT]: {} },
+        jti: `jti-${++jtiCounter}`,
+        ...claims
+    })
+        .setProtectedHeader({ alg: 'RS256', kid: 'realm-key' })
+        .setIssuer(issuer)
+        .setAudience(audience)
+        .setIssuedAt()
+        .sign(key);
+
+beforeAll(async () => {
+    const realm = await generateKeyPair('RS256');
+    const foreign = await generateKeyPair('RS256');
+    realmKey = realm.privateKey;
+    foreignKey = foreign.privateKey;
+
+    const publicJwk = await exportJWK(realm.publicKey);
+    jwks = createLocalJWKSet({ keys: [{ ...publicJwk, kid: 'realm-key', alg: 'RS256' }] });
+});
+
+const createVerifier = () => createLogoutTokenVerifier({ issuer: ISSUER, clientId: CLIENT_ID, jwks });
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: createLogoutTokenVerifier()
+// ---------------------------------------------------------------------------
+
+describe('createLogoutTokenVerifier()', () => {
+    test('should return sub and sid of a valid token', async () => {
+        const verify = createVerifier();
+
+        await expect(verify(await signLogoutToken())).resolves.toEqual({
+            sub: 'kc-user-1',
+            sid: 'kc-session-1'
+        });
+    });
+
+    test('should accept a token identifying only the subject', async () => {
+        const verify = createVerifier();
+
+        await expect(verify(await signLogoutToken({ sid: undefined }))).resolves.toEqual({
+            sub: 'kc-user-1',
+            sid: undefined
+        });
+    });
+
+    test('should reject a missing token', async () => {
+        await expect(createVerifier()(undefined)).rejects.toThrow(LogoutTokenError);
+    });
+
+    test('should reject a token signed with another key', async () => {
+        const token = await signLogoutToken({}, { key: foreignKey });
+
+        await expect(createVerifier()(token)).rejects.toThrow(LogoutTokenError);
+    });
+
+    test('should reject a token from another issuer', async () => {
+        const token = await signLogoutToken({}, { issuer: 'https://keycloak.example.com/realms/other' });
+
+        await expect(createVerifier()(token)).rejects.toThrow(LogoutTokenError);
+    });
+
+    test('should reject a token for another client', async () => {
+        const token = await signLogoutToken({}, { audience: 'other-client' });
+
+        await expect(createVerifier()(token)).rejects.toThrow(LogoutTokenError);
+    });
+
+    test('should reject a token without the logout event', async () => {
+        const token = await signLogoutToken({ events: { 'http://example.com/other': {} } });
+
+        await expect(createVerifier()(token)).rejects.toThrow('backchannel-logout event');
+    });
+
+    test('should reject a token carrying a nonce', async () => {
+        const token = await signLogoutToken({ nonce: 'abc' });
+
+        await expect(createVerifier()(token)).rejects.toThrow('nonce');
+    });
+
+    test('should reject a token without sub or sid', async () => {
+        const token = await signLogoutToken({ sub: undefined, sid: undefined });
+
+        await expect(createVerifier()(token)).rejects.toThrow('neither sub nor sid');
+    });
+
+    test('should reject a token without jti', async () => {
+        const token = await signLogoutToken({ jti: undefined });
+
+        await expect(createVerifier()(token)).rejects.toThrow('jti');
+    });
+
+    test('should reject a replayed token', async () => {
+        const verify = createVerifier();
+        const token = await signLogoutToken();
+
+        await verify(token);
+        await expect(verify(token)).rejects.toThrow('already used');
+    });
+});
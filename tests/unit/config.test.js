@@ -0,0 +1,139 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// config.test.js
+// Unit tests for environment variable parsing helpers
+// ============================================================================
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+
+const { envList, envBool, envInt, envChoice, envDuration } = await import('../../src/lib/config.js');
+
+afterEach(() => {
+    delete process.env.TEST_CONFIG_VALUE;
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: envList()
+// ---------------------------------------------------------------------------
+
+describe('envList()', () => {
+    test('should split and trim comma-separated values', () => {
+        process.env.TEST_CONFIG_VALUE = ' /blog/ , /tag/,';
+        expect(envList('TEST_CONFIG_VALUE')).toEqual(['/blog/', '/tag/']);
+    });
+
+    test('should return the fallback when unset', () => {
+        expect(envList('TEST_CONFIG_VALUE', ['/'])).toEqual(['/']);
+    });
+
+    test('should return the fallback when blank', () => {
+        process.env.TEST_CONFIG_VALUE = '   ';
+        expect(envList('TEST_CONFIG_VALUE', ['/'])).toEqual(['/']);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: envBool()
+// ---------------------------------------------------------------------------
+
+describe('envBool()', () => {
+    test('should parse truthy values', () => {
+        for (const value of ['true', '1', 'YES', ' on ']) {
+            process.env.TEST_CONFIG_VALUE = value;
+            expect(envBool('TEST_CONFIG_VALUE')).toBe(true);
+        }
+    });
+
+    test('should parse falsy values', () => {
+        for (const value of ['false', '0', 'no', 'OFF']) {
+            process.env.TEST_CONFIG_VALUE = value;
+            expect(envBool('TEST_CONFIG_VALUE', true)).toBe(false);
+        }
+    });
+
+    test('should return the fallback when unset', () => {
+        expect(envBool('TEST_CONFIG_VALUE')).toBe(false);
+        expect(envBool('TEST_CONFIG_VALUE', true)).toBe(true);
+    });
+
+    test('should reject unrecognized values', () => {
+        process.env.TEST_CONFIG_VALUE = 'maybe';
+        expect(() => envBool('TEST_CONFIG_VALUE')).toThrow('must be a boolean');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: envInt()
+// ---------------------------------------------------------------------------
+
+describe('envInt()', () => {
+    test('should parse integers', () => {
+        process.env.TEST_CONFIG_VALUE = ' 3 ';
+        expect(envInt('TEST_CONFIG_VALUE', 0)).toBe(3);
+    });
+
+    test('should return the fallback when unset', () => {
+        expect(envInt('TEST_CONFIG_VALUE', 2)).toBe(2);
+    });
+
+    test('should reject negative, decimal and non-numeric values', () => {
+        for (const value of ['-1', '1.5', 'two']) {
+            process.env.TEST_CONFIG_VALUE = value;
+            expect(() => envInt('TEST_CONFIG_VALUE', 0)).toThrow('must be a non-negative integer');
+        }
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: envChoice()
+// ---------------------------------------------------------------------------
+
+describe('envChoice()', () => {
+    test('should accept a listed value in any case', () => {
+        process.env.TEST_CONFIG_VALUE = ' API ';
+        expect(envChoice('TEST_CONFIG_VALUE', ['database', 'api'], 'database')).toBe('api');
+    });
+
+    test('should return the fallback when unset', () => {
+        expect(envChoice('TEST_CONFIG_VALUE', ['database', 'api'], 'database')).toBe('database');
+    });
+
+    test('should reject other values', () => {
+        process.env.TEST_CONFIG_VALUE = 'both';
+        expect(() => envChoice('TEST_CONFIG_VALUE', ['database', 'api'], 'database'))
+            .toThrow('TEST_CONFIG_VALUE must be one of database, api, got "both"');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: envDuration()
+// ---------------------------------------------------------------------------
+
+describe('envDuration()', () => {
+    test('should parse values with units', () => {
+        const cases = { '500ms': 500, '90s': 90000, '15m': 900000, '8H': 28800000, '30d': 2592000000 };
+
+        for (const [value, expected] of Object.entries(cases)) {
+            process.env.TEST_CONFIG_VALUE = value;
+            expect(envDuration('TEST_CONFIG_VALUE', 0)).toBe(expected);
+        }
+    });
+
+    test('should read a bare number as seconds', () => {
+        process.env.TEST_CONFIG_VALUE = '3600';
+        expect(envDuration('TEST_CONFIG_VALUE', 0)).toBe(3600000);
+    });
+
+    test('should return the fallback when unset', () => {
+        expect(envDuration('TEST_CONFIG_VALUE', 1234)).toBe(1234);
+    });
+
+    test('should reject unrecognized values', () => {
+        for (const value of ['1.5h', '-10s', 'forever', '10 weeks']) {
+            process.env.TEST_CONFIG_VALUE = value;
+            expect(() => envDuration('TEST_CONFIG_VALUE', 0)).toThrow('must be a duration');
+        }
+    });
+});
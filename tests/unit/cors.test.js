@@ -0,0 +1,98 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// cors.test.js
+// Unit tests for cross-origin access to bridge endpoints
+//
+// Purpose:
+//   - Validates origin allowlist parsing
+//   - Validates CORS headers for allowed, refused and same-origin requests
+//   - Validates preflight answers
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+const { parseAllowedOrigins, corsMiddleware } = await import('../../src/lib/cors.js');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseAllowedOrigins()
+// ---------------------------------------------------------------------------
+
+describe('parseAllowedOrigins()', () => {
+    test('should normalize origins', () => {
+        expect([...parseAllowedOrigins(['https://app.example.com/', 'http://localhost:5173'])])
+            .toEqual(['https://app.example.com', 'http://localhost:5173']);
+    });
+
+    test('should accept an empty list', () => {
+        expect(parseAllowedOrigins([]).size).toBe(0);
+    });
+
+    test.each(['*', 'app.example.com', 'https://app.example.com/path', 'ftp://app.example.com'])(
+        'should refuse %s',
+        (origin) => {
+            expect(() => parseAllowedOrigins([origin])).toThrow(`Invalid CORS origin "${origin}"`);
+        }
+    );
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: corsMiddleware()
+// ---------------------------------------------------------------------------
+
+describe('corsMiddleware()', () => {
+    const app = express();
+    app.use('/me', corsMiddleware(parseAllowedOrigins(['https://app.example.com'])));
+    app.get('/me', (req, res) => res.json({ ok: true }));
+
+    test('should allow credentialed reads from an allowed origin', async () => {
+        const response = await request(app)
+            .get('/me')
+            .set('Origin', 'https://app.example.com')
+            .expect(200);
+
+        expect(response.headers['access-control-allow-origin']).toBe('https://app.example.com');
+        expect(response.headers['access-control-allow-credentials']).toBe('true');
+        expect(response.headers['vary']).toContain('Origin');
+    });
+
+    test('should add no CORS headers for other origins', async () => {
+        const response = await request(app)
+            .get('/me')
+            .set('Origin', 'https://evil.example.com')
+            .expect(200);
+
+        expect(response.headers['access-control-allow-origin']).toBeUndefined();
+        expect(response.headers['vary']).toContain('Origin');
+    });
+
+    test('should leave same-origin requests alone', async () => {
+        const response = await request(app).get('/me').expect(200);
+
+        expect(response.body).toEqual({ ok: true });
+        expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    test('should answer preflights from allowed origins', async () => {
+        const response = await request(app)
+            .options('/me')
+            .set('Origin', 'https://app.example.com')
+            .expect(204);
+
+        expect(response.headers['access-control-allow-methods']).toBe('GET');
+        expect(response.headers['access-control-max-age']).toBe('600');
+    });
+
+    test('should answer preflights from other origins without allowing them', async () => {
+        const response = await request(app)
+            .options('/me')
+            .set('Origin', 'https://evil.example.com')
+            .expect(204);
+
+        expect(response.headers['access-control-allow-origin']).toBeUndefined();
+        expect(response.headers['access-control-allow-methods']).toBeUndefined();
+    });
+});
@@ -38,7 +38,7 @@ jest.unstable_mockModule('../../src/lib/logger.js', () => ({
 }));
 
 // Import after mock setup
-const { query, fetchGhostSecret, isStaffEmpty, testConnection } = await import('../../src/lib/db.js');
+const { query, fetchGhostSecret, isStaffEmpty, createTableOnce, testConnection } = await import('../../src/lib/db.js');
 
 // ---------------------------------------------------------------------------
 // TEST SETUP
@@ -182,6 +182,48 @@ describe('isStaffEmpty()', () => {
 
         expect(result).toBe(false);
     });
+
+    test('should not count Ghost\'s sample author', async () => {
+        mockExecute.mockResolvedValueOnce([[{ count: 0 }], []]);
+
+        await isStaffEmpty();
+
+        expect(mockExecute).toHaveBeenCalledWith(
+            expect.stringContaining('email <> ?'),
+            ['ghost-author@example.com']
+        );
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: createTableOnce()
+// ---------------------------------------------------------------------------
+
+describe('createTableOnce()', () => {
+    const CREATE = 'CREATE TABLE IF NOT EXISTS keycloak_bridge_test (id INT)';
+
+    test('should create the table once', async () => {
+        mockExecute.mockResolvedValue([{}, []]);
+        const ensure = createTableOnce(CREATE);
+
+        await Promise.all([ensure(), ensure()]);
+        await ensure();
+
+        expect(mockExecute).toHaveBeenCalledTimes(1);
+        expect(mockExecute).toHaveBeenCalledWith(CREATE, []);
+    });
+
+    test('should retry after a failure', async () => {
+        mockExecute.mockRejectedValueOnce(new Error('Access denied'));
+        mockExecute.mockResolvedValue([{}, []]);
+        const ensure = createTableOnce(CREATE);
+
+        await expect(ensure()).rejects.toThrow('Access denied');
+        await ensure();
+        await ensure();
+
+        expect(mockExecute).toHaveBeenCalledTimes(2);
+    });
 });
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,410 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// ghost-api.test.js
+// Unit tests for the Ghost Admin API client
+//
+// Purpose:
+//   - Validates request shape (authentication, Host spoofing, endpoints)
+//   - Validates pagination helpers and resource operations
+//   - Ensures retries, timeouts and typed errors behave as documented
+//   - Validates version negotiation and the startup version check
+// ============================================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCKS SETUP
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+global.fetch = jest.fn();
+
+// Import after mock setup
+const { createGhostApi, getGhostApi, detectGhostVersion, parseGhostVersion, GhostApiError } =
+    await import('../../src/lib/ghost-api.js');
+
+const ADMIN_KEY = 'abc123def456:1234567890abcdef1234567890abcdef';
+
+const respond = (body, status = 200, headers = {}) => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name] ?? null },
+    text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))
+});
+
+const networkError = (code) => Object.assign(new TypeError('fetch failed'), {
+    cause: Object.assign(new Error(`connect ${code}`), { code })
+});
+
+const createClient = (options = {}) => createGhostApi({
+    baseUrl: 'http://ghost:2368',
+    publicUrl: 'https://blog.example.com',
+    adminKey: ADMIN_KEY,
+    retryDelay: 1,
+    ...options
+});
+
+const calledUrl = (index = 0) => new URL(global.fetch.mock.calls[index][0]);
+const calledOptions = (index = 0) => global.fetch.mock.calls[index][1];
+
+beforeEach(() => {
+    global.fetch.mockReset();
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: client setup and requests
+// ---------------------------------------------------------------------------
+
+describe('createGhostApi()', () => {
+    test('should reject a malformed Admin API key', () => {
+        expect(() => createClient({ adminKey: 'no-secret' })).toThrow('must be in format id:secret');
+    });
+
+    test('should call Ghost internally while presenting the public host', async () => {
+        global.fetch.mockReturnValue(respond({ members: [] }));
+
+        await createClient().members.browse();
+
+        expect(calledUrl().origin).toBe('http://ghost:2368');
+        expect(calledUrl().pathname).toBe('/ghost/api/admin/members/');
+
+        const { headers, redirect, signal } = calledOptions();
+        expect(headers.Host).toBe('blog.example.com');
+        expect(headers['X-Forwarded-Proto']).toBe('https');
+        expect(headers.Authorization).toMatch(/^Ghost ey/);
+        expect(redirect).toBe('manual');
+        expect(signal).toBeDefined();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: resources
+// ---------------------------------------------------------------------------
+
+describe('members', () => {
+    test('should browse with query parameters', async () => {
+        global.fetch.mockReturnValue(respond({ members: [{ id: 'm1' }] }));
+
+        const members = await createClient().members.browse({ filter: "email:'a@example.com'", limit: 1 });
+
+        expect(members).toEqual([{ id: 'm1' }]);
+        expect(calledUrl().searchParams.get('filter')).toBe("email:'a@example.com'");
+        expect(calledUrl().searchParams.get('limit')).toBe('1');
+    });
+
+    test('should expose pagination of a page', async () => {
+        const pagination = { page: 1, limit: 15, pages: 2, total: 20, next: 2, prev: null };
+        global.fetch.mockReturnValue(respond({ members: [{ id: 'm1' }], meta: { pagination } }));
+
+        expect(await createClient().members.browsePage()).toEqual({ items: [{ id: 'm1' }], pagination });
+    });
+
+    test('should walk every page', async () => {
+        global.fetch
+            .mockReturnValueOnce(respond({ members: [{ id: 'm1' }], meta: { pagination: { page: 1, next: 2 } } }))
+            .mockReturnValueOnce(respond({ members: [{ id: 'm2' }], meta: { pagination: { page: 2, next: null } } }));
+
+        const members = await createClient().members.browseAll({ filter: 'status:free' });
+
+        expect(members).toEqual([{ id: 'm1' }, { id: 'm2' }]);
+        expect(calledUrl(0).searchParams.get('page')).toBe('1');
+        expect(calledUrl(0).searchParams.get('limit')).toBe('100');
+        expect(calledUrl(1).searchParams.get('page')).toBe('2');
+        expect(calledUrl(1).searchParams.get('filter')).toBe('status:free');
+    });
+
+    test('should read, add, edit and delete', async () => {
+        const ghost = createClient();
+        global.fetch.mockImplementation(() => respond({ members: [{ id: 'm1' }] }));
+
+        await ghost.members.read('m1');
+        await ghost.members.add({ email: 'a@example.com' }, { send_email: false });
+        await ghost.members.edit('m1', { name: 'Jane' });
+
+        global.fetch.mockReturnValueOnce(respond('', 204));
+        await expect(ghost.members.delete('m1')).resolves.toBeUndefined();
+
+        const calls = global.fetch.mock.calls.map(([url, options]) => `${options.method} ${new URL(url).pathname}${new URL(url).search}`);
+        expect(calls).toEqual([
+            'GET /ghost/api/admin/members/m1/',
+            'POST /ghost/api/admin/members/?send_email=false',
+            'PUT /ghost/api/admin/members/m1/',
+            'DELETE /ghost/api/admin/members/m1/'
+        ]);
+        expect(JSON.parse(calledOptions(2).body)).toEqual({ members: [{ name: 'Jane' }] });
+    });
+
+    test('should ask Ghost for a member sign-in URL', async () => {
+        const url = 'https://blog.example.com/members/?token=abc&action=signin';
+        global.fetch.mockReturnValue(respond({ member_signin_urls: [{ member_id: 'm1', url }] }));
+
+        expect(await createClient().members.signinUrl('m1')).toBe(url);
+        expect(calledUrl().pathname).toBe('/ghost/api/admin/members/m1/signin_urls/');
+    });
+
+    test('should reject an answer without a sign-in URL', async () => {
+        global.fetch.mockReturnValue(respond({ member_signin_urls: [] }));
+
+        await expect(createClient().members.signinUrl('m1')).rejects.toMatchObject({ type: 'InvalidResponseError' });
+    });
+
+    test('should encode record IDs in paths', async () => {
+        global.fetch.mockReturnValue(respond({ members: [] }));
+
+        await createClient().members.read('../users');
+
+        expect(calledUrl().pathname).toBe('/ghost/api/admin/members/..%2Fusers/');
+    });
+});
+
+describe('other resources', () => {
+    test('should list tiers, newsletters and labels in full by default', async () => {
+        const ghost = createClient();
+        global.fetch.mockImplementation(url => {
+            const resource = new URL(url).pathname.split('/')[4];
+            return respond({ [resource]: [{ id: resource }] });
+        });
+
+        expect(await ghost.tiers.browse()).toEqual([{ id: 'tiers' }]);
+        expect(await ghost.newsletters.browse({ filter: 'status:active' })).toEqual([{ id: 'newsletters' }]);
+        expect(await ghost.labels.browse()).toEqual([{ id: 'labels' }]);
+
+        for (let index = 0; index < 3; index++) {
+            expect(calledUrl(index).searchParams.get('limit')).toBe('all');
+        }
+    });
+
+    test('should add labels and read users', async () => {
+        const ghost = createClient();
+        global.fetch
+            .mockReturnValueOnce(respond({ labels: [{ id: 'l1', name: 'VIP' }] }))
+            .mockReturnValueOnce(respond({ users: [{ id: 'u1' }] }));
+
+        expect(await ghost.labels.add({ name: 'VIP' })).toEqual({ id: 'l1', name: 'VIP' });
+        expect(await ghost.users.read('u1')).toEqual({ id: 'u1' });
+        expect(calledUrl(1).pathname).toBe('/ghost/api/admin/users/u1/');
+    });
+
+    test('should read site info', async () => {
+        global.fetch.mockReturnValue(respond({ site: { title: 'Blog', version: '6.3' } }));
+
+        expect(await createClient().site.read()).toEqual({ title: 'Blog', version: '6.3' });
+        expect(calledUrl().pathname).toBe('/ghost/api/admin/site/');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: errors and retries
+// ---------------------------------------------------------------------------
+
+describe('errors', () => {
+    test('should carry the Ghost error type and code', async () => {
+        global.fetch.mockReturnValue(respond({
+            errors: [{ message: 'Validation error, cannot save member.', context: 'Member already exists', type: 'ValidationError', code: 'ER_DUP_ENTRY' }]
+        }, 422));
+
+        const err = await createClient().members.add({ email: 'a@example.com' }).catch(e => e);
+
+        expect(err).toBeInstanceOf(GhostApiError);
+        expect(err.message).toBe('Ghost API error 422: Validation error, cannot save member. (Member already exists)');
+        expect(err).toMatchObject({ status: 422, type: 'ValidationError', code: 'ER_DUP_ENTRY', endpoint: '/members/' });
+        expect(err.retryable).toBe(false);
+    });
+
+    test('should not retry client errors', async () => {
+        global.fetch.mockReturnValue(respond({ errors: [{ message: 'Resource not found', type: 'NotFoundError' }] }, 404));
+
+        await expect(createClient().members.read('gone')).rejects.toMatchObject({ status: 404, type: 'NotFoundError' });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report redirects', async () => {
+        global.fetch.mockReturnValue(respond('', 301, { location: 'https://blog.example.com/ghost/api/admin/members/' }));
+
+        await expect(createClient().members.browse()).rejects.toMatchObject({
+            type: 'RedirectError',
+            message: 'Ghost redirected to: https://blog.example.com/ghost/api/admin/members/'
+        });
+    });
+
+    test('should report HTML answers', async () => {
+        global.fetch.mockReturnValue(respond('<!DOCTYPE html><html></html>'));
+
+        await expect(createClient().members.browse()).rejects.toMatchObject({ type: 'InvalidResponseError' });
+    });
+
+    test('should report network errors with their code', async () => {
+        global.fetch.mockRejectedValue(networkError('ECONNREFUSED'));
+
+        await expect(createClient({ retries: 0 }).members.browse()).rejects.toMatchObject({
+            status: null,
+            type: 'NetworkError',
+            code: 'ECONNREFUSED',
+            message: 'Ghost API unreachable: connect ECONNREFUSED'
+        });
+    });
+
+    test('should report timeouts', async () => {
+        global.fetch.mockRejectedValue(Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' }));
+
+        await expect(createClient({ retries: 0, timeout: 50 }).members.browse()).rejects.toMatchObject({
+            type: 'TimeoutError',
+            code: 'ETIMEDOUT'
+        });
+    });
+});
+
+describe('retries', () => {
+    test('should retry 5xx answers with backoff', async () => {
+        global.fetch
+            .mockReturnValueOnce(respond('Bad Gateway', 502))
+            .mockReturnValueOnce(respond('Bad Gateway', 502))
+            .mockReturnValueOnce(respond({ members: [{ id: 'm1' }] }));
+
+        expect(await createClient({ retries: 2 }).members.browse()).toEqual([{ id: 'm1' }]);
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should give up after the configured retries', async () => {
+        global.fetch.mockImplementation(() => respond('Service Unavailable', 503));
+
+        await expect(createClient({ retries: 2 }).members.browse()).rejects.toMatchObject({ status: 503 });
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should retry edits after network errors', async () => {
+        global.fetch
+            .mockRejectedValueOnce(networkError('ECONNRESET'))
+            .mockReturnValueOnce(respond({ members: [{ id: 'm1', name: 'Jane' }] }));
+
+        expect(await createClient({ retries: 1 }).members.edit('m1', { name: 'Jane' })).toEqual({ id: 'm1', name: 'Jane' });
+    });
+
+    test('should not retry a creation Ghost may have applied', async () => {
+        global.fetch.mockImplementation(() => respond('Internal Server Error', 500));
+
+        await expect(createClient({ retries: 2 }).members.add({ email: 'a@example.com' })).rejects.toMatchObject({ status: 500 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry a creation that never reached Ghost', async () => {
+        global.fetch
+            .mockRejectedValueOnce(networkError('ECONNREFUSED'))
+            .mockReturnValueOnce(respond({ members: [{ id: 'm1' }] }));
+
+        expect(await createClient({ retries: 1 }).members.add({ email: 'a@example.com' })).toEqual({ id: 'm1' });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: version negotiation
+// ---------------------------------------------------------------------------
+
+describe('parseGhostVersion()', () => {
+    test('should read major and minor versions', () => {
+        expect(parseGhostVersion('6.3')).toEqual({ major: 6, minor: 3 });
+        expect(parseGhostVersion('5.116.2')).toEqual({ major: 5, minor: 116 });
+        expect(parseGhostVersion('v6.0')).toEqual({ major: 6, minor: 0 });
+    });
+
+    test('should return null for unreadable versions', () => {
+        expect(parseGhostVersion(undefined)).toBeNull();
+        expect(parseGhostVersion('latest')).toBeNull();
+    });
+});
+
+describe('negotiateVersion()', () => {
+    test('should send no Accept-Version before negotiation', async () => {
+        global.fetch.mockReturnValue(respond({ members: [] }));
+
+        await createClient().members.browse();
+
+        expect(calledOptions().headers).not.toHaveProperty('Accept-Version');
+    });
+
+    test('should pin Accept-Version to the detected version', async () => {
+        const ghost = createClient();
+        global.fetch
+            .mockReturnValueOnce(respond({ site: { title: 'Blog', version: '6.3' } }))
+            .mockReturnValueOnce(respond({ members: [] }));
+
+        const info = await ghost.negotiateVersion();
+        await ghost.members.browse();
+
+        expect(info).toEqual({ version: '6.3', major: 6, minor: 3, acceptVersion: 'v6.3', supported: true });
+        expect(ghost.version).toEqual(info);
+        expect(calledUrl(0).pathname).toBe('/ghost/api/admin/site/');
+        expect(calledOptions(1).headers['Accept-Version']).toBe('v6.3');
+    });
+
+    test('should flag unsupported majors', async () => {
+        global.fetch.mockReturnValue(respond({ site: { version: '4.48' } }));
+
+        expect(await createClient().negotiateVersion()).toMatchObject({ major: 4, supported: false });
+    });
+
+    test('should reject a site answer without a version', async () => {
+        global.fetch.mockReturnValue(respond({ site: { title: 'Blog' } }));
+
+        await expect(createClient().negotiateVersion()).rejects.toMatchObject({ type: 'InvalidResponseError' });
+    });
+});
+
+describe('detectGhostVersion()', () => {
+    test('should return the supported version', async () => {
+        global.fetch.mockReturnValue(respond({ site: { version: '5.116' } }));
+
+        expect(await detectGhostVersion(createClient(), { strict: true })).toMatchObject({ acceptVersion: 'v5.116' });
+    });
+
+    test('should warn and go on with an unsupported version', async () => {
+        global.fetch.mockReturnValue(respond({ site: { version: '7.0' } }));
+
+        expect(await detectGhostVersion(createClient())).toMatchObject({ major: 7, supported: false });
+    });
+
+    test('should refuse an unsupported version in strict mode', async () => {
+        global.fetch.mockReturnValue(respond({ site: { version: '7.0' } }));
+
+        await expect(detectGhostVersion(createClient(), { strict: true }))
+            .rejects.toThrow('Ghost 7.0 is not supported, expected major version 5 or 6');
+    });
+
+    test('should go on without a version when Ghost is unreachable', async () => {
+        global.fetch.mockRejectedValue(networkError('ECONNREFUSED'));
+
+        expect(await detectGhostVersion(createClient({ retries: 0 }))).toBeNull();
+    });
+
+    test('should refuse an unknown version in strict mode', async () => {
+        global.fetch.mockRejectedValue(networkError('ECONNREFUSED'));
+
+        await expect(detectGhostVersion(createClient({ retries: 0 }), { strict: true }))
+            .rejects.toThrow('Ghost version could not be detected: Ghost API unreachable');
+    });
+});
+
+describe('getGhostApi()', () => {
+    test('should share one client configured from the environment', async () => {
+        const ghost = getGhostApi();
+        global.fetch.mockReturnValue(respond({ members: [] }));
+
+        await ghost.members.browse();
+
+        expect(getGhostApi()).toBe(ghost);
+        expect(calledUrl().origin).toBe('http://ghost:2368');
+        expect(calledOptions().headers.Host).toBe('blog.example.com');
+    });
+});
@@ -9,9 +9,10 @@
 //   - Validates liveness probe behavior (/health, /healthz)
 //   - Validates readiness probe behavior (/ready, /readyz)
 //   - Validates startup probe behavior (/startup)
+//   - Validates the Ghost version reported by the probes
 // ============================================================================
 
-import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
 import express from 'express';
 import request from 'supertest';
 
@@ -37,7 +38,7 @@ jest.unstable_mockModule('../../src/lib/logger.js', () => ({
 
 // Import after mocks
 const healthRouter = (await import('../../src/routes/health.js')).default;
-const { setStartupComplete } = await import('../../src/routes/health.js');
+const { setStartupComplete, setGhostVersion, setDatabaseRequired } = await import('../../src/routes/health.js');
 
 // ---------------------------------------------------------------------------
 // TEST SUITE: Liveness Probe
@@ -187,6 +188,24 @@ describe('Readiness Probe', () => {
             expect(response.body.status).toBe('not ready');
         });
     });
+
+    describe('Without database', () => {
+        afterEach(() => {
+            setDatabaseRequired(true);
+        });
+
+        test('should be ready without checking an unused database', async () => {
+            setDatabaseRequired(false);
+            mockTestConnection.mockResolvedValue(false);
+
+            const ready = await request(app).get('/ready').expect(200);
+            const readyz = await request(app).get('/readyz').expect(200);
+
+            expect(ready.body.checks.database).toBeNull();
+            expect(readyz.body.status).toBe('ready');
+            expect(mockTestConnection).not.toHaveBeenCalled();
+        });
+    });
 });
 
 // ---------------------------------------------------------------------------
@@ -273,4 +292,47 @@ describe('Response Structure', () => {
         const isoRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/;
         expect(response.body.timestamp).toMatch(isoRegex);
     });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Ghost Version
+// ---------------------------------------------------------------------------
+
+describe('Ghost Version', () => {
+    let app;
+
+    beforeAll(() => {
+        app = express();
+        app.use(healthRouter);
+    });
+
+    beforeEach(() => {
+        mockTestConnection.mockResolvedValue(true);
+        setGhostVersion(null);
+    });
+
+    test('should report an unknown version before negotiation', async () => {
+        const response = await request(app).get('/health').expect(200);
+
+        expect(response.body.ghost).toEqual({ version: null, acceptVersion: null, supported: null });
+    });
+
+    test('should report the negotiated version', async () => {
+        setGhostVersion({ version: '6.3', major: 6, minor: 3, acceptVersion: 'v6.3', supported: true });
+
+        const health = await request(app).get('/health').expect(200);
+        const ready = await request(app).get('/ready').expect(200);
+
+        expect(health.body.ghost).toEqual({ version: '6.3', acceptVersion: 'v6.3', supported: true });
+        expect(ready.body.ghost).toEqual(health.body.ghost);
+    });
+
+    test('should report the version when not ready', async () => {
+        mockTestConnection.mockResolvedValue(false);
+        setGhostVersion({ version: '7.0', major: 7, minor: 0, acceptVersion: 'v7.0', supported: false });
+
+        const response = await request(app).get('/readyz').expect(503);
+
+        expect(response.body.ghost.supported).toBe(false);
+    });
 });
\ No newline at end of file
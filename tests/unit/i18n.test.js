@@ -0,0 +1,120 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// i18n.test.js
+// Unit tests for page translations
+//
+// Purpose:
+//   - Validates Accept-Language parsing and locale negotiation
+//   - Validates message lookup, placeholders and fallbacks
+//   - Validates that built-in catalogs define the same messages
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const {
+    MESSAGES,
+    parseAcceptLanguage,
+    negotiateLocale,
+    createTranslator
+} = await import('../../src/lib/i18n.js');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseAcceptLanguage()
+// ---------------------------------------------------------------------------
+
+describe('parseAcceptLanguage()', () => {
+    test('should order tags by quality, then by position', () => {
+        expect(parseAcceptLanguage('en;q=0.5, fr-CA, fr;q=0.8, de;q=0.8')).toEqual(['fr-ca', 'fr', 'de', 'en']);
+    });
+
+    test('should drop wildcards and refused languages', () => {
+        expect(parseAcceptLanguage('*, es;q=0, it')).toEqual(['it']);
+    });
+
+    test('should treat a malformed quality as refused', () => {
+        expect(parseAcceptLanguage('nl;q=abc, en')).toEqual(['en']);
+    });
+
+    test('should return nothing for a missing header', () => {
+        expect(parseAcceptLanguage(undefined)).toEqual([]);
+        expect(parseAcceptLanguage('')).toEqual([]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: negotiateLocale()
+// ---------------------------------------------------------------------------
+
+describe('negotiateLocale()', () => {
+    const available = ['en', 'fr', 'pt-BR'];
+
+    test('should pick the first available preference', () => {
+        expect(negotiateLocale('de, fr;q=0.9, en;q=0.8', available, 'en')).toBe('fr');
+    });
+
+    test('should serve a regional tag with its language', () => {
+        expect(negotiateLocale('fr-CA', available, 'en')).toBe('fr');
+    });
+
+    test('should match regional catalogs case-insensitively', () => {
+        expect(negotiateLocale('pt-br', available, 'en')).toBe('pt-BR');
+    });
+
+    test('should fall back when nothing matches', () => {
+        expect(negotiateLocale('ja, zh', available, 'fr')).toBe('fr');
+        expect(negotiateLocale(undefined, available, 'en')).toBe('en');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: createTranslator()
+// ---------------------------------------------------------------------------
+
+describe('createTranslator()', () => {
+    test('should translate and fill placeholders', () => {
+        const t = createTranslator(MESSAGES, 'fr');
+
+        expect(t('page.tryAgain')).toBe('Réessayer');
+        expect(t('emailNotVerified.messageWithEmail', { email: 'jane@example.com' }))
+            .toMatch(/^L’adresse jane@example\.com n’a pas/);
+    });
+
+    test('should keep placeholders without a value', () => {
+        const t = createTranslator({ en: { greeting: 'Hello {name}' } }, 'en');
+
+        expect(t('greeting')).toBe('Hello {name}');
+    });
+
+    test('should fall back to the default locale, then to English', () => {
+        const catalogs = {
+            en: { a: 'A (en)', b: 'B (en)', c: 'C (en)' },
+            fr: { a: 'A (fr)', b: 'B (fr)' },
+            de: { a: 'A (de)' }
+        };
+        const t = createTranslator(catalogs, 'de', 'fr');
+
+        expect(t('a')).toBe('A (de)');
+        expect(t('b')).toBe('B (fr)');
+        expect(t('c')).toBe('C (en)');
+    });
+
+    test('should return unknown keys as is', () => {
+        expect(createTranslator(MESSAGES, 'en')('no.such.key')).toBe('no.such.key');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Built-in catalogs
+// ---------------------------------------------------------------------------
+
+describe('Built-in catalogs', () => {
+    test('should translate every English message', () => {
+        const keys = Object.keys(MESSAGES.en).sort();
+
+        for (const messages of Object.values(MESSAGES)) {
+            expect(Object.keys(messages).sort()).toEqual(keys);
+        }
+    });
+});
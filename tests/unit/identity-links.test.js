@@ -0,0 +1,119 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// identity-links.test.js
+// Unit tests for Keycloak subject to Ghost record links
+//
+// Purpose:
+//   - Validates lookups and removal of links
+//   - Ensures a Ghost record is never linked to a second subject
+// ============================================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCKS SETUP
+// ---------------------------------------------------------------------------
+
+const mockQuery = jest.fn();
+const mockCreateTableOnce = jest.fn(() => jest.fn(() => Promise.resolve()));
+
+jest.unstable_mockModule('../../src/lib/db.js', () => ({
+    query: mockQuery,
+    createTableOnce: mockCreateTableOnce
+}));
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const { ensureIdentityLinks, findLinkedId, linkIdentity, unlinkIdentity, IdentityConflictError } =
+    await import('../../src/lib/identity-links.js');
+
+const duplicateEntry = () => Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+
+beforeEach(async () => {
+    mockQuery.mockReset();
+    mockQuery.mockResolvedValue([]);
+    await ensureIdentityLinks();
+    mockQuery.mockClear();
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: findLinkedId()
+// ---------------------------------------------------------------------------
+
+describe('findLinkedId()', () => {
+    test('should return the linked Ghost ID', async () => {
+        mockQuery.mockResolvedValueOnce([{ ghost_id: 'member-1' }]);
+
+        await expect(findLinkedId('member', 'kc-user-1')).resolves.toBe('member-1');
+        expect(mockQuery).toHaveBeenCalledWith(
+            'SELECT ghost_id FROM keycloak_bridge_identities WHERE realm = ? AND sub = ?',
+            ['member', 'kc-user-1']
+        );
+    });
+
+    test('should return null for an unlinked subject', async () => {
+        await expect(findLinkedId('member', 'kc-user-1')).resolves.toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: linkIdentity()
+// ---------------------------------------------------------------------------
+
+describe('linkIdentity()', () => {
+    test('should insert the link', async () => {
+        await linkIdentity('staff', 'kc-admin-1', 'user-123');
+
+        const [sql, params] = mockQuery.mock.calls[0];
+        expect(sql).toContain('INSERT INTO keycloak_bridge_identities');
+        expect(params).toEqual(['staff', 'kc-admin-1', 'user-123', expect.any(Date)]);
+    });
+
+    test('should accept an identical link created concurrently', async () => {
+        mockQuery
+            .mockRejectedValueOnce(duplicateEntry())
+            .mockResolvedValueOnce([{ ghost_id: 'user-123' }]);
+
+        await expect(linkIdentity('staff', 'kc-admin-1', 'user-123')).resolves.toBeUndefined();
+    });
+
+    test('should refuse a Ghost record linked to another subject', async () => {
+        mockQuery
+            .mockRejectedValueOnce(duplicateEntry())
+            .mockResolvedValueOnce([]);
+
+        await expect(linkIdentity('member', 'kc-user-2', 'member-1')).rejects.toThrow(IdentityConflictError);
+    });
+
+    test('should rethrow other database errors', async () => {
+        mockQuery.mockRejectedValueOnce(new Error('Connection lost'));
+
+        await expect(linkIdentity('member', 'kc-user-1', 'member-1')).rejects.toThrow('Connection lost');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: unlinkIdentity()
+// ---------------------------------------------------------------------------
+
+describe('unlinkIdentity()', () => {
+    test('should delete the link of the subject', async () => {
+        await unlinkIdentity('staff', 'kc-admin-1');
+
+        expect(mockQuery).toHaveBeenCalledWith(
+            'DELETE FROM keycloak_bridge_identities WHERE realm = ? AND sub = ?',
+            ['staff', 'kc-admin-1']
+        );
+    });
+});
@@ -0,0 +1,122 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// login-errors.test.js
+// Unit tests for the failed login pages
+//
+// Purpose:
+//   - Validates correlation ID creation and parsing
+//   - Validates reading of OIDC error parameters
+//   - Validates status, template, message keys and links of the error pages
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const {
+    createCorrelationId,
+    readCorrelationId,
+    readOidcError,
+    loginErrorPage
+} = await import('../../src/lib/login-errors.js');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Correlation IDs
+// ---------------------------------------------------------------------------
+
+describe('Correlation IDs', () => {
+    test('should create distinct UUIDs', () => {
+        const first = createCorrelationId();
+
+        expect(first).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        expect(createCorrelationId()).not.toBe(first);
+    });
+
+    test('should read back a created ID', () => {
+        const id = createCorrelationId();
+        expect(readCorrelationId(id)).toBe(id);
+    });
+
+    test('should reject anything but a UUID', () => {
+        expect(readCorrelationId(undefined)).toBeNull();
+        expect(readCorrelationId(['0b8e5f0e-3c1a-4d2b-9f6e-7a1c2d3e4f50'])).toBeNull();
+        expect(readCorrelationId('<script>alert(1)</script>')).toBeNull();
+        expect(readCorrelationId('0b8e5f0e-3c1a-4d2b-9f6e-7a1c2d3e4f50x')).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: readOidcError()
+// ---------------------------------------------------------------------------
+
+describe('readOidcError()', () => {
+    test('should return null for a successful response', () => {
+        expect(readOidcError({ code: 'abc', state: 'xyz' })).toBeNull();
+        expect(readOidcError({ error: '' })).toBeNull();
+    });
+
+    test('should read the error and its description', () => {
+        expect(readOidcError({ error: 'access_denied', error_description: 'User cancelled' }))
+            .toEqual({ error: 'access_denied', description: 'User cancelled' });
+    });
+
+    test('should ignore repeated parameters', () => {
+        expect(readOidcError({ error: ['a', 'b'] })).toBeNull();
+        expect(readOidcError({ error: 'access_denied', error_description: ['a', 'b'] }))
+            .toEqual({ error: 'access_denied', description: null });
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: loginErrorPage()
+// ---------------------------------------------------------------------------
+
+describe('loginErrorPage()', () => {
+    const options = { retryUrl: '/auth/member/login', homeUrl: 'https://blog.example.com' };
+
+    test.each([
+        ['access_denied', 403, 'access-denied'],
+        ['login_required', 401, 'error'],
+        ['temporarily_unavailable', 503, 'error'],
+        ['invalid_state', 400, 'error'],
+        ['identity_conflict', 409, 'access-denied'],
+        ['user_not_found', 403, 'access-denied']
+    ])('should describe %s with status %i', (code, status, template) => {
+        const page = loginErrorPage({ ...options, code });
+
+        expect(page.status).toBe(status);
+        expect(page.template).toBe(template);
+        expect(page.title).toBe(`error.${code}.title`);
+        expect(page.message).toBe(`error.${code}.message`);
+    });
+
+    test('should fall back to a generic page for unknown codes', () => {
+        for (const code of ['server_error', 'fatal', 'constructor']) {
+            const page = loginErrorPage({ ...options, code });
+
+            expect(page.status).toBe(500);
+            expect(page.template).toBe('error');
+            expect(page.title).toBe('error.generic.title');
+        }
+    });
+
+    test('should offer a retry link and a way back to the site', () => {
+        expect(loginErrorPage({ ...options, code: 'access_denied' }).links).toEqual([
+            { href: '/auth/member/login', label: 'page.tryAgain' },
+            { href: 'https://blog.example.com', label: 'page.backToSite' }
+        ]);
+    });
+
+    test('should omit the home link when no site URL is known', () => {
+        const { links } = loginErrorPage({ code: 'access_denied', retryUrl: '/auth/admin/login' });
+
+        expect(links).toEqual([{ href: '/auth/admin/login', label: 'page.tryAgain' }]);
+    });
+
+    test('should carry the correlation ID when given', () => {
+        const id = '0b8e5f0e-3c1a-4d2b-9f6e-7a1c2d3e4f50';
+
+        expect(loginErrorPage({ ...options, code: 'access_denied', correlationId: id }).reference).toBe(id);
+        expect(loginErrorPage({ ...options, code: 'access_denied', correlationId: null }).reference).toBeUndefined();
+    });
+});
@@ -0,0 +1,90 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// login-params.test.js
+// Unit tests for authorization parameters forwarded from /login
+//
+// Purpose:
+//   - Validates allowlist parsing
+//   - Validates value checks of each forwarded parameter
+//   - Validates the identity provider alias restriction
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { LOGIN_PARAMS, parseLoginParams, pickLoginParams } = await import('../../src/lib/login-params.js');
+
+const ALL = new Set(LOGIN_PARAMS);
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseLoginParams()
+// ---------------------------------------------------------------------------
+
+describe('parseLoginParams()', () => {
+    test('should list the supported parameters', () => {
+        expect(LOGIN_PARAMS).toEqual(['kc_idp_hint', 'login_hint', 'ui_locales', 'prompt', 'max_age']);
+    });
+
+    test('should accept a subset', () => {
+        expect([...parseLoginParams(['kc_idp_hint', 'ui_locales'])]).toEqual(['kc_idp_hint', 'ui_locales']);
+    });
+
+    test('should accept an empty list', () => {
+        expect(parseLoginParams([]).size).toBe(0);
+    });
+
+    test.each(['redirect_uri', 'scope', 'kc_action'])('should refuse %s', (name) => {
+        expect(() => parseLoginParams([name])).toThrow(`Unsupported login parameter "${name}"`);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: pickLoginParams()
+// ---------------------------------------------------------------------------
+
+describe('pickLoginParams()', () => {
+    test('should forward valid parameters', () => {
+        const query = {
+            kc_idp_hint: 'google',
+            login_hint: 'reader@example.com',
+            ui_locales: 'fr-CA en',
+            prompt: 'login',
+            max_age: '300'
+        };
+
+        expect(pickLoginParams(query, ALL)).toEqual({ params: query, rejected: [] });
+    });
+
+    test('should ignore parameters outside the allowlist', () => {
+        const query = { kc_idp_hint: 'google', redirect_uri: 'https://evil.example', returnTo: '/post/' };
+
+        expect(pickLoginParams(query, new Set(['login_hint']))).toEqual({ params: {}, rejected: [] });
+        expect(pickLoginParams(query, ALL).params).toEqual({ kc_idp_hint: 'google' });
+    });
+
+    test.each([
+        ['kc_idp_hint', 'google/../admin'],
+        ['kc_idp_hint', ''],
+        ['login_hint', 'reader@example.com\r\nX-Injected: 1'],
+        ['login_hint', 'a'.repeat(255)],
+        ['ui_locales', 'fr;q=0.8'],
+        ['prompt', 'none'],
+        ['prompt', 'create'],
+        ['max_age', '-1'],
+        ['max_age', '1e3']
+    ])('should reject %s=%j', (name, value) => {
+        expect(pickLoginParams({ [name]: value }, ALL)).toEqual({ params: {}, rejected: [name] });
+    });
+
+    test('should reject repeated parameters', () => {
+        expect(pickLoginParams({ prompt: ['login', 'consent'] }, ALL).rejected).toEqual(['prompt']);
+    });
+
+    test('should restrict kc_idp_hint to known aliases when configured', () => {
+        const idpHints = ['google', 'github'];
+
+        expect(pickLoginParams({ kc_idp_hint: 'github' }, ALL, { idpHints }).params).toEqual({ kc_idp_hint: 'github' });
+        expect(pickLoginParams({ kc_idp_hint: 'saml-corp' }, ALL, { idpHints }).rejected).toEqual(['kc_idp_hint']);
+    });
+});
@@ -0,0 +1,66 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// mappings.test.js
+// Unit tests for mapping strings and Ghost object lookups
+//
+// Purpose:
+//   - Validates group=value parsing shared by roles, labels and tiers
+//   - Validates slug-or-name lookup of Ghost objects
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { parseGroupMapping, findBySlugOrName } = await import('../../src/lib/mappings.js');
+
+const OPTIONS = { kind: 'label', expected: 'group=Label' };
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseGroupMapping()
+// ---------------------------------------------------------------------------
+
+describe('parseGroupMapping()', () => {
+    test('should return an empty map for blank input', () => {
+        expect(parseGroupMapping(undefined, OPTIONS).size).toBe(0);
+        expect(parseGroupMapping('  ', OPTIONS).size).toBe(0);
+    });
+
+    test('should collect repeated sources in order', () => {
+        const mapping = parseGroupMapping('partner=Partners, /audiences/students=Students,partner=VIP,', OPTIONS);
+
+        expect([...mapping]).toEqual([
+            ['partner', ['Partners', 'VIP']],
+            ['/audiences/students', ['Students']]
+        ]);
+    });
+
+    test('should split on the last equals sign', () => {
+        expect(parseGroupMapping('a=b=Label', OPTIONS).get('a=b')).toEqual(['Label']);
+    });
+
+    test.each(['students', 'students=', '=Students'])('should name the setting for %j', (raw) => {
+        expect(() => parseGroupMapping(raw, OPTIONS))
+            .toThrow(`Invalid label mapping entry "${raw}", expected group=Label`);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: findBySlugOrName()
+// ---------------------------------------------------------------------------
+
+describe('findBySlugOrName()', () => {
+    const items = [
+        { id: 't1', slug: 'premium', name: 'Premium' },
+        { id: 't2', slug: 'partner-access', name: 'Partner Access' }
+    ];
+
+    test('should match slugs and names case-insensitively', () => {
+        expect(findBySlugOrName(items, 'PREMIUM').id).toBe('t1');
+        expect(findBySlugOrName(items, 'partner access').id).toBe('t2');
+    });
+
+    test('should return undefined when nothing matches', () => {
+        expect(findBySlugOrName(items, 'gold')).toBeUndefined();
+    });
+});
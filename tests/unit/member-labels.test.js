@@ -0,0 +1,92 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// member-labels.test.js
+// Unit tests for Keycloak role/group to Ghost member label mapping
+//
+// Purpose:
+//   - Validates MEMBER_LABEL_MAPPING parsing
+//   - Validates label resolution from roles and groups
+//   - Ensures reconciliation keeps manual labels and skips no-op writes
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { parseLabelMapping, resolveMemberLabels, reconcileLabels } =
+    await import('../../src/lib/member-labels.js');
+
+const mapping = parseLabelMapping('/audiences/students=Students,partner=Partners,employee=Staff,employee=Partners');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseLabelMapping()
+// ---------------------------------------------------------------------------
+
+describe('parseLabelMapping()', () => {
+    test('should return an empty map when unset', () => {
+        expect(parseLabelMapping(undefined).size).toBe(0);
+        expect(parseLabelMapping('  ').size).toBe(0);
+    });
+
+    test('should group several labels under one role or group', () => {
+        expect(mapping.get('employee')).toEqual(['Staff', 'Partners']);
+        expect(mapping.get('/audiences/students')).toEqual(['Students']);
+    });
+
+    test('should reject malformed entries', () => {
+        expect(() => parseLabelMapping('students')).toThrow('Invalid label mapping entry');
+        expect(() => parseLabelMapping('students=')).toThrow('Invalid label mapping entry');
+        expect(() => parseLabelMapping('=Students')).toThrow('Invalid label mapping entry');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: resolveMemberLabels()
+// ---------------------------------------------------------------------------
+
+describe('resolveMemberLabels()', () => {
+    test('should collect labels from groups, realm roles and client roles', () => {
+        const claims = {
+            groups: ['/audiences/students'],
+            realm_access: { roles: ['partner'] },
+            resource_access: { 'ghost-members': { roles: ['employee'] } }
+        };
+
+        expect(resolveMemberLabels(claims, mapping, 'ghost-members')).toEqual(['Students', 'Partners', 'Staff']);
+    });
+
+    test('should return nothing without matching claims', () => {
+        expect(resolveMemberLabels({ groups: ['/other'] }, mapping, 'ghost-members')).toEqual([]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: reconcileLabels()
+// ---------------------------------------------------------------------------
+
+describe('reconcileLabels()', () => {
+    const current = [{ name: 'VIP' }, { name: 'Students' }];
+
+    test('should add missing labels and keep existing ones', () => {
+        expect(reconcileLabels(current, ['Partners'], { mapping, removeStale: false }))
+            .toEqual(['VIP', 'Students', 'Partners']);
+    });
+
+    test('should return null when nothing changes', () => {
+        expect(reconcileLabels(current, ['students'], { mapping, removeStale: false })).toBeNull();
+        expect(reconcileLabels(current, [], { mapping, removeStale: false })).toBeNull();
+    });
+
+    test('should drop stale managed labels only when asked', () => {
+        expect(reconcileLabels(current, ['Partners'], { mapping, removeStale: true }))
+            .toEqual(['VIP', 'Partners']);
+    });
+
+    test('should never drop labels absent from the mapping', () => {
+        expect(reconcileLabels(['VIP'], [], { mapping, removeStale: true })).toBeNull();
+    });
+
+    test('should accept plain label names', () => {
+        expect(reconcileLabels(undefined, ['Staff'], { mapping, removeStale: true })).toEqual(['Staff']);
+    });
+});
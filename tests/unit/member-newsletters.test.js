@@ -0,0 +1,105 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// member-newsletters.test.js
+// Unit tests for newsletter subscriptions and consent of new members
+//
+// Purpose:
+//   - Validates opt-in attribute parsing
+//   - Validates newsletter selection for configured lists and opt-in claims
+//   - Ensures the consent note carries source and timestamp
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { parseOptIn, resolveNewsletterSignup } = await import('../../src/lib/member-newsletters.js');
+
+const NEWSLETTERS = [
+    { id: 'nl-weekly', slug: 'weekly', name: 'Weekly Digest' },
+    { id: 'nl-offers', slug: 'offers', name: 'Offers' }
+];
+const NOW = new Date('2030-01-01T12:00:00.000Z');
+
+const signup = (claims, references, optInClaim = null) =>
+    resolveNewsletterSignup(claims, { references, optInClaim, newsletters: NEWSLETTERS, now: NOW });
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseOptIn()
+// ---------------------------------------------------------------------------
+
+describe('parseOptIn()', () => {
+    test('should read booleans, strings and single-value arrays', () => {
+        expect(parseOptIn(true)).toBe(true);
+        expect(parseOptIn('Yes')).toBe(true);
+        expect(parseOptIn(['true'])).toBe(true);
+        expect(parseOptIn(false)).toBe(false);
+        expect(parseOptIn('0')).toBe(false);
+    });
+
+    test('should return null for missing or unknown values', () => {
+        expect(parseOptIn(undefined)).toBeNull();
+        expect(parseOptIn('')).toBeNull();
+        expect(parseOptIn('maybe')).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: resolveNewsletterSignup()
+// ---------------------------------------------------------------------------
+
+describe('resolveNewsletterSignup()', () => {
+    test('should do nothing when neither list nor claim is configured', () => {
+        expect(signup({}, [])).toBeNull();
+    });
+
+    test('should subscribe to the configured list by slug or name', () => {
+        const result = signup({}, ['weekly', 'offers']);
+
+        expect(result.newsletters).toEqual(['nl-weekly', 'nl-offers']);
+        expect(result.note).toBe(
+            'Newsletters: subscribed by site default (MEMBER_NEWSLETTERS) on 2030-01-01T12:00:00.000Z via SSO signup; '
+            + 'subscribed to Weekly Digest, Offers'
+        );
+    });
+
+    test('should report unknown newsletters', () => {
+        const result = signup({}, ['Weekly Digest', 'gone']);
+
+        expect(result.newsletters).toEqual(['nl-weekly']);
+        expect(result.unknown).toEqual(['gone']);
+    });
+
+    test('should follow an opt-in attribute with the configured list', () => {
+        const result = signup({ newsletter_opt_in: ['true'] }, ['offers'], 'newsletter_opt_in');
+
+        expect(result.newsletters).toEqual(['nl-offers']);
+        expect(result.note).toBe(
+            'Newsletters: opted in (Keycloak attribute newsletter_opt_in) on 2030-01-01T12:00:00.000Z via SSO signup; '
+            + 'subscribed to Offers'
+        );
+    });
+
+    test('should leave Ghost defaults for an opt-in without configured list', () => {
+        const result = signup({ newsletter_opt_in: true }, [], 'newsletter_opt_in');
+
+        expect(result.newsletters).toBeUndefined();
+        expect(result.note).toContain('subscribed to Ghost defaults');
+    });
+
+    test('should subscribe to nothing when the member declined', () => {
+        const result = signup({ newsletter_opt_in: 'false' }, ['weekly'], 'newsletter_opt_in');
+
+        expect(result.newsletters).toEqual([]);
+        expect(result.note).toBe(
+            'Newsletters: declined (Keycloak attribute newsletter_opt_in) on 2030-01-01T12:00:00.000Z via SSO signup'
+        );
+    });
+
+    test('should subscribe to nothing when the attribute is missing', () => {
+        const result = signup({}, [], 'newsletter_opt_in');
+
+        expect(result.newsletters).toEqual([]);
+        expect(result.note).toContain('no consent given');
+    });
+});
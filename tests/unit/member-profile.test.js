@@ -0,0 +1,88 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// member-profile.test.js
+// Unit tests for Ghost member profile fields derived from Keycloak claims
+//
+// Purpose:
+//   - Validates MEMBER_PROFILE_MAPPING parsing and its default
+//   - Validates claim reading (name fallback, arrays, blanks)
+//   - Ensures unchanged profiles produce no changes
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { parseProfileMapping, profileFromClaims, profileChanges } =
+    await import('../../src/lib/member-profile.js');
+
+const defaultMapping = parseProfileMapping(undefined);
+const fullMapping = parseProfileMapping('name=name, expertise=job_title');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseProfileMapping()
+// ---------------------------------------------------------------------------
+
+describe('parseProfileMapping()', () => {
+    test('should map name from the name claim by default', () => {
+        expect([...defaultMapping]).toEqual([['name', 'name']]);
+    });
+
+    test('should parse configured fields', () => {
+        expect(fullMapping.get('expertise')).toBe('job_title');
+    });
+
+    test('should reject unsupported fields', () => {
+        expect(() => parseProfileMapping('email=email')).toThrow('Unsupported member field "email"');
+    });
+
+    test('should reject malformed entries', () => {
+        expect(() => parseProfileMapping('name')).toThrow('Invalid profile mapping entry');
+        expect(() => parseProfileMapping('name=a=b')).toThrow('Invalid profile mapping entry');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: profileFromClaims()
+// ---------------------------------------------------------------------------
+
+describe('profileFromClaims()', () => {
+    test('should read mapped claims', () => {
+        expect(profileFromClaims({ name: ' Jane Doe ', job_title: ['Editor'] }, fullMapping))
+            .toEqual({ name: 'Jane Doe', expertise: 'Editor' });
+    });
+
+    test('should build the name from given and family names', () => {
+        expect(profileFromClaims({ given_name: 'Jane', family_name: 'Doe' }, defaultMapping))
+            .toEqual({ name: 'Jane Doe' });
+    });
+
+    test('should omit missing or blank claims', () => {
+        expect(profileFromClaims({ name: '  ', job_title: null }, fullMapping)).toEqual({});
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: profileChanges()
+// ---------------------------------------------------------------------------
+
+describe('profileChanges()', () => {
+    test('should return only changed fields', () => {
+        const member = { name: 'Jane Smith', expertise: 'Editor' };
+
+        expect(profileChanges(member, { name: 'Jane Doe', job_title: 'Editor' }, fullMapping))
+            .toEqual({ name: 'Jane Doe' });
+    });
+
+    test('should fill fields Ghost does not have yet', () => {
+        expect(profileChanges({ name: null }, { name: 'Jane Doe' }, defaultMapping)).toEqual({ name: 'Jane Doe' });
+    });
+
+    test('should return null when the profile is up to date', () => {
+        expect(profileChanges({ name: 'Jane Doe' }, { name: 'Jane Doe' }, defaultMapping)).toBeNull();
+    });
+
+    test('should never blank a Ghost value for a missing claim', () => {
+        expect(profileChanges({ name: 'Jane Doe' }, {}, defaultMapping)).toBeNull();
+    });
+});
@@ -0,0 +1,100 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// member-session.test.js
+// Unit tests for the signed member bridge session
+//
+// Purpose:
+//   - Validates the session built from ID token claims
+//   - Validates signature and expiry checks when reading it back
+//   - Validates the status JSON of /auth/member/me
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const {
+    createMemberSession,
+    readMemberSession,
+    memberStatus
+} = await import('../../src/lib/member-session.js');
+
+// ---------------------------------------------------------------------------
+// TEST FIXTURES
+// ---------------------------------------------------------------------------
+
+const NOW = Date.UTC(2026, 0, 1);
+const HOUR = 3600000;
+
+const claims = {
+    sub: 'kc-user-1',
+    email: 'jane@example.com',
+    realm_access: { roles: ['subscriber', 42, 'premium'] },
+    resource_access: { 'ghost-members': { roles: ['client-role'] } }
+};
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: createMemberSession()
+// ---------------------------------------------------------------------------
+
+describe('createMemberSession()', () => {
+    test('should keep the subject, email and realm roles', () => {
+        const { session } = createMemberSession(claims, HOUR, NOW);
+
+        expect(session).toEqual({
+            sub: 'kc-user-1',
+            email: 'jane@example.com',
+            roles: ['subscriber', 'premium'],
+            authenticatedAt: NOW,
+            expiresAt: NOW + HOUR
+        });
+    });
+
+    test('should handle tokens without realm roles', () => {
+        expect(createMemberSession({ sub: 'kc-user-1' }, HOUR, NOW).session.roles).toEqual([]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: readMemberSession()
+// ---------------------------------------------------------------------------
+
+describe('readMemberSession()', () => {
+    test('should read back a session until it expires', () => {
+        const { session, cookie } = createMemberSession(claims, HOUR, NOW);
+
+        expect(readMemberSession(cookie, NOW + HOUR - 1)).toEqual(session);
+        expect(readMemberSession(cookie, NOW + HOUR)).toBeNull();
+    });
+
+    test('should reject missing and tampered values', () => {
+        const { cookie } = createMemberSession(claims, HOUR, NOW);
+
+        expect(readMemberSession(undefined, NOW)).toBeNull();
+        expect(readMemberSession(`${cookie}x`, NOW)).toBeNull();
+        expect(readMemberSession('eyJzdWIiOiJ4In0', NOW)).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: memberStatus()
+// ---------------------------------------------------------------------------
+
+describe('memberStatus()', () => {
+    test('should describe a linked browser', () => {
+        const { session } = createMemberSession(claims, HOUR, NOW);
+
+        expect(memberStatus(session, true)).toEqual({
+            linked: true,
+            sub: 'kc-user-1',
+            email: 'jane@example.com',
+            roles: ['subscriber', 'premium'],
+            authenticatedAt: '2026-01-01T00:00:00.000Z',
+            ghostSession: true
+        });
+    });
+
+    test('should describe an unlinked browser', () => {
+        expect(memberStatus(null, true)).toEqual({ linked: false, ghostSession: true });
+    });
+});
@@ -0,0 +1,115 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// member-tiers.test.js
+// Unit tests for Keycloak role/group to Ghost tier mapping
+//
+// Purpose:
+//   - Validates MEMBER_TIER_MAPPING parsing
+//   - Validates tier lookup by slug or name and grant resolution
+//   - Ensures only managed complimentary tiers change, never paid members
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { parseTierMapping, resolveTierGrants, planTierChanges } =
+    await import('../../src/lib/member-tiers.js');
+
+const TIERS = [
+    { id: 'tier-free', slug: 'free', name: 'Free' },
+    { id: 'tier-premium', slug: 'premium', name: 'Premium' },
+    { id: 'tier-partner', slug: 'partner-access', name: 'Partner Access' }
+];
+
+const mapping = parseTierMapping('contract-reader=premium,/partners=Partner Access');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseTierMapping()
+// ---------------------------------------------------------------------------
+
+describe('parseTierMapping()', () => {
+    test('should return an empty map when unset', () => {
+        expect(parseTierMapping(undefined).size).toBe(0);
+    });
+
+    test('should parse pairs and keep tier names with spaces', () => {
+        expect(mapping.get('contract-reader')).toEqual(['premium']);
+        expect(mapping.get('/partners')).toEqual(['Partner Access']);
+    });
+
+    test('should reject malformed entries', () => {
+        expect(() => parseTierMapping('contract-reader')).toThrow('Invalid tier mapping entry');
+        expect(() => parseTierMapping('contract-reader=')).toThrow('Invalid tier mapping entry');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: resolveTierGrants()
+// ---------------------------------------------------------------------------
+
+describe('resolveTierGrants()', () => {
+    test('should grant tiers matched by slug or name', () => {
+        const claims = { realm_access: { roles: ['contract-reader'] }, groups: ['/partners'] };
+
+        const { granted, managed, unknown } = resolveTierGrants(claims, mapping, 'ghost-members', TIERS);
+
+        expect([...granted]).toEqual(['tier-premium', 'tier-partner']);
+        expect([...managed]).toEqual(['tier-premium', 'tier-partner']);
+        expect(unknown).toEqual([]);
+    });
+
+    test('should manage mapped tiers even when not granted', () => {
+        const { granted, managed } = resolveTierGrants({}, mapping, 'ghost-members', TIERS);
+
+        expect(granted.size).toBe(0);
+        expect(managed.size).toBe(2);
+    });
+
+    test('should report references matching no tier', () => {
+        const { unknown, managed } = resolveTierGrants({}, parseTierMapping('vip=gold'), 'ghost-members', TIERS);
+
+        expect(unknown).toEqual(['gold']);
+        expect(managed.size).toBe(0);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: planTierChanges()
+// ---------------------------------------------------------------------------
+
+describe('planTierChanges()', () => {
+    const managed = new Set(['tier-premium', 'tier-partner']);
+
+    test('should add granted tiers', () => {
+        const member = { status: 'free', tiers: [] };
+
+        expect(planTierChanges(member, new Set(['tier-premium']), managed)).toEqual({
+            tiers: ['tier-premium'],
+            added: ['tier-premium'],
+            removed: []
+        });
+    });
+
+    test('should revoke managed tiers no longer granted and keep others', () => {
+        const member = { status: 'comped', tiers: [{ id: 'tier-premium' }, { id: 'tier-manual' }] };
+
+        expect(planTierChanges(member, new Set(), managed)).toEqual({
+            tiers: ['tier-manual'],
+            added: [],
+            removed: ['tier-premium']
+        });
+    });
+
+    test('should return null when nothing changes', () => {
+        const member = { status: 'comped', tiers: [{ id: 'tier-premium' }] };
+
+        expect(planTierChanges(member, new Set(['tier-premium']), managed)).toBeNull();
+    });
+
+    test('should leave paying members alone', () => {
+        const member = { status: 'paid', tiers: [{ id: 'tier-premium' }] };
+
+        expect(planTierChanges(member, new Set(), managed)).toBeNull();
+    });
+});
@@ -0,0 +1,82 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// nql.test.js
+// Unit tests for the Ghost NQL filter builder
+//
+// Purpose:
+//   - Ensures user-supplied values can never alter a filter
+//   - Covers quotes, plus-addressing, commas and Unicode addresses
+//   - Validates field name checks
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { nqlValue, nqlEquals } = await import('../../src/lib/nql.js');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: nqlValue()
+// ---------------------------------------------------------------------------
+
+describe('nqlValue()', () => {
+    test('should quote strings', () => {
+        expect(nqlValue('active')).toBe("'active'");
+    });
+
+    test('should escape single quotes', () => {
+        expect(nqlValue("o'brien@example.com")).toBe("'o\\'brien@example.com'");
+    });
+
+    test('should escape backslashes before quotes', () => {
+        expect(nqlValue("a\\'+id:-null")).toBe("'a\\\\\\'+id:-null'");
+    });
+
+    test('should keep double quotes literal', () => {
+        expect(nqlValue('"jane"@example.com')).toBe("'\"jane\"@example.com'");
+    });
+
+    test('should keep plus-addressing literal', () => {
+        expect(nqlValue('jane+news@example.com')).toBe("'jane+news@example.com'");
+    });
+
+    test('should keep commas and brackets literal', () => {
+        expect(nqlValue('a,b[c]@example.com')).toBe("'a,b[c]@example.com'");
+    });
+
+    test('should pass Unicode addresses through', () => {
+        expect(nqlValue('jörg@bücher.example')).toBe("'jörg@bücher.example'");
+        expect(nqlValue('用户@例子.广告')).toBe("'用户@例子.广告'");
+    });
+
+    test('should write numbers, booleans and null unquoted', () => {
+        expect(nqlValue(3)).toBe('3');
+        expect(nqlValue(false)).toBe('false');
+        expect(nqlValue(null)).toBe('null');
+    });
+
+    test('should reject other types', () => {
+        expect(() => nqlValue(undefined)).toThrow('Unsupported NQL value type "undefined"');
+        expect(() => nqlValue({})).toThrow('Unsupported NQL value type "object"');
+        expect(() => nqlValue(NaN)).toThrow('Unsupported NQL value type');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: clauses
+// ---------------------------------------------------------------------------
+
+describe('nqlEquals()', () => {
+    test('should build an equality clause', () => {
+        expect(nqlEquals('email', "o'brien+news@example.com")).toBe("email:'o\\'brien+news@example.com'");
+    });
+
+    test('should accept dotted relation fields', () => {
+        expect(nqlEquals('labels.slug', 'students')).toBe("labels.slug:'students'");
+    });
+
+    test('should reject field names that are not identifiers', () => {
+        expect(() => nqlEquals("email:'x'+id", 'y')).toThrow('Invalid NQL field');
+        expect(() => nqlEquals('', 'y')).toThrow('Invalid NQL field');
+    });
+});
@@ -0,0 +1,64 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// pages.test.js
+// Unit tests for the page descriptions shown by the bridge
+//
+// Purpose:
+//   - Validates the email verification page template, status, keys and links
+//   - Validates the redirecting page
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { emailNotVerifiedPage, redirectingPage } = await import('../../src/lib/pages.js');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: emailNotVerifiedPage()
+// ---------------------------------------------------------------------------
+
+describe('emailNotVerifiedPage()', () => {
+    const options = {
+        accountUrl: 'https://keycloak.example.com/realms/blog/account/',
+        retryUrl: '/auth/member/login'
+    };
+
+    test('should be an access denied page', () => {
+        const page = emailNotVerifiedPage(options);
+
+        expect(page.template).toBe('access-denied');
+        expect(page.status).toBe(403);
+        expect(page.title).toBe('emailNotVerified.title');
+    });
+
+    test('should name the address and link back to Keycloak', () => {
+        const page = emailNotVerifiedPage({ ...options, email: 'jane@example.com' });
+
+        expect(page.message).toBe('emailNotVerified.messageWithEmail');
+        expect(page.vars).toEqual({ email: 'jane@example.com' });
+        expect(page.links).toEqual([
+            { href: 'https://keycloak.example.com/realms/blog/account/', label: 'emailNotVerified.manageAccount' },
+            { href: '/auth/member/login', label: 'emailNotVerified.signInAgain' }
+        ]);
+    });
+
+    test('should read well without an address', () => {
+        expect(emailNotVerifiedPage(options).message).toBe('emailNotVerified.message');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: redirectingPage()
+// ---------------------------------------------------------------------------
+
+describe('redirectingPage()', () => {
+    test('should describe a 302 with a link to the destination', () => {
+        const page = redirectingPage('https://blog.example.com/ghost/');
+
+        expect(page.template).toBe('redirecting');
+        expect(page.status).toBe(302);
+        expect(page.redirectUrl).toBe('https://blog.example.com/ghost/');
+        expect(page.links).toEqual([{ href: 'https://blog.example.com/ghost/', label: 'redirecting.continue' }]);
+    });
+});
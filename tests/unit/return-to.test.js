@@ -0,0 +1,129 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// return-to.test.js
+// Unit tests for post-login return destination validation
+//
+// Purpose:
+//   - Validates same-origin path acceptance and normalization
+//   - Validates blogs served from a subdirectory
+//   - Ensures open redirect attempts are rejected
+// ============================================================================
+
+import { jest, describe, test, expect } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCK LOGGER
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const { resolveReturnTo } = await import('../../src/lib/return-to.js');
+
+const blogUrl = 'https://blog.example.com';
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Accepted destinations
+// ---------------------------------------------------------------------------
+
+describe('resolveReturnTo() - accepted', () => {
+    test('should accept a relative path', () => {
+        expect(resolveReturnTo('/my-post/', blogUrl, ['/'])).toBe('https://blog.example.com/my-post/');
+    });
+
+    test('should keep query string and fragment', () => {
+        expect(resolveReturnTo('/my-post/?ref=nav#comments', blogUrl, ['/']))
+            .toBe('https://blog.example.com/my-post/?ref=nav#comments');
+    });
+
+    test('should accept an absolute same-origin URL', () => {
+        expect(resolveReturnTo('https://blog.example.com/tag/news/', blogUrl, ['/']))
+            .toBe('https://blog.example.com/tag/news/');
+    });
+
+    test('should accept paths under an allowlisted prefix', () => {
+        expect(resolveReturnTo('/blog/post', blogUrl, ['/blog'])).toBe('https://blog.example.com/blog/post');
+        expect(resolveReturnTo('/blog', blogUrl, ['/blog'])).toBe('https://blog.example.com/blog');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Blog served from a subdirectory
+// ---------------------------------------------------------------------------
+
+describe('resolveReturnTo() - subdirectory blog', () => {
+    const subpathBlogUrl = 'https://example.com/blog';
+
+    test('should keep the blog path once', () => {
+        expect(resolveReturnTo('/blog/my-post/', subpathBlogUrl, ['/']))
+            .toBe('https://example.com/blog/my-post/');
+        expect(resolveReturnTo('https://example.com/blog/my-post/', subpathBlogUrl, ['/']))
+            .toBe('https://example.com/blog/my-post/');
+    });
+
+    test('should resolve relative values inside the blog', () => {
+        expect(resolveReturnTo('my-post/', subpathBlogUrl, ['/'])).toBe('https://example.com/blog/my-post/');
+    });
+
+    test('should accept the blog root with or without a trailing slash', () => {
+        expect(resolveReturnTo('/blog', subpathBlogUrl, ['/'])).toBe('https://example.com/blog');
+        expect(resolveReturnTo('/blog/', `${subpathBlogUrl}/`, ['/'])).toBe('https://example.com/blog/');
+    });
+
+    test('should reject paths outside the blog', () => {
+        expect(resolveReturnTo('/my-post/', subpathBlogUrl, ['/'])).toBeNull();
+        expect(resolveReturnTo('/blogger/', subpathBlogUrl, ['/'])).toBeNull();
+        expect(resolveReturnTo('../shop/', subpathBlogUrl, ['/'])).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Rejected destinations
+// ---------------------------------------------------------------------------
+
+describe('resolveReturnTo() - rejected', () => {
+    test('should reject empty values', () => {
+        expect(resolveReturnTo(undefined, blogUrl, ['/'])).toBeNull();
+        expect(resolveReturnTo('', blogUrl, ['/'])).toBeNull();
+    });
+
+    test('should reject non-string values', () => {
+        expect(resolveReturnTo(['/a', '/b'], blogUrl, ['/'])).toBeNull();
+    });
+
+    test('should reject other origins', () => {
+        expect(resolveReturnTo('https://evil.example.net/', blogUrl, ['/'])).toBeNull();
+    });
+
+    test('should reject protocol-relative and backslash tricks', () => {
+        expect(resolveReturnTo('//evil.example.net/', blogUrl, ['/'])).toBeNull();
+        expect(resolveReturnTo('/\\evil.example.net/', blogUrl, ['/'])).toBeNull();
+    });
+
+    test('should reject a different scheme on the same host', () => {
+        expect(resolveReturnTo('http://blog.example.com/', blogUrl, ['/'])).toBeNull();
+    });
+
+    test('should reject javascript: URLs', () => {
+        expect(resolveReturnTo('javascript:alert(1)', blogUrl, ['/'])).toBeNull();
+    });
+
+    test('should reject bridge paths to avoid login loops', () => {
+        expect(resolveReturnTo('/auth/member/login', blogUrl, ['/'])).toBeNull();
+    });
+
+    test('should reject paths outside the allowlist', () => {
+        expect(resolveReturnTo('/ghost/', blogUrl, ['/blog'])).toBeNull();
+        expect(resolveReturnTo('/blogger', blogUrl, ['/blog'])).toBeNull();
+    });
+});
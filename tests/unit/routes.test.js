@@ -11,7 +11,7 @@
 //   - Ensures proper error responses
 // ============================================================================
 
-import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach, afterAll } from '@jest/globals';
 import express from 'express';
 import request from 'supertest';
 import cookieParser from 'cookie-parser';
@@ -21,11 +21,12 @@ import cookieParser from 'cookie-parser';
 // ---------------------------------------------------------------------------
 
 const mockQuery = jest.fn();
+const mockIsStaffEmpty = jest.fn();
 
 jest.unstable_mockModule('../../src/lib/db.js', () => ({
     query: mockQuery,
     fetchGhostSecret: jest.fn(),
-    isStaffEmpty: jest.fn(),
+    isStaffEmpty: mockIsStaffEmpty,
     testConnection: jest.fn()
 }));
 
@@ -50,13 +51,59 @@ jest.unstable_mockModule('../../src/lib/logger.js', () => ({
 // Mock openid-client v6 functions
 const mockAuthorizationCodeGrant = jest.fn();
 const mockBuildAuthorizationUrl = jest.fn();
+let stateCounter = 0;
 
 jest.unstable_mockModule('openid-client', () => ({
     authorizationCodeGrant: mockAuthorizationCodeGrant,
     buildAuthorizationUrl: mockBuildAuthorizationUrl,
-    discovery: jest.fn()
+    buildEndSessionUrl: jest.fn((config, params) =>
+        new URL(`${config.serverMetadata().end_session_endpoint}?${new URLSearchParams(params)}`)
+    ),
+    discovery: jest.fn(),
+    randomState: jest.fn(() => `mock-state-${++stateCounter}`),
+    randomNonce: jest.fn(() => `mock-nonce-${stateCounter}`),
+    randomPKCECodeVerifier: jest.fn(() => 'mock-code-verifier'),
+    calculatePKCECodeChallenge: jest.fn(() => Promise.resolve('mock-code-challenge'))
 }));
 
+// Mock jose (logout token verification)
+const mockJwtVerify = jest.fn();
+
+jest.unstable_mockModule('jose', () => ({
+    jwtVerify: mockJwtVerify,
+    createRemoteJWKSet: jest.fn(() => 'mock-jwks')
+}));
+
+// Mock session tracking
+const mockRecordSession = jest.fn();
+const mockFindSessions = jest.fn();
+const mockForgetSessions = jest.fn();
+const mockForgetGhostSession = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/session-store.js', () => ({
+    ensureSessionStore: jest.fn(),
+    recordSession: mockRecordSession,
+    findSessions: mockFindSessions,
+    forgetSessions: mockForgetSessions,
+    forgetGhostSession: mockForgetGhostSession
+}));
+
+// Mock identity links (no link by default: email fallback)
+const mockFindLinkedId = jest.fn();
+const mockLinkIdentity = jest.fn();
+const mockUnlinkIdentity = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/identity-links.js', () => {
+    class IdentityConflictError extends Error {}
+    return {
+        ensureIdentityLinks: jest.fn(),
+        findLinkedId: mockFindLinkedId,
+        linkIdentity: mockLinkIdentity,
+        unlinkIdentity: mockUnlinkIdentity,
+        IdentityConflictError
+    };
+});
+
 // Mock global fetch
 global.fetch = jest.fn();
 
@@ -69,10 +116,46 @@ const createMockOidcConfig = () => ({
         authorization_endpoint: 'https://keycloak.example.com/realms/test/protocol/openid-connect/auth',
         end_session_endpoint: 'https://keycloak.example.com/realms/test/protocol/openid-connect/logout',
         token_endpoint: 'https://keycloak.example.com/realms/test/protocol/openid-connect/token',
+        jwks_uri: 'https://keycloak.example.com/realms/test/protocol/openid-connect/certs',
         issuer: 'https://keycloak.example.com/realms/test'
     }))
 });
 
+// ---------------------------------------------------------------------------
+// LOGIN ROUND-TRIP HELPER
+// ---------------------------------------------------------------------------
+// Starts a login to obtain the auth state cookie and the state sent to Keycloak.
+
+const startLogin = async (app, path) => {
+    const response = await request(app).get(path);
+    const location = new URL(response.headers.location);
+    const cookie = response.headers['set-cookie'].find(c => c.includes('_auth_state='));
+
+    return {
+        state: location.searchParams.get('state'),
+        cookie: cookie.split(';')[0],
+        location
+    };
+};
+
+// Completes a member login round-trip with a valid state and cookie
+const memberCallback = async (app, code, loginPath = '/auth/member/login') => {
+    const { state, cookie } = await startLogin(app, loginPath);
+
+    return request(app)
+        .get(`/auth/member/callback?code=${code}&state=${state}`)
+        .set('Cookie', cookie);
+};
+
+// Completes a staff login round-trip with a valid state and cookie
+const staffCallback = async (app, code) => {
+    const { state, cookie } = await startLogin(app, '/auth/admin/login');
+
+    return request(app)
+        .get(`/auth/admin/callback?code=${code}&state=${state}`)
+        .set('Cookie', cookie);
+};
+
 // ---------------------------------------------------------------------------
 // TEST SUITE: Member Routes
 // ---------------------------------------------------------------------------
@@ -107,6 +190,7 @@ describe('Member Routes', () => {
             id_token: 'mock-id-token',
             claims: () => ({
                 email: 'test@example.com',
+                email_verified: true,
                 name: 'Test User'
             })
         });
@@ -137,12 +221,189 @@ describe('Member Routes', () => {
             expect(location).toContain('client_id=');
         });
 
-        test('should redirect to registration for signup action', async () => {
+        test('should request registration with prompt=create for signup action', async () => {
+            const { location } = await startLogin(app, '/auth/member/login?action=signup');
+
+            expect(location.pathname).toBe('/realms/test/protocol/openid-connect/auth');
+            expect(location.searchParams.get('prompt')).toBe('create');
+            expect(location.searchParams.has('kc_action')).toBe(false);
+        });
+
+        test('should request registration with kc_action when configured', async () => {
+            process.env.MEMBER_SIGNUP_MODE = 'kc_action';
+
+            try {
+                app = express();
+                app.use(cookieParser());
+                app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+                const { location } = await startLogin(app, '/auth/member/login?action=signup');
+
+                expect(location.searchParams.get('kc_action')).toBe('register');
+                expect(location.searchParams.has('prompt')).toBe(false);
+            } finally {
+                delete process.env.MEMBER_SIGNUP_MODE;
+            }
+        });
+
+        test('should send no registration hint on plain login', async () => {
+            const { location } = await startLogin(app, '/auth/member/login');
+
+            expect(location.searchParams.has('prompt')).toBe(false);
+            expect(location.searchParams.has('kc_action')).toBe(false);
+        });
+
+        test('should report signup support in debug output', async () => {
+            const response = await request(app).get('/auth/member/debug').expect(200);
+
+            expect(response.body.config.signupMode).toBe('prompt');
+            expect(response.body.config.signupSupported).toBeNull();
+        });
+
+        test('should refuse to start in strict signup mode when support is unconfirmed', () => {
+            process.env.MEMBER_SIGNUP_STRICT = 'true';
+
+            try {
+                expect(() => memberRoutes(mockOidcConfig))
+                    .toThrow('Member realm cannot confirm support for MEMBER_SIGNUP_MODE=prompt');
+            } finally {
+                delete process.env.MEMBER_SIGNUP_STRICT;
+            }
+        });
+
+        test('should refuse to start in strict signup mode when the realm lacks prompt=create', () => {
+            process.env.MEMBER_SIGNUP_STRICT = 'true';
+            const metadata = mockOidcConfig.serverMetadata();
+            mockOidcConfig.serverMetadata.mockReturnValue({ ...metadata, prompt_values_supported: ['none', 'login'] });
+
+            try {
+                expect(() => memberRoutes(mockOidcConfig)).toThrow('without "create"');
+            } finally {
+                delete process.env.MEMBER_SIGNUP_STRICT;
+            }
+        });
+
+        test('should start in strict signup mode when the realm supports the hint', async () => {
+            process.env.MEMBER_SIGNUP_STRICT = 'true';
+            const metadata = mockOidcConfig.serverMetadata();
+            mockOidcConfig.serverMetadata.mockReturnValue({ ...metadata, prompt_values_supported: ['none', 'login', 'create'] });
+
+            try {
+                app = express();
+                app.use(cookieParser());
+                app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+                const response = await request(app).get('/auth/member/debug').expect(200);
+                expect(response.body.config.signupSupported).toBe(true);
+            } finally {
+                delete process.env.MEMBER_SIGNUP_STRICT;
+            }
+        });
+
+        test('should include state, nonce and PKCE challenge', async () => {
+            const { location } = await startLogin(app, '/auth/member/login');
+
+            expect(location.searchParams.get('state')).toMatch(/^mock-state-/);
+            expect(location.searchParams.get('nonce')).toMatch(/^mock-nonce-/);
+            expect(location.searchParams.get('code_challenge')).toBe('mock-code-challenge');
+            expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+        });
+
+        test('should set a short-lived auth state cookie', async () => {
             const response = await request(app)
-                .get('/auth/member/login?action=signup')
+                .get('/auth/member/login')
+                .expect(302);
+
+            const stateCookie = response.headers['set-cookie'].find(c => c.includes('kc_member_auth_state'));
+            expect(stateCookie).toContain('HttpOnly');
+            expect(stateCookie).toContain('Path=/auth/member');
+        });
+
+        test('should forward allowlisted Keycloak parameters', async () => {
+            const { location } = await startLogin(app,
+                '/auth/member/login?kc_idp_hint=google&login_hint=reader%40example.com&ui_locales=fr&prompt=login&max_age=300');
+
+            expect(location.searchParams.get('kc_idp_hint')).toBe('google');
+            expect(location.searchParams.get('login_hint')).toBe('reader@example.com');
+            expect(location.searchParams.get('ui_locales')).toBe('fr');
+            expect(location.searchParams.get('prompt')).toBe('login');
+            expect(location.searchParams.get('max_age')).toBe('300');
+        });
+
+        test('should drop unknown parameters and invalid values', async () => {
+            const { location } = await startLogin(app,
+                '/auth/member/login?prompt=none&kc_idp_hint=a%2Fb&redirect_uri=https%3A%2F%2Fevil.example&scope=admin');
+
+            expect(location.searchParams.has('prompt')).toBe(false);
+            expect(location.searchParams.has('kc_idp_hint')).toBe(false);
+            expect(location.searchParams.get('redirect_uri')).not.toContain('evil.example');
+            expect(location.searchParams.get('scope')).toBe('openid email profile');
+        });
+
+        test('should let the signup hint win over a forwarded prompt', async () => {
+            const { location } = await startLogin(app, '/auth/member/login?action=signup&prompt=login&kc_idp_hint=google');
+
+            expect(location.searchParams.get('prompt')).toBe('create');
+            expect(location.searchParams.get('kc_idp_hint')).toBe('google');
+        });
+
+        test('should only forward parameters of the realm allowlist', async () => {
+            process.env.MEMBER_LOGIN_PARAMS = 'kc_idp_hint';
+            process.env.MEMBER_IDP_HINTS = 'google,github';
+
+            try {
+                app = express();
+                app.use(cookieParser());
+                app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+                const allowed = await startLogin(app, '/auth/member/login?kc_idp_hint=github&login_hint=reader%40example.com');
+                expect(allowed.location.searchParams.get('kc_idp_hint')).toBe('github');
+                expect(allowed.location.searchParams.has('login_hint')).toBe(false);
+
+                const unknown = await startLogin(app, '/auth/member/login?kc_idp_hint=saml-corp');
+                expect(unknown.location.searchParams.has('kc_idp_hint')).toBe(false);
+            } finally {
+                delete process.env.MEMBER_LOGIN_PARAMS;
+                delete process.env.MEMBER_IDP_HINTS;
+            }
+        });
+
+        test('should refuse to start with an unsupported allowlist entry', () => {
+            process.env.MEMBER_LOGIN_PARAMS = 'kc_idp_hint,redirect_uri';
+
+            try {
+                expect(() => memberRoutes(mockOidcConfig)).toThrow('Unsupported login parameter "redirect_uri"');
+            } finally {
+                delete process.env.MEMBER_LOGIN_PARAMS;
+            }
+        });
+
+        test('should never let forwarded parameters replace the transaction values', async () => {
+            const query = 'state=evil-state&nonce=evil-nonce&code_challenge=evil&redirect_uri=https%3A%2F%2Fevil.example.net%2F';
+            const { location, state, cookie } = await startLogin(app, `/auth/member/login?kc_idp_hint=google&${query}`);
+
+            expect(location.searchParams.get('kc_idp_hint')).toBe('google');
+            expect(location.searchParams.getAll('state')).toEqual([state]);
+            expect(state).not.toBe('evil-state');
+            expect(location.searchParams.get('nonce')).not.toBe('evil-nonce');
+            expect(location.searchParams.get('code_challenge')).not.toBe('evil');
+            expect(location.searchParams.get('redirect_uri')).toBe(process.env.MEMBER_CALLBACK_URL);
+
+            await request(app)
+                .get(`/auth/member/callback?code=valid-code&state=${state}`)
+                .set('Cookie', cookie)
                 .expect(302);
+        });
 
-            expect(response.headers.location).toContain('registrations');
+        test('should check auth_time when max_age was forwarded', async () => {
+            const response = await memberCallback(app, 'valid-code', '/auth/member/login?max_age=300');
+
+            expect(response.status).toBe(302);
+            expect(mockAuthorizationCodeGrant).toHaveBeenCalledWith(
+                mockOidcConfig,
+                expect.any(URL),
+                expect.objectContaining({ maxAge: 300 })
+            );
         });
     });
 
@@ -198,6 +459,7 @@ describe('Member Routes', () => {
                 id_token: 'mock-id-token',
                 claims: () => ({
                     email: 'test@example.com',
+                    email_verified: true,
                     name: 'Test User'
                 })
             });
@@ -217,25 +479,35 @@ describe('Member Routes', () => {
         });
 
         test('should process OIDC callback with code', async () => {
-            const response = await request(app)
-                .get('/auth/member/callback?code=auth-code-123')
-                .expect(302);
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
 
             expect(mockAuthorizationCodeGrant).toHaveBeenCalled();
         });
 
+        test('should escape the email in the member lookup filter', async () => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: "o'brien+news@example.com", email_verified: true, name: 'Test User' })
+            });
+
+            await memberCallback(app, 'auth-code-123');
+
+            const lookup = new URL(global.fetch.mock.calls[0][0]);
+            expect(lookup.pathname).toBe('/ghost/api/admin/members/');
+            expect(lookup.searchParams.get('filter')).toBe("email:'o\\'brien+news@example.com'");
+        });
+
         test('should redirect to blog with magic token on success', async () => {
-            const response = await request(app)
-                .get('/auth/member/callback?code=auth-code-123')
-                .expect(302);
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
 
             expect(response.headers.location).toContain('/members/?token=');
         });
 
         test('should set id_token cookie', async () => {
-            const response = await request(app)
-                .get('/auth/member/callback?code=auth-code-123')
-                .expect(302);
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
 
             const cookies = response.headers['set-cookie'];
             const idTokenCookie = cookies.find(c => c.includes('kc_member_id_token'));
@@ -245,11 +517,119 @@ describe('Member Routes', () => {
         test('should handle OIDC callback errors', async () => {
             mockAuthorizationCodeGrant.mockRejectedValue(new Error('Invalid code'));
 
+            const response = await memberCallback(app, 'invalid-code');
+            expect(response.status).toBe(500);
+
+            expect(response.text).toContain('Sign-in failed');
+            expect(response.text).toMatch(/Reference: <code>[0-9a-f-]{36}<\/code>/);
+            expect(response.text).not.toContain('Invalid code');
+        });
+
+        test('should pass state, nonce and PKCE verifier to the token exchange', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/member/login');
+
+            await request(app)
+                .get(`/auth/member/callback?code=auth-code-123&state=${state}`)
+                .set('Cookie', cookie)
+                .expect(302);
+
+            expect(mockAuthorizationCodeGrant).toHaveBeenCalledWith(
+                mockOidcConfig,
+                expect.any(URL),
+                {
+                    pkceCodeVerifier: 'mock-code-verifier',
+                    expectedState: state,
+                    expectedNonce: expect.stringMatching(/^mock-nonce-/)
+                }
+            );
+        });
+
+        test('should reject a callback without a login attempt', async () => {
             const response = await request(app)
-                .get('/auth/member/callback?code=invalid-code')
-                .expect(500);
+                .get('/auth/member/callback?code=auth-code-123&state=forged')
+                .expect(400);
+
+            expect(response.text).toContain('Sign-in expired');
+            expect(response.text).not.toContain('No login attempt in progress');
+            expect(mockAuthorizationCodeGrant).not.toHaveBeenCalled();
+        });
+
+        test('should reject a callback with a mismatched state', async () => {
+            const { cookie } = await startLogin(app, '/auth/member/login');
+
+            const response = await request(app)
+                .get('/auth/member/callback?code=auth-code-123&state=attacker-state')
+                .set('Cookie', cookie)
+                .expect(400);
+
+            expect(response.text).toContain('Sign-in expired');
+            expect(response.text).not.toContain('Login state does not match');
+        });
+
+        test('should reject a replayed callback', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/member/login');
+            const callbackUrl = `/auth/member/callback?code=auth-code-123&state=${state}`;
+
+            await request(app).get(callbackUrl).set('Cookie', cookie).expect(302);
+            const response = await request(app)
+                .get(callbackUrl)
+                .set('Cookie', cookie)
+                .expect(400);
 
-            expect(response.text).toContain('Authentication failed');
+            expect(response.text).toContain('Sign-in expired');
+        });
+
+        test('should return the member to the page the login started from', async () => {
+            const response = await memberCallback(app, 'auth-code-123', '/auth/member/login?returnTo=%2Fpaid-post%2F');
+            expect(response.status).toBe(302);
+
+            const location = new URL(response.headers.location);
+            expect(location.pathname).toBe('/members/');
+            expect(location.searchParams.get('token')).toBe('mock-magic-token-abc123');
+            expect(location.searchParams.get('r')).toBe('https://blog.example.com/paid-post/');
+        });
+
+        test('should accept the short r parameter and signup action', async () => {
+            const response = await memberCallback(app, 'auth-code-123', '/auth/member/login?action=signup&r=%2Fwelcome%2F');
+            expect(response.status).toBe(302);
+
+            const location = new URL(response.headers.location);
+            expect(location.searchParams.get('r')).toBe('https://blog.example.com/welcome/');
+        });
+
+        test('should return the member to a blog served from a subdirectory', async () => {
+            process.env.BLOG_PUBLIC_URL = 'https://example.com/blog';
+
+            try {
+                app = express();
+                app.use(cookieParser());
+                app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+                const response = await memberCallback(app, 'auth-code-123', '/auth/member/login?returnTo=%2Fblog%2Fpaid-post%2F');
+                expect(response.status).toBe(302);
+
+                const location = new URL(response.headers.location);
+                expect(location.pathname).toBe('/blog/members/');
+                expect(location.searchParams.get('r')).toBe('https://example.com/blog/paid-post/');
+            } finally {
+                process.env.BLOG_PUBLIC_URL = 'https://blog.example.com';
+            }
+        });
+
+        test('should ignore a cross-origin returnTo', async () => {
+            const response = await memberCallback(app, 'auth-code-123', '/auth/member/login?returnTo=https%3A%2F%2Fevil.example.net%2F');
+            expect(response.status).toBe(302);
+
+            const location = new URL(response.headers.location);
+            expect(location.origin).toBe('https://blog.example.com');
+            expect(location.searchParams.has('r')).toBe(false);
+        });
+
+        test('should clear the auth state cookie on callback', async () => {
+            const response = await memberCallback(app, 'auth-code-123');
+
+            const cookies = response.headers['set-cookie'];
+            expect(cookies.find(c => c.startsWith('kc_member_auth_state=;'))).toBeDefined();
         });
 
         test('should create new member if not exists', async () => {
@@ -270,9 +650,8 @@ describe('Member Routes', () => {
                     }))
                 });
 
-            await request(app)
-                .get('/auth/member/callback?code=auth-code-123')
-                .expect(302);
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
 
             // Should have called POST to create member
             expect(global.fetch).toHaveBeenCalledWith(
@@ -283,185 +662,2094 @@ describe('Member Routes', () => {
     });
 
     // ---------------------------------------------------------------------------
-    // GET /debug
+    // POST /backchannel-logout
     // ---------------------------------------------------------------------------
 
-    describe('GET /debug', () => {
-        test('should return JSON diagnostic information', async () => {
-            const response = await request(app)
-                .get('/auth/member/debug')
-                .expect(200)
-                .expect('Content-Type', /json/);
-
-            expect(response.body).toHaveProperty('config');
-            expect(response.body).toHaveProperty('tests');
+    describe('POST /backchannel-logout', () => {
+        const logoutPayload = (extra = {}) => ({
+            payload: {
+                iss: 'https://keycloak.example.com/realms/test',
+                sub: 'kc-user-1',
+                sid: 'kc-session-1',
+                jti: `jti-${Math.random()}`,
+                iat: Math.floor(Date.now() / 1000),
+                events: { 'http://schemas.openid.net/event/backchannel-logout': {} },
+                ...extra
+            }
         });
 
-        test('should include configuration details', async () => {
-            const response = await request(app)
-                .get('/auth/member/debug')
-                .expect(200);
-
-            expect(response.body.config).toHaveProperty('blogUrl');
-            expect(response.body.config).toHaveProperty('ghostInternalUrl');
+        beforeEach(() => {
+            mockQuery.mockResolvedValue({ affectedRows: 1 });
+            mockFindSessions.mockResolvedValue([{ id: 'row-1', ghost_id: 'member-1', ghost_session_id: null }]);
         });
 
-        test('should test Ghost API connectivity', async () => {
-            const response = await request(app)
-                .get('/auth/member/debug')
-                .expect(200);
-
-            expect(response.body.tests).toHaveProperty('ghostApi');
-        });
-    });
-});
+        test('should record the Keycloak session at callback', async () => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'test@example.com', email_verified: true, name: 'Test User', sub: 'kc-user-1', sid: 'kc-session-1' })
+            });
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                headers: { get: () => null },
+                text: () => Promise.resolve(JSON.stringify({ members: [{ id: 'member-1', email: 'test@example.com' }] }))
+            });
 
-// ---------------------------------------------------------------------------
-// TEST SUITE: Staff Routes
-// ---------------------------------------------------------------------------
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
 
-describe('Staff Routes', () => {
-    let app;
-    let staffRoutes;
-    let mockOidcConfig;
+            expect(mockRecordSession).toHaveBeenCalledWith(expect.objectContaining({
+                realm: 'member',
+                sub: 'kc-user-1',
+                sid: 'kc-session-1',
+                ghostId: 'member-1'
+            }));
+        });
 
-    beforeAll(async () => {
-        staffRoutes = (await import('../../src/routes/staff.js')).default;
-    });
+        test('should still sign in when session tracking fails', async () => {
+            mockRecordSession.mockRejectedValueOnce(new Error('Table is read only'));
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                headers: { get: () => null },
+                text: () => Promise.resolve(JSON.stringify({ members: [{ id: 'member-1', email: 'test@example.com' }] }))
+            });
 
-    beforeEach(() => {
-        jest.clearAllMocks();
-        mockOidcConfig = createMockOidcConfig();
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toContain('/members/?token=');
+        });
 
-        app = express();
-        app.use(cookieParser());
-        app.use('/auth/admin', staffRoutes(mockOidcConfig));
+        test('should cycle the member transient_id for a valid logout token', async () => {
+            mockJwtVerify.mockResolvedValue(logoutPayload());
 
-        // Mock buildAuthorizationUrl for v6
-        mockBuildAuthorizationUrl.mockReturnValue(
-            new URL('https://keycloak.example.com/realms/test/protocol/openid-connect/auth?scope=openid&redirect_uri=test')
-        );
+            await request(app)
+                .post('/auth/member/backchannel-logout')
+                .type('form')
+                .send({ logout_token: 'signed-logout-token' })
+                .expect(200);
 
-        // Mock authorizationCodeGrant
-        mockAuthorizationCodeGrant.mockResolvedValue({
-            id_token: 'mock-id-token',
-            claims: () => ({
-                email: 'admin@example.com',
-                name: 'Admin User'
-            })
+            expect(mockFindSessions).toHaveBeenCalledWith('member', { sub: 'kc-user-1', sid: 'kc-session-1' });
+            expect(mockQuery).toHaveBeenCalledWith(
+                'UPDATE members SET transient_id = ? WHERE id = ?',
+                ['mock-uuid-1234-5678-9abc', 'member-1']
+            );
+            expect(mockForgetSessions).toHaveBeenCalledWith(['row-1']);
         });
-    });
 
-    // ---------------------------------------------------------------------------
-    // GET /login
-    // ---------------------------------------------------------------------------
+        test('should reject a token that fails verification', async () => {
+            mockJwtVerify.mockRejectedValue(new Error('signature verification failed'));
 
-    describe('GET /login', () => {
-        test('should redirect to Keycloak authorization endpoint', async () => {
             const response = await request(app)
-                .get('/auth/admin/login')
-                .expect(302);
+                .post('/auth/member/backchannel-logout')
+                .type('form')
+                .send({ logout_token: 'forged' })
+                .expect(400);
 
-            expect(response.headers.location).toContain('keycloak.example.com');
+            expect(response.body.error).toBe('invalid_request');
+            expect(mockQuery).not.toHaveBeenCalled();
         });
 
-        test('should call buildAuthorizationUrl with correct parameters', async () => {
+        test('should reject a request without logout_token', async () => {
             await request(app)
-                .get('/auth/admin/login')
-                .expect(302);
-
-            expect(mockBuildAuthorizationUrl).toHaveBeenCalledWith(
-                mockOidcConfig,
-                expect.objectContaining({
-                    scope: expect.stringContaining('openid')
-                })
-            );
+                .post('/auth/member/backchannel-logout')
+                .type('form')
+                .send({})
+                .expect(400);
         });
     });
 
     // ---------------------------------------------------------------------------
-    // GET /callback
+    // Identity linking
     // ---------------------------------------------------------------------------
 
-    describe('GET /callback', () => {
+    describe('Identity linking', () => {
+        // Answers Ghost Admin API calls by method and filter
+        const mockGhostApi = ({ byId = [], byEmail = [], edit = null, add = null } = {}) => {
+            global.fetch.mockImplementation((url, options = {}) => {
+                let body;
+                if (options.method === 'PUT') {
+                    body = edit ? { members: [edit] } : null;
+                } else if (options.method === 'POST') {
+                    body = { members: [add] };
+                } else {
+                    body = { members: decodeURIComponent(url).includes("filter=id:") ? byId : byEmail };
+                }
+
+                return Promise.resolve({
+                    ok: body !== null,
+                    status: body ? 200 : 422,
+                    statusText: body ? 'OK' : 'Unprocessable Entity',
+                    headers: { get: () => null },
+                    text: () => Promise.resolve(JSON.stringify(body || { errors: [{ message: 'Member already exists' }] }))
+                });
+            });
+        };
+
+        const tokenData = () => JSON.parse(mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO tokens'))[1][3]);
+
         beforeEach(() => {
+            mockQuery.mockResolvedValue({ affectedRows: 1 });
             mockAuthorizationCodeGrant.mockResolvedValue({
                 id_token: 'mock-id-token',
-                claims: () => ({
-                    email: 'admin@example.com',
-                    name: 'Admin User'
-                })
+                claims: () => ({ sub: 'kc-user-1', email: 'new@example.com', email_verified: true, name: 'Test User' })
             });
-
-            // Mock user exists in Ghost
-            mockQuery
-                .mockResolvedValueOnce([{ id: 'user-123' }]) // User lookup
-                .mockResolvedValueOnce([{ value: 'admin-session-secret' }]) // Session secret
-                .mockResolvedValueOnce({ affectedRows: 1 }); // Session insert
         });
 
-        test('should process OIDC callback', async () => {
-            const response = await request(app)
-                .get('/auth/admin/callback?code=admin-code-123')
-                .expect(302);
+        test('should resolve a linked member by subject, not email', async () => {
+            mockFindLinkedId.mockResolvedValue('member-1');
+            mockGhostApi({ byId: [{ id: 'member-1', email: 'new@example.com', name: 'Test User' }] });
 
-            expect(mockAuthorizationCodeGrant).toHaveBeenCalled();
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            expect(mockFindLinkedId).toHaveBeenCalledWith('member', 'kc-user-1');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(decodeURIComponent(global.fetch.mock.calls[0][0])).toContain("filter=id:'member-1'");
+            expect(mockLinkIdentity).not.toHaveBeenCalled();
         });
 
-        test('should redirect to Ghost admin on success', async () => {
-            const response = await request(app)
-                .get('/auth/admin/callback?code=admin-code-123')
-                .expect(302);
+        test('should update the Ghost email when it changed in Keycloak', async () => {
+            mockFindLinkedId.mockResolvedValue('member-1');
+            mockGhostApi({
+                byId: [{ id: 'member-1', email: 'old@example.com' }],
+                edit: { id: 'member-1', email: 'new@example.com' }
+            });
 
-            expect(response.headers.location).toContain('/ghost/');
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            const [url, options] = global.fetch.mock.calls[1];
+            expect(url).toContain('/members/member-1/');
+            expect(options.method).toBe('PUT');
+            expect(JSON.parse(options.body)).toEqual({ members: [{ email: 'new@example.com' }] });
+            expect(tokenData().email).toBe('new@example.com');
         });
 
-        test('should set ghost-admin-api-session cookie', async () => {
-            const response = await request(app)
-                .get('/auth/admin/callback?code=admin-code-123')
-                .expect(302);
+        test('should sign in with the Ghost email when the update is refused', async () => {
+            mockFindLinkedId.mockResolvedValue('member-1');
+            mockGhostApi({ byId: [{ id: 'member-1', email: 'old@example.com' }] });
 
-            const cookies = response.headers['set-cookie'];
-            expect(cookies).toBeDefined();
-            const sessionCookie = cookies.find(c => c.includes('ghost-admin-api-session'));
-            expect(sessionCookie).toBeDefined();
-            expect(sessionCookie).toContain('HttpOnly');
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            expect(tokenData().email).toBe('old@example.com');
         });
 
-        test('should reject user not in Ghost database', async () => {
-            mockQuery.mockReset();
-            mockQuery.mockResolvedValueOnce([]); // No user found
+        test('should link a member found by email', async () => {
+            mockFindLinkedId.mockResolvedValue(null);
+            mockGhostApi({ byEmail: [{ id: 'member-2', email: 'new@example.com' }] });
 
-            const response = await request(app)
-                .get('/auth/admin/callback?code=admin-code-123')
-                .expect(302);
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
 
-            expect(response.headers.location).toContain('error=user_not_found');
+            expect(mockLinkIdentity).toHaveBeenCalledWith('member', 'kc-user-1', 'member-2');
         });
 
-        test('should handle missing admin_session_secret', async () => {
-            mockQuery.mockReset();
-            mockQuery
-                .mockResolvedValueOnce([{ id: 'user-123' }]) // User found
-                .mockResolvedValueOnce([]); // No session secret
+        test('should link a newly created member', async () => {
+            mockFindLinkedId.mockResolvedValue(null);
+            mockGhostApi({ add: { id: 'member-3', email: 'new@example.com' } });
 
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            expect(mockLinkIdentity).toHaveBeenCalledWith('member', 'kc-user-1', 'member-3');
+        });
+
+        test('should drop a link to a deleted member and fall back to email', async () => {
+            mockFindLinkedId.mockResolvedValue('deleted-member');
+            mockGhostApi({ byEmail: [{ id: 'member-2', email: 'new@example.com' }] });
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            expect(mockUnlinkIdentity).toHaveBeenCalledWith('member', 'kc-user-1');
+            expect(mockLinkIdentity).toHaveBeenCalledWith('member', 'kc-user-1', 'member-2');
+        });
+
+        test('should refuse an email already linked to another Keycloak user', async () => {
+            const { IdentityConflictError } = await import('../../src/lib/identity-links.js');
+            mockFindLinkedId.mockResolvedValue(null);
+            mockGhostApi({ byEmail: [{ id: 'member-2', email: 'new@example.com' }] });
+            mockLinkIdentity.mockRejectedValueOnce(new IdentityConflictError('This account is already linked to another Keycloak user'));
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(409);
+            expect(response.text).toContain('Account already linked');
+
+            expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO tokens'))).toBe(false);
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // Label sync
+    // ---------------------------------------------------------------------------
+
+    describe('Label sync', () => {
+        const ghostResponse = (members) => Promise.resolve({
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            text: () => Promise.resolve(JSON.stringify({ members }))
+        });
+        const requests = (method) => global.fetch.mock.calls.filter(([, options = {}]) => options.method === method);
+
+        beforeEach(() => {
+            process.env.MEMBER_LABEL_MAPPING = '/students=Students,partner=Partners';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+            mockQuery.mockResolvedValue({ affectedRows: 1 });
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'test@example.com', email_verified: true, name: 'Test User', groups: ['/students'] })
+            });
+        });
+
+        afterEach(() => {
+            delete process.env.MEMBER_LABEL_MAPPING;
+            delete process.env.MEMBER_LABEL_REMOVE_STALE;
+        });
+
+        test('should create new members with their labels', async () => {
+            global.fetch
+                .mockReturnValueOnce(ghostResponse([]))
+                .mockReturnValueOnce(ghostResponse([{ id: 'member-1', email: 'test@example.com' }]));
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            const [[, add]] = requests('POST');
+            expect(JSON.parse(add.body).members[0].labels).toEqual([{ name: 'Students' }]);
+            expect(requests('PUT')).toHaveLength(0);
+        });
+
+        test('should add missing labels to existing members', async () => {
+            global.fetch.mockImplementation(() => ghostResponse([
+                { id: 'member-1', email: 'test@example.com', labels: [{ name: 'VIP' }, { name: 'Partners' }] }
+            ]));
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            const [[url, edit]] = requests('PUT');
+            expect(url).toContain('/members/member-1/');
+            expect(JSON.parse(edit.body).members[0].labels)
+                .toEqual([{ name: 'VIP' }, { name: 'Partners' }, { name: 'Students' }]);
+        });
+
+        test('should remove stale managed labels when enabled', async () => {
+            process.env.MEMBER_LABEL_REMOVE_STALE = 'true';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+            global.fetch.mockImplementation(() => ghostResponse([
+                { id: 'member-1', email: 'test@example.com', labels: [{ name: 'VIP' }, { name: 'Partners' }] }
+            ]));
+
+            await memberCallback(app, 'auth-code-123');
+
+            const [[, edit]] = requests('PUT');
+            expect(JSON.parse(edit.body).members[0].labels).toEqual([{ name: 'VIP' }, { name: 'Students' }]);
+        });
+
+        test('should not write when labels are already in sync', async () => {
+            global.fetch.mockImplementation(() => ghostResponse([
+                { id: 'member-1', email: 'test@example.com', name: 'Test User', labels: [{ name: 'Students' }] }
+            ]));
+
+            await memberCallback(app, 'auth-code-123');
+
+            expect(requests('PUT')).toHaveLength(0);
+        });
+
+        test('should still sign in when the label update fails', async () => {
+            global.fetch.mockImplementation((url, options = {}) => (options.method === 'PUT'
+                ? Promise.resolve({
+                    ok: false,
+                    status: 500,
+                    headers: { get: () => null },
+                    text: () => Promise.resolve('{"errors":[]}')
+                })
+                : ghostResponse([{ id: 'member-1', email: 'test@example.com', labels: [] }])));
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toContain('/members/?token=');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // Tier sync
+    // ---------------------------------------------------------------------------
+
+    describe('Tier sync', () => {
+        let member;
+
+        const ghostResponse = (body, status = 200) => Promise.resolve({
+            ok: status < 400,
+            status,
+            headers: { get: () => null },
+            text: () => Promise.resolve(JSON.stringify(body))
+        });
+        const edits = () => global.fetch.mock.calls.filter(([, options = {}]) => options.method === 'PUT');
+
+        const buildApp = () => {
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+        };
+
+        beforeEach(() => {
+            process.env.MEMBER_TIER_MAPPING = 'contract-reader=premium';
+            buildApp();
+
+            member = { id: 'member-1', email: 'test@example.com', status: 'free', tiers: [] };
+            mockQuery.mockResolvedValue({ affectedRows: 1 });
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'test@example.com', email_verified: true, realm_access: { roles: ['contract-reader'] } })
+            });
+            global.fetch.mockImplementation((url, options = {}) => {
+                if (url.includes('/tiers/')) {
+                    return ghostResponse({ tiers: [{ id: 'tier-premium', slug: 'premium', name: 'Premium' }] });
+                }
+                if (options.method === 'PUT') {
+                    return ghostResponse({ members: [{ ...member, status: 'comped' }] });
+                }
+                return ghostResponse({ members: [member] });
+            });
+        });
+
+        afterEach(() => {
+            delete process.env.MEMBER_TIER_MAPPING;
+            delete process.env.MEMBER_TIER_DRY_RUN;
+        });
+
+        test('should grant a complimentary tier for a mapped role', async () => {
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            const [[url, options]] = edits();
+            expect(url).toContain('/members/member-1/');
+            expect(JSON.parse(options.body)).toEqual({ members: [{ tiers: [{ id: 'tier-premium' }] }] });
+        });
+
+        test('should revoke the tier when the role disappears', async () => {
+            member.status = 'comped';
+            member.tiers = [{ id: 'tier-premium' }];
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'test@example.com', email_verified: true })
+            });
+
+            await memberCallback(app, 'auth-code-123');
+
+            const [[, options]] = edits();
+            expect(JSON.parse(options.body)).toEqual({ members: [{ tiers: [] }] });
+        });
+
+        test('should only log changes in dry-run mode', async () => {
+            process.env.MEMBER_TIER_DRY_RUN = 'true';
+            buildApp();
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            expect(edits()).toHaveLength(0);
+        });
+
+        test('should fetch tiers once across logins', async () => {
+            await memberCallback(app, 'auth-code-123');
+            await memberCallback(app, 'auth-code-456');
+
+            expect(global.fetch.mock.calls.filter(([url]) => url.includes('/tiers/'))).toHaveLength(1);
+        });
+
+        test('should still sign in when the tier update fails', async () => {
+            global.fetch.mockImplementation((url, options = {}) => {
+                if (url.includes('/tiers/')) return ghostResponse({ errors: [] }, 500);
+                return ghostResponse({ members: [member] });
+            });
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toContain('/members/?token=');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // Newsletter signup
+    // ---------------------------------------------------------------------------
+
+    describe('Newsletter signup', () => {
+        const ghostResponse = (body) => Promise.resolve({
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            text: () => Promise.resolve(JSON.stringify(body))
+        });
+        const addedMember = () => {
+            const [, options] = global.fetch.mock.calls.find(([, opts = {}]) => opts.method === 'POST');
+            return JSON.parse(options.body).members[0];
+        };
+
+        const buildApp = () => {
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+        };
+
+        beforeEach(() => {
+            mockQuery.mockResolvedValue({ affectedRows: 1 });
+            global.fetch.mockImplementation((url, options = {}) => {
+                if (url.includes('/newsletters/')) {
+                    return ghostResponse({ newsletters: [{ id: 'nl-weekly', slug: 'weekly', name: 'Weekly' }] });
+                }
+                if (options.method === 'POST') {
+                    return ghostResponse({ members: [{ id: 'member-1', email: 'test@example.com' }] });
+                }
+                return ghostResponse({ members: [] });
+            });
+        });
+
+        afterEach(() => {
+            delete process.env.MEMBER_NEWSLETTERS;
+            delete process.env.MEMBER_NEWSLETTER_OPT_IN_CLAIM;
+        });
+
+        test('should keep Ghost defaults and no note when unconfigured', async () => {
+            await memberCallback(app, 'auth-code-123');
+
+            expect(addedMember()).toEqual({ email: 'test@example.com', name: 'Test User' });
+            expect(global.fetch.mock.calls.some(([url]) => url.includes('/newsletters/'))).toBe(false);
+        });
+
+        test('should subscribe new members to the configured newsletters', async () => {
+            process.env.MEMBER_NEWSLETTERS = 'weekly';
+            buildApp();
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            const member = addedMember();
+            expect(member.newsletters).toEqual([{ id: 'nl-weekly' }]);
+            expect(member.note).toMatch(/^Newsletters: subscribed by site default \(MEMBER_NEWSLETTERS\) on \d{4}-/);
+        });
+
+        test('should follow the Keycloak opt-in attribute', async () => {
+            process.env.MEMBER_NEWSLETTERS = 'weekly';
+            process.env.MEMBER_NEWSLETTER_OPT_IN_CLAIM = 'newsletter_opt_in';
+            buildApp();
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'test@example.com', email_verified: true, name: 'Test User', newsletter_opt_in: 'false' })
+            });
+
+            await memberCallback(app, 'auth-code-123');
+
+            const member = addedMember();
+            expect(member.newsletters).toEqual([]);
+            expect(member.note).toContain('declined (Keycloak attribute newsletter_opt_in)');
+        });
+
+        test('should not touch newsletters of existing members', async () => {
+            process.env.MEMBER_NEWSLETTERS = 'weekly';
+            buildApp();
+            global.fetch.mockImplementation(() => ghostResponse({
+                members: [{ id: 'member-1', email: 'test@example.com', name: 'Test User' }]
+            }));
+
+            await memberCallback(app, 'auth-code-123');
+
+            expect(global.fetch.mock.calls.every(([, options]) => options.method === 'GET')).toBe(true);
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // Profile sync
+    // ---------------------------------------------------------------------------
+
+    describe('Profile sync', () => {
+        let member;
+
+        const ghostResponse = (body, status = 200) => Promise.resolve({
+            ok: status < 400,
+            status,
+            headers: { get: () => null },
+            text: () => Promise.resolve(JSON.stringify(body))
+        });
+        const edits = () => global.fetch.mock.calls.filter(([, options = {}]) => options.method === 'PUT');
+
+        const buildApp = () => {
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+        };
+
+        beforeEach(() => {
+            member = { id: 'member-1', email: 'test@example.com', name: 'Old Name', labels: [] };
+            mockQuery.mockResolvedValue({ affectedRows: 1 });
+            global.fetch.mockImplementation((url, options = {}) => (options.method === 'PUT'
+                ? ghostResponse({ members: [{ ...member, ...JSON.parse(options.body).members[0] }] })
+                : ghostResponse({ members: [member] })));
+        });
+
+        afterEach(() => {
+            delete process.env.MEMBER_PROFILE_SYNC;
+            delete process.env.MEMBER_PROFILE_MAPPING;
+            delete process.env.MEMBER_LABEL_MAPPING;
+        });
+
+        test('should update a name changed in Keycloak', async () => {
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+
+            const [[url, options]] = edits();
+            expect(url).toContain('/members/member-1/');
+            expect(JSON.parse(options.body)).toEqual({ members: [{ name: 'Test User' }] });
+        });
+
+        test('should skip the write when the profile is unchanged', async () => {
+            member.name = 'Test User';
+
+            await memberCallback(app, 'auth-code-123');
+
+            expect(edits()).toHaveLength(0);
+        });
+
+        test('should sync mapped fields and labels in one write', async () => {
+            process.env.MEMBER_PROFILE_MAPPING = 'name=name,expertise=job_title';
+            process.env.MEMBER_LABEL_MAPPING = '/students=Students';
+            buildApp();
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'test@example.com', email_verified: true, name: 'Test User', job_title: 'Teacher', groups: ['/students'] })
+            });
+
+            await memberCallback(app, 'auth-code-123');
+
+            expect(edits()).toHaveLength(1);
+            expect(JSON.parse(edits()[0][1].body).members[0]).toEqual({
+                name: 'Test User',
+                expertise: 'Teacher',
+                labels: [{ name: 'Students' }]
+            });
+        });
+
+        test('should leave profiles alone when disabled', async () => {
+            process.env.MEMBER_PROFILE_SYNC = 'false';
+            buildApp();
+
+            await memberCallback(app, 'auth-code-123');
+
+            expect(edits()).toHaveLength(0);
+        });
+
+        test('should still sign in when the update fails', async () => {
+            global.fetch.mockImplementation((url, options = {}) => (options.method === 'PUT'
+                ? ghostResponse({ errors: [] }, 500)
+                : ghostResponse({ members: [member] })));
+
+            const response = await memberCallback(app, 'auth-code-123');
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toContain('/members/?token=');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // Email verification
+    // ---------------------------------------------------------------------------
+
+    describe('Email verification', () => {
+        afterEach(() => {
+            delete process.env.MEMBER_REQUIRE_EMAIL_VERIFIED;
+        });
+
+        const withClaims = (claims) => mockAuthorizationCodeGrant.mockResolvedValue({
+            id_token: 'mock-id-token',
+            claims: () => ({ email: 'test@example.com', name: 'Test User', ...claims })
+        });
+
+        test('should refuse an unverified email with a verification page', async () => {
+            withClaims({ email_verified: false });
+
+            const response = await memberCallback(app, 'auth-code-123');
+
+            expect(response.status).toBe(403);
+            expect(response.headers['content-type']).toContain('text/html');
+            expect(response.text).toContain('Verify your email address');
+            expect(response.text).toContain('href="https://keycloak.example.com/realms/test/account/"');
+            expect(response.text).toContain('href="/auth/member/login"');
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should refuse a token without email_verified', async () => {
+            withClaims({});
+
+            const response = await memberCallback(app, 'auth-code-123');
+
+            expect(response.status).toBe(403);
+            expect(mockFindLinkedId).not.toHaveBeenCalled();
+        });
+
+        test('should accept unverified emails when the check is disabled', async () => {
+            process.env.MEMBER_REQUIRE_EMAIL_VERIFIED = 'false';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+            withClaims({ email_verified: false });
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                headers: { get: () => null },
+                text: () => Promise.resolve(JSON.stringify({ members: [{ id: 'member-1', email: 'test@example.com', name: 'Test User' }] }))
+            });
+
+            const response = await memberCallback(app, 'auth-code-123');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toContain('/members/?token=');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // OIDC error responses
+    // ---------------------------------------------------------------------------
+
+    describe('OIDC error responses', () => {
+        const errorCallback = async (query) => {
+            const { state, cookie } = await startLogin(app, '/auth/member/login');
+
+            return request(app)
+                .get(`/auth/member/callback?${query}&state=${state}`)
+                .set('Cookie', cookie);
+        };
+
+        test('should render a page when the user cancels at Keycloak', async () => {
+            const response = await errorCallback('error=access_denied&error_description=User%20cancelled');
+
+            expect(response.status).toBe(403);
+            expect(response.headers['content-type']).toContain('text/html');
+            expect(response.text).toContain('Sign-in cancelled');
+            expect(response.text).toContain('href="/auth/member/login"');
+            expect(response.text).not.toContain('User cancelled');
+            expect(response.text).toMatch(/Reference: <code>[0-9a-f-]{36}<\/code>/);
+            expect(mockAuthorizationCodeGrant).not.toHaveBeenCalled();
+        });
+
+        test('should answer in the reader\'s language', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/member/login');
+
+            const response = await request(app)
+                .get(`/auth/member/callback?error=access_denied&state=${state}`)
+                .set('Cookie', cookie)
+                .set('Accept-Language', 'fr-FR,fr;q=0.9')
+                .expect(403);
+
+            expect(response.headers['content-language']).toBe('fr');
+            expect(response.text).toContain('Connexion annulée');
+            expect(response.text).toContain('>Réessayer</a>');
+        });
+
+        test('should map login_required and temporarily_unavailable', async () => {
+            expect((await errorCallback('error=login_required')).status).toBe(401);
+            expect((await errorCallback('error=temporarily_unavailable')).status).toBe(503);
+        });
+
+        test('should consume the auth state cookie', async () => {
+            const response = await errorCallback('error=access_denied');
+
+            expect(response.headers['set-cookie'].join(';')).toContain('kc_member_auth_state=;');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // Silent SSO
+    // ---------------------------------------------------------------------------
+
+    describe('Silent SSO', () => {
+        const silentPath = '/auth/member/silent?returnTo=%2Fpaid-post%2F';
+
+        // Runs a silent attempt and returns with the given callback query
+        const silentCallback = async (query) => {
+            const { state, cookie } = await startLogin(app, silentPath);
+
+            return request(app)
+                .get(`/auth/member/callback?${query}&state=${state}`)
+                .set('Cookie', cookie);
+        };
+
+        test('should ask Keycloak without prompting the reader', async () => {
+            const { location } = await startLogin(app, silentPath);
+
+            expect(location.searchParams.get('prompt')).toBe('none');
+            expect(location.searchParams.get('client_id')).toBe('ghost-members');
+            expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+        });
+
+        test('should mark the browser session as checked', async () => {
+            const response = await request(app).get(silentPath).expect(302);
+
+            const silentCookie = response.headers['set-cookie'].find(c => c.startsWith('kc_member_silent=1'));
+            expect(silentCookie).toContain('Path=/');
+            expect(silentCookie).not.toContain('HttpOnly');
+            expect(silentCookie).not.toContain('Max-Age');
+        });
+
+        test('should return quietly when Keycloak has no session', async () => {
+            const response = await silentCallback('error=login_required');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toBe('https://blog.example.com/paid-post/');
+            expect(response.text).not.toContain('Sign-in required');
+            expect(mockAuthorizationCodeGrant).not.toHaveBeenCalled();
+        });
+
+        test('should return quietly on other OIDC errors', async () => {
+            const response = await silentCallback('error=temporarily_unavailable');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toBe('https://blog.example.com/paid-post/');
+        });
+
+        test('should return to the home page without a valid returnTo', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/member/silent?returnTo=https%3A%2F%2Fevil.example.com%2F');
+
+            const response = await request(app)
+                .get(`/auth/member/callback?error=login_required&state=${state}`)
+                .set('Cookie', cookie)
+                .expect(302);
+
+            expect(response.headers.location).toBe('https://blog.example.com/');
+        });
+
+        test('should sign in a reader who has a Keycloak session', async () => {
+            const response = await silentCallback('code=auth-code-123');
+
+            expect(response.status).toBe(302);
+            const location = new URL(response.headers.location);
+            expect(location.pathname).toBe('/members/');
+            expect(location.searchParams.get('token')).toBe('mock-magic-token-abc123');
+            expect(location.searchParams.get('r')).toBe('https://blog.example.com/paid-post/');
+        });
+
+        test('should return quietly when the email is not verified', async () => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'test@example.com', email_verified: false })
+            });
+
+            const response = await silentCallback('code=auth-code-123');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toBe('https://blog.example.com/paid-post/');
+        });
+
+        test('should return quietly when the sign-in fails', async () => {
+            mockAuthorizationCodeGrant.mockRejectedValue(new Error('Invalid code'));
+
+            const response = await silentCallback('code=auth-code-123');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toBe('https://blog.example.com/paid-post/');
+        });
+
+        test('should return quietly to a blog served from a subdirectory', async () => {
+            process.env.BLOG_PUBLIC_URL = 'https://example.com/blog';
+
+            try {
+                app = express();
+                app.use(cookieParser());
+                app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+                const { state, cookie } = await startLogin(app, '/auth/member/silent?returnTo=%2Fblog%2Fpaid-post%2F');
+                const response = await request(app)
+                    .get(`/auth/member/callback?error=login_required&state=${state}`)
+                    .set('Cookie', cookie)
+                    .expect(302);
+
+                expect(response.headers.location).toBe('https://example.com/blog/paid-post/');
+            } finally {
+                process.env.BLOG_PUBLIC_URL = 'https://blog.example.com';
+            }
+        });
+
+        test('should return quietly to the home page when the attempt cookie is lost', async () => {
+            const { state } = await startLogin(app, silentPath);
+
+            const response = await request(app)
+                .get(`/auth/member/callback?error=login_required&state=${state}`)
+                .expect(302);
+
+            expect(response.headers.location).toBe('https://blog.example.com/');
+            expect(response.text).not.toContain('Sign-in required');
+        });
+
+        test('should still show error pages to failures without an attempt', async () => {
+            const response = await request(app)
+                .get('/auth/member/callback?error=access_denied&state=unknown')
+                .expect(403);
+
+            expect(response.text).toContain('Sign-in cancelled');
+        });
+
+        test('should still show error pages to interactive logins', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/member/login');
+
+            await request(app)
+                .get(`/auth/member/callback?error=login_required&state=${state}`)
+                .set('Cookie', cookie)
+                .expect(401);
+        });
+
+        test('should serve the theme script', async () => {
+            const response = await request(app).get('/auth/member/silent.js').expect(200);
+
+            expect(response.headers['content-type']).toContain('application/javascript');
+            expect(response.headers['cache-control']).toContain('max-age=3600');
+            expect(response.text).toContain('"/auth/member/silent"');
+        });
+
+        test('should point the theme script at the member API under the blog path', async () => {
+            process.env.BLOG_PUBLIC_URL = 'https://example.com/blog';
+
+            try {
+                app = express();
+                app.use(cookieParser());
+                app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+                const response = await request(app).get('/auth/member/silent.js').expect(200);
+
+                expect(response.text).toContain('"/blog/members/api/member/"');
+            } finally {
+                process.env.BLOG_PUBLIC_URL = 'https://blog.example.com';
+            }
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // GET /me
+    // ---------------------------------------------------------------------------
+
+    describe('GET /me', () => {
+        afterEach(() => {
+            delete process.env.MEMBER_STATUS_ORIGINS;
+        });
+
+        // Logs in and returns the bridge session cookie
+        const sessionCookie = async () => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({
+                    sub: 'kc-user-1',
+                    email: 'test@example.com',
+                    email_verified: true,
+                    name: 'Test User',
+                    realm_access: { roles: ['subscriber', 'offline_access'] }
+                })
+            });
+
+            const response = await memberCallback(app, 'auth-code-123');
+            return response.headers['set-cookie'].find(c => c.startsWith('kc_member_session=')).split(';')[0];
+        };
+
+        test('should report an unlinked browser', async () => {
+            const response = await request(app).get('/auth/member/me').expect(200);
+
+            expect(response.body).toEqual({ linked: false, ghostSession: false });
+            expect(response.headers['cache-control']).toBe('no-store');
+        });
+
+        test('should describe the identity linked at login', async () => {
+            const cookie = await sessionCookie();
+
+            const response = await request(app)
+                .get('/auth/member/me')
+                .set('Cookie', [cookie, 'ghost-members-ssr=abc'])
+                .expect(200);
+
+            expect(response.body).toEqual({
+                linked: true,
+                sub: 'kc-user-1',
+                email: 'test@example.com',
+                roles: ['subscriber', 'offline_access'],
+                authenticatedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+                ghostSession: true
+            });
+        });
+
+        test('should report a missing Ghost session', async () => {
+            const cookie = await sessionCookie();
+
+            const response = await request(app).get('/auth/member/me').set('Cookie', cookie);
+
+            expect(response.body.linked).toBe(true);
+            expect(response.body.ghostSession).toBe(false);
+        });
+
+        test('should scope the bridge session to the bridge', async () => {
+            const response = await memberCallback(app, 'auth-code-123');
+            const cookie = response.headers['set-cookie'].find(c => c.startsWith('kc_member_session='));
+
+            expect(cookie).toContain('HttpOnly');
+            expect(cookie).toContain('Path=/auth/member');
+        });
+
+        test('should ignore tampered sessions and raw ID tokens', async () => {
+            const cookie = await sessionCookie();
+
+            const response = await request(app)
+                .get('/auth/member/me')
+                .set('Cookie', [`${cookie}x`, 'kc_member_id_token=eyJhbGciOiJub25lIn0.eyJzdWIiOiJ4In0.'])
+                .expect(200);
+
+            expect(response.body.linked).toBe(false);
+        });
+
+        test('should clear the bridge session on logout', async () => {
+            const response = await request(app).get('/auth/member/logout');
+
+            expect(response.headers['set-cookie'].join(';')).toContain('kc_member_session=;');
+        });
+
+        test('should allow credentialed requests from allowlisted origins', async () => {
+            process.env.MEMBER_STATUS_ORIGINS = 'https://app.example.com';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+            const allowed = await request(app)
+                .get('/auth/member/me')
+                .set('Origin', 'https://app.example.com')
+                .expect(200);
+            expect(allowed.headers['access-control-allow-origin']).toBe('https://app.example.com');
+            expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+
+            const refused = await request(app)
+                .get('/auth/member/me')
+                .set('Origin', 'https://evil.example.com');
+            expect(refused.headers['access-control-allow-origin']).toBeUndefined();
+        });
+
+        test('should keep the bridge session same-site without allowed origins', async () => {
+            const response = await memberCallback(app, 'auth-code-123');
+            const cookie = response.headers['set-cookie'].find(c => c.startsWith('kc_member_session='));
+
+            expect(cookie).toContain('SameSite=Lax');
+        });
+
+        test('should answer a credentialed request from an allowed cross-site origin', async () => {
+            process.env.MEMBER_STATUS_ORIGINS = 'https://members-app.example.net';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ sub: 'kc-user-1', email: 'test@example.com', email_verified: true })
+            });
+
+            const login = await memberCallback(app, 'auth-code-123');
+            const setCookie = login.headers['set-cookie'].find(c => c.startsWith('kc_member_session='));
+            expect(setCookie).toContain('SameSite=None');
+            expect(setCookie).toContain('Secure');
+
+            const response = await request(app)
+                .get('/auth/member/me')
+                .set('Origin', 'https://members-app.example.net')
+                .set('Cookie', setCookie.split(';')[0])
+                .expect(200);
+
+            expect(response.headers['access-control-allow-origin']).toBe('https://members-app.example.net');
+            expect(response.headers['access-control-allow-credentials']).toBe('true');
+            expect(response.body).toEqual(expect.objectContaining({ linked: true, email: 'test@example.com' }));
+        });
+
+        test('should answer preflights', async () => {
+            process.env.MEMBER_STATUS_ORIGINS = 'https://app.example.com';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+            const response = await request(app)
+                .options('/auth/member/me')
+                .set('Origin', 'https://app.example.com')
+                .set('Access-Control-Request-Method', 'GET')
+                .expect(204);
+
+            expect(response.headers['access-control-allow-methods']).toBe('GET');
+        });
+
+        test('should refuse an invalid origin allowlist', () => {
+            process.env.MEMBER_STATUS_ORIGINS = 'https://app.example.com/path';
+
+            expect(() => memberRoutes(mockOidcConfig)).toThrow('Invalid CORS origin');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // API-only login mode
+    // ---------------------------------------------------------------------------
+
+    describe('API-only login mode', () => {
+        const signinUrl = 'https://blog.example.com/members/?token=ghost-made-token&action=signin';
+
+        beforeEach(() => {
+            process.env.MEMBER_LOGIN_MODE = 'api';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/member', memberRoutes(mockOidcConfig));
+
+            global.fetch.mockImplementation((url) => Promise.resolve({
+                ok: true,
+                status: 200,
+                headers: { get: () => null },
+                text: () => Promise.resolve(JSON.stringify(url.includes('/signin_urls/')
+                    ? { member_signin_urls: [{ member_id: 'member-1', url: signinUrl }] }
+                    : { members: [{ id: 'member-1', email: 'test@example.com', name: 'Test User' }] }))
+            }));
+        });
+
+        afterEach(() => {
+            delete process.env.MEMBER_LOGIN_MODE;
+        });
+
+        test('should sign in with a Ghost sign-in URL and no database access', async () => {
+            const response = await memberCallback(app, 'auth-code-123');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toBe(signinUrl);
+            expect(global.fetch.mock.calls.some(([url]) => url.endsWith('/members/member-1/signin_urls/'))).toBe(true);
+            expect(mockQuery).not.toHaveBeenCalled();
+            expect(mockFindLinkedId).not.toHaveBeenCalled();
+            expect(mockLinkIdentity).not.toHaveBeenCalled();
+            expect(mockRecordSession).not.toHaveBeenCalled();
+        });
+
+        test('should keep the return destination', async () => {
+            const response = await memberCallback(app, 'auth-code-123', '/auth/member/login?returnTo=%2Fpaid-post%2F');
+
+            const location = new URL(response.headers.location);
+            expect(location.searchParams.get('token')).toBe('ghost-made-token');
+            expect(location.searchParams.get('r')).toBe('https://blog.example.com/paid-post/');
+        });
+
+        test('should show the error page when Ghost returns no member ID', async () => {
+            global.fetch.mockImplementation(() => Promise.resolve({
+                ok: true,
+                status: 200,
+                headers: { get: () => null },
+                text: () => Promise.resolve(JSON.stringify({ members: [{ email: 'test@example.com', name: 'Test User' }] }))
+            }));
+
+            const response = await memberCallback(app, 'auth-code-123');
+
+            expect(response.status).toBe(500);
+            expect(response.text).toContain('Sign-in failed');
+            expect(global.fetch.mock.calls.some(([url]) => url.includes('/signin_urls/'))).toBe(false);
+        });
+
+        test('should not offer back-channel logout', async () => {
+            await request(app)
+                .post('/auth/member/backchannel-logout')
+                .type('form')
+                .send({ logout_token: 'token' })
+                .expect(404);
+        });
+
+        test('should reject an unknown mode', () => {
+            process.env.MEMBER_LOGIN_MODE = 'magic';
+
+            expect(() => memberRoutes(mockOidcConfig)).toThrow('MEMBER_LOGIN_MODE must be one of database, api');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // GET /debug
+    // ---------------------------------------------------------------------------
+
+    describe('GET /debug', () => {
+        test('should return JSON diagnostic information', async () => {
+            const response = await request(app)
+                .get('/auth/member/debug')
+                .expect(200)
+                .expect('Content-Type', /json/);
+
+            expect(response.body).toHaveProperty('config');
+            expect(response.body).toHaveProperty('tests');
+        });
+
+        test('should include configuration details', async () => {
+            const response = await request(app)
+                .get('/auth/member/debug')
+                .expect(200);
+
+            expect(response.body.config).toHaveProperty('blogUrl');
+            expect(response.body.config).toHaveProperty('ghostInternalUrl');
+        });
+
+        test('should test Ghost API connectivity', async () => {
+            const response = await request(app)
+                .get('/auth/member/debug')
+                .expect(200);
+
+            expect(response.body.tests).toHaveProperty('ghostApi');
+        });
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Staff Routes
+// ---------------------------------------------------------------------------
+
+describe('Staff Routes', () => {
+    let app;
+    let staffRoutes;
+    let mockOidcConfig;
+
+    beforeAll(async () => {
+        staffRoutes = (await import('../../src/routes/staff.js')).default;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockOidcConfig = createMockOidcConfig();
+
+        app = express();
+        app.use(cookieParser());
+        app.use('/auth/admin', staffRoutes(mockOidcConfig));
+
+        // Mock buildAuthorizationUrl for v6
+        mockBuildAuthorizationUrl.mockImplementation((config, params) =>
+            new URL(`https://keycloak.example.com/realms/test/protocol/openid-connect/auth?${new URLSearchParams(params)}`)
+        );
+
+        // Mock authorizationCodeGrant
+        mockAuthorizationCodeGrant.mockResolvedValue({
+            id_token: 'mock-id-token',
+            claims: () => ({
+                email: 'admin@example.com',
+                email_verified: true,
+                name: 'Admin User'
+            })
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // GET /login
+    // ---------------------------------------------------------------------------
+
+    describe('GET /login', () => {
+        test('should redirect to Keycloak authorization endpoint', async () => {
+            const response = await request(app)
+                .get('/auth/admin/login')
+                .expect(302);
+
+            expect(response.headers.location).toContain('keycloak.example.com');
+        });
+
+        test('should call buildAuthorizationUrl with correct parameters', async () => {
+            await request(app)
+                .get('/auth/admin/login')
+                .expect(302);
+
+            expect(mockBuildAuthorizationUrl).toHaveBeenCalledWith(
+                mockOidcConfig,
+                expect.objectContaining({
+                    scope: expect.stringContaining('openid')
+                })
+            );
+        });
+
+        test('should include state, nonce and PKCE challenge', async () => {
+            await request(app)
+                .get('/auth/admin/login')
+                .expect(302);
+
+            expect(mockBuildAuthorizationUrl).toHaveBeenCalledWith(
+                mockOidcConfig,
+                expect.objectContaining({
+                    state: expect.stringMatching(/^mock-state-/),
+                    nonce: expect.stringMatching(/^mock-nonce-/),
+                    code_challenge: 'mock-code-challenge',
+                    code_challenge_method: 'S256'
+                })
+            );
+        });
+
+        test('should set a short-lived auth state cookie', async () => {
+            const response = await request(app)
+                .get('/auth/admin/login')
+                .expect(302);
+
+            const stateCookie = response.headers['set-cookie'].find(c => c.includes('kc_staff_auth_state'));
+            expect(stateCookie).toContain('HttpOnly');
+            expect(stateCookie).toContain('Path=/auth/admin');
+            expect(stateCookie).toContain('Max-Age=600');
+        });
+
+        test('should forward allowlisted Keycloak parameters', async () => {
+            await request(app)
+                .get('/auth/admin/login?kc_idp_hint=corp-sso&login_hint=admin%40example.com&prompt=select_account')
+                .expect(302);
+
+            expect(mockBuildAuthorizationUrl).toHaveBeenCalledWith(
+                mockOidcConfig,
+                expect.objectContaining({
+                    kc_idp_hint: 'corp-sso',
+                    login_hint: 'admin@example.com',
+                    prompt: 'select_account'
+                })
+            );
+        });
+
+        test('should not let forwarded parameters override the bridge parameters', async () => {
+            await request(app)
+                .get('/auth/admin/login?state=attacker&prompt=none&redirect_uri=https%3A%2F%2Fevil.example')
+                .expect(302);
+
+            const params = mockBuildAuthorizationUrl.mock.calls[0][1];
+            expect(params.state).toMatch(/^mock-state-/);
+            expect(params.prompt).toBeUndefined();
+            expect(params.redirect_uri).not.toBe('https://evil.example');
+        });
+
+        test('should use the staff allowlist, not the member one', async () => {
+            process.env.STAFF_LOGIN_PARAMS = 'login_hint';
+
+            try {
+                app = express();
+                app.use(cookieParser());
+                app.use('/auth/admin', staffRoutes(mockOidcConfig));
+
+                await request(app)
+                    .get('/auth/admin/login?kc_idp_hint=google&login_hint=admin%40example.com')
+                    .expect(302);
+
+                const params = mockBuildAuthorizationUrl.mock.calls[0][1];
+                expect(params.login_hint).toBe('admin@example.com');
+                expect(params.kc_idp_hint).toBeUndefined();
+            } finally {
+                delete process.env.STAFF_LOGIN_PARAMS;
+            }
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // GET /logout
+    // ---------------------------------------------------------------------------
+
+    describe('GET /logout', () => {
+        // Logs in to obtain the bridge cookies set on /auth/admin
+        const loginCookies = async () => {
+            mockQuery
+                .mockResolvedValueOnce([{ id: 'user-123' }])
+                .mockResolvedValueOnce([{ value: 'admin-session-secret' }])
+                .mockResolvedValueOnce({ affectedRows: 1 });
+
+            const response = await staffCallback(app, 'admin-code-123');
+            mockQuery.mockReset();
+
+            return response.headers['set-cookie']
+                .filter(c => c.startsWith('kc_staff_session=') || c.startsWith('kc_staff_id_token='))
+                .map(c => c.split(';')[0])
+                .join('; ');
+        };
+
+        test('should delete the bridge-created session row', async () => {
+            const cookies = await loginCookies();
+            mockQuery.mockResolvedValueOnce({ affectedRows: 1 });
+
+            await request(app)
+                .get('/auth/admin/logout')
+                .set('Cookie', cookies)
+                .expect(302);
+
+            expect(mockQuery).toHaveBeenCalledWith(
+                'DELETE FROM sessions WHERE session_id = ?',
+                ['mock-session-id-xyz789']
+            );
+            expect(mockForgetGhostSession).toHaveBeenCalledWith('mock-session-id-xyz789');
+        });
+
+        test('should redirect through end_session_endpoint with id_token_hint', async () => {
+            const cookies = await loginCookies();
+            mockQuery.mockResolvedValueOnce({ affectedRows: 1 });
+
+            const response = await request(app)
+                .get('/auth/admin/logout')
+                .set('Cookie', cookies)
+                .expect(302);
+
+            const location = new URL(response.headers.location);
+            expect(location.pathname).toContain('/protocol/openid-connect/logout');
+            expect(location.searchParams.get('id_token_hint')).toBe('mock-id-token');
+            expect(location.searchParams.get('client_id')).toBe('ghost-staff');
+            expect(location.searchParams.get('post_logout_redirect_uri')).toBe('https://blog.example.com');
+        });
+
+        test('should clear the Ghost admin cookie on /ghost', async () => {
+            const response = await request(app)
+                .get('/auth/admin/logout')
+                .expect(302);
+
+            const adminCookie = response.headers['set-cookie'].find(c => c.startsWith('ghost-admin-api-session=;'));
+            expect(adminCookie).toContain('Path=/ghost');
+        });
+
+        test('should ignore a forged session cookie', async () => {
+            await request(app)
+                .get('/auth/admin/logout')
+                .set('Cookie', 'kc_staff_session=forged.value')
+                .expect(302);
+
+            expect(mockQuery).not.toHaveBeenCalled();
+            expect(mockForgetGhostSession).not.toHaveBeenCalled();
+        });
+
+        test('should still log out when session deletion fails', async () => {
+            const cookies = await loginCookies();
+            mockQuery.mockRejectedValueOnce(new Error('Database down'));
+
+            const response = await request(app)
+                .get('/auth/admin/logout')
+                .set('Cookie', cookies)
+                .expect(302);
+
+            expect(response.headers.location).toContain('/protocol/openid-connect/logout');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // GET /callback
+    // ---------------------------------------------------------------------------
+
+    describe('GET /callback', () => {
+        beforeEach(() => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({
+                    email: 'admin@example.com',
+                    email_verified: true,
+                    name: 'Admin User'
+                })
+            });
+
+            // Mock user exists in Ghost
+            mockQuery
+                .mockResolvedValueOnce([{ id: 'user-123' }]) // User lookup
+                .mockResolvedValueOnce([{ value: 'admin-session-secret' }]) // Session secret
+                .mockResolvedValueOnce({ affectedRows: 1 }); // Session insert
+        });
+
+        test('should process OIDC callback', async () => {
+            const response = await staffCallback(app, 'admin-code-123');
+            expect(response.status).toBe(302);
+
+            expect(mockAuthorizationCodeGrant).toHaveBeenCalled();
+        });
+
+        test('should redirect to Ghost admin on success', async () => {
+            const response = await staffCallback(app, 'admin-code-123');
+            expect(response.status).toBe(302);
+
+            expect(response.headers.location).toContain('/ghost/');
+        });
+
+        test('should set ghost-admin-api-session cookie', async () => {
+            const response = await staffCallback(app, 'admin-code-123');
+            expect(response.status).toBe(302);
+
+            const cookies = response.headers['set-cookie'];
+            expect(cookies).toBeDefined();
+            const sessionCookie = cookies.find(c => c.includes('ghost-admin-api-session'));
+            expect(sessionCookie).toBeDefined();
+            expect(sessionCookie).toContain('HttpOnly');
+        });
+
+        test('should keep the session for 180 days by default', async () => {
+            const response = await staffCallback(app, 'admin-code-123');
+
+            const sessionCookie = response.headers['set-cookie'].find(c => c.includes('ghost-admin-api-session'));
+            expect(sessionCookie).toContain('Max-Age=15552000');
+            const sessionData = JSON.parse(mockQuery.mock.calls[2][1][3]);
+            expect(sessionData.cookie.originalMaxAge).toBe(15552000000);
+        });
+
+        test('should end the session with the ID token when configured', async () => {
+            process.env.STAFF_SESSION_LIFETIME = 'id_token';
+            process.env.STAFF_SESSION_MAX_AGE = '12h';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/admin', staffRoutes(mockOidcConfig));
+
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({
+                    email: 'admin@example.com',
+                    email_verified: true,
+                    name: 'Admin User',
+                    exp: Math.floor(Date.now() / 1000) + 1800
+                })
+            });
+
+            try {
+                const response = await staffCallback(app, 'admin-code-123');
+                expect(response.status).toBe(302);
+
+                const maxAge = (name) => Number(response.headers['set-cookie']
+                    .find(c => c.includes(name)).match(/Max-Age=(\d+)/)[1]);
+                expect(maxAge('ghost-admin-api-session')).toBeGreaterThan(1790);
+                expect(maxAge('ghost-admin-api-session')).toBeLessThanOrEqual(1800);
+                expect(maxAge('kc_staff_session')).toBe(maxAge('ghost-admin-api-session'));
+
+                const sessionData = JSON.parse(mockQuery.mock.calls[2][1][3]);
+                expect(sessionData.cookie.originalMaxAge).toBeLessThanOrEqual(1800000);
+            } finally {
+                delete process.env.STAFF_SESSION_LIFETIME;
+                delete process.env.STAFF_SESSION_MAX_AGE;
+            }
+        });
+
+        test('should refuse an email already linked to another Keycloak user', async () => {
+            const { IdentityConflictError } = await import('../../src/lib/identity-links.js');
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ sub: 'kc-admin-2', email: 'admin@example.com', email_verified: true, name: 'Admin User' })
+            });
+            mockLinkIdentity.mockRejectedValueOnce(new IdentityConflictError('This account is already linked to another Keycloak user'));
+
+            const response = await staffCallback(app, 'admin-code-123');
+            expect(response.status).toBe(302);
+
+            expect(response.headers.location).toContain('error=identity_conflict');
+        });
+
+        test('should reject user not in Ghost database', async () => {
+            mockQuery.mockReset();
+            mockQuery.mockResolvedValueOnce([]); // No user found
+
+            const response = await staffCallback(app, 'admin-code-123');
+            expect(response.status).toBe(302);
+
+            expect(response.headers.location).toContain('error=user_not_found');
+        });
+
+        test('should handle missing admin_session_secret', async () => {
+            mockQuery.mockReset();
+            mockQuery
+                .mockResolvedValueOnce([{ id: 'user-123' }]) // User found
+                .mockResolvedValueOnce([]); // No session secret
+
+            const response = await staffCallback(app, 'admin-code-123');
+            expect(response.status).toBe(302);
+
+            expect(response.headers.location).toContain('error=fatal_config');
+        });
+
+        test('should handle OIDC callback errors', async () => {
+            mockAuthorizationCodeGrant.mockRejectedValue(new Error('Token error'));
+
+            const response = await staffCallback(app, 'invalid-code');
+            expect(response.status).toBe(302);
+
+            expect(response.headers.location).toContain('error=fatal');
+        });
+
+        test('should leave roles untouched when no mapping is configured', async () => {
+            await staffCallback(app, 'admin-code-123');
+
+            const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+            expect(sqls.some(sql => sql.includes('roles_users'))).toBe(false);
+        });
+
+        test('should pass state, nonce and PKCE verifier to the token exchange', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/admin/login');
+
+            await request(app)
+                .get(`/auth/admin/callback?code=admin-code-123&state=${state}`)
+                .set('Cookie', cookie)
+                .expect(302);
+
+            expect(mockAuthorizationCodeGrant).toHaveBeenCalledWith(
+                mockOidcConfig,
+                expect.any(URL),
+                {
+                    pkceCodeVerifier: 'mock-code-verifier',
+                    expectedState: state,
+                    expectedNonce: expect.stringMatching(/^mock-nonce-/)
+                }
+            );
+        });
+
+        test('should reject a callback without a login attempt', async () => {
             const response = await request(app)
-                .get('/auth/admin/callback?code=admin-code-123')
+                .get('/auth/admin/callback?code=admin-code-123&state=forged')
                 .expect(302);
 
-            expect(response.headers.location).toContain('error=fatal_config');
+            expect(response.headers.location).toContain('error=invalid_state');
+            expect(mockAuthorizationCodeGrant).not.toHaveBeenCalled();
+            expect(mockQuery).not.toHaveBeenCalled();
         });
 
-        test('should handle OIDC callback errors', async () => {
-            mockAuthorizationCodeGrant.mockRejectedValue(new Error('Token error'));
+        test('should reject a replayed callback', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/admin/login');
+            const callbackUrl = `/auth/admin/callback?code=admin-code-123&state=${state}`;
 
+            await request(app).get(callbackUrl).set('Cookie', cookie).expect(302);
             const response = await request(app)
-                .get('/auth/admin/callback?code=invalid-code')
+                .get(callbackUrl)
+                .set('Cookie', cookie)
                 .expect(302);
 
-            expect(response.headers.location).toContain('error=fatal');
+            expect(response.headers.location).toContain('error=invalid_state');
+            expect(mockAuthorizationCodeGrant).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reject an expired attempt', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/admin/login');
+            const realNow = Date.now;
+            Date.now = () => realNow() + 600001;
+
+            try {
+                const response = await request(app)
+                    .get(`/auth/admin/callback?code=admin-code-123&state=${state}`)
+                    .set('Cookie', cookie)
+                    .expect(302);
+
+                expect(response.headers.location).toContain('error=invalid_state');
+            } finally {
+                Date.now = realNow;
+            }
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // Email verification
+    // ---------------------------------------------------------------------------
+
+    describe('Email verification', () => {
+        afterEach(() => {
+            delete process.env.STAFF_REQUIRE_EMAIL_VERIFIED;
+        });
+
+        test('should refuse an unverified email before looking up the user', async () => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'admin@example.com', email_verified: false, name: 'Admin User' })
+            });
+
+            const response = await staffCallback(app, 'admin-code-123');
+
+            expect(response.status).toBe(403);
+            expect(response.text).toContain('admin@example.com');
+            expect(response.text).toContain('href="/auth/admin/login"');
+            expect(mockQuery).not.toHaveBeenCalled();
+            expect(response.headers['set-cookie'].join(';')).not.toContain('ghost-admin-api-session=s');
+        });
+
+        test('should accept unverified emails when the check is disabled', async () => {
+            process.env.STAFF_REQUIRE_EMAIL_VERIFIED = 'false';
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/admin', staffRoutes(mockOidcConfig));
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'admin@example.com', name: 'Admin User' })
+            });
+            mockQuery
+                .mockResolvedValueOnce([{ id: 'user-123', status: 'active' }])
+                .mockResolvedValueOnce([{ value: 'ghost-secret' }])
+                .mockResolvedValue({ affectedRows: 1 });
+
+            const response = await staffCallback(app, 'admin-code-123');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toContain('/ghost/');
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // OIDC error responses
+    // ---------------------------------------------------------------------------
+
+    describe('OIDC error responses', () => {
+        test('should send a cancelled login to the error page, not to Keycloak', async () => {
+            const { state, cookie } = await startLogin(app, '/auth/admin/login');
+
+            const response = await request(app)
+                .get(`/auth/admin/callback?error=access_denied&state=${state}`)
+                .set('Cookie', cookie)
+                .expect(302);
+
+            expect(response.headers.location).toMatch(/^\/auth\/admin\/login\?error=access_denied&ref=[0-9a-f-]{36}$/);
+            expect(mockAuthorizationCodeGrant).not.toHaveBeenCalled();
+        });
+
+        test('should render the error page on /login?error=', async () => {
+            mockBuildAuthorizationUrl.mockClear();
+            const ref = '0b8e5f0e-3c1a-4d2b-9f6e-7a1c2d3e4f50';
+
+            const response = await request(app)
+                .get(`/auth/admin/login?error=access_denied&ref=${ref}`)
+                .expect(403);
+
+            expect(response.text).toContain('Sign-in cancelled');
+            expect(response.text).toContain(`<code>${ref}</code>`);
+            expect(response.text).toContain('href="/auth/admin/login"');
+            expect(mockBuildAuthorizationUrl).not.toHaveBeenCalled();
+        });
+
+        test('should render bridge failures with their own status', async () => {
+            const response = await request(app).get('/auth/admin/login?error=user_not_found');
+
+            expect(response.status).toBe(403);
+            expect(response.text).toContain('No staff account');
+            expect(response.text).not.toContain('Reference:');
+        });
+
+        test('should ignore a malformed reference', async () => {
+            const response = await request(app)
+                .get('/auth/admin/login?error=fatal&ref=%3Cscript%3E')
+                .expect(500);
+
+            expect(response.text).toContain('Sign-in failed');
+            expect(response.text).not.toContain('Reference:');
+        });
+
+        test('should add a reference to failure redirects', async () => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'ghost@example.com', email_verified: true, name: 'Nobody' })
+            });
+            mockQuery.mockReset();
+            mockQuery.mockResolvedValueOnce([]);
+
+            const response = await staffCallback(app, 'admin-code-123');
+
+            expect(response.headers.location).toMatch(/error=user_not_found&ref=[0-9a-f-]{36}$/);
+        });
+    });
+
+    // ---------------------------------------------------------------------------
+    // POST /backchannel-logout
+    // ---------------------------------------------------------------------------
+
+    describe('POST /backchannel-logout', () => {
+        const logoutPayload = (extra = {}) => ({
+            payload: {
+                iss: 'https://keycloak.example.com/realms/test',
+                sub: 'kc-admin-1',
+                jti: `jti-${Math.random()}`,
+                iat: Math.floor(Date.now() / 1000),
+                events: { 'http://schemas.openid.net/event/backchannel-logout': {} },
+                ...extra
+            }
+        });
+
+        beforeEach(() => {
+            mockQuery.mockReset();
+            mockQuery.mockResolvedValue({ affectedRows: 1 });
+        });
+
+        test('should record the Ghost session at callback', async () => {
+            mockAuthorizationCodeGrant.mockResolvedValue({
+                id_token: 'mock-id-token',
+                claims: () => ({ email: 'admin@example.com', email_verified: true, name: 'Admin User', sub: 'kc-admin-1', sid: 'kc-session-9' })
+            });
+            mockQuery
+                .mockResolvedValueOnce([{ id: 'user-123' }])
+                .mockResolvedValueOnce([{ value: 'admin-session-secret' }]);
+
+            const response = await staffCallback(app, 'admin-code-123');
+            expect(response.status).toBe(302);
+
+            expect(mockRecordSession).toHaveBeenCalledWith(expect.objectContaining({
+                realm: 'staff',
+                sub: 'kc-admin-1',
+                sid: 'kc-session-9',
+                ghostId: 'user-123',
+                ghostSessionId: 'mock-session-id-xyz789'
+            }));
+        });
+
+        test('should delete every tracked Ghost session of the subject', async () => {
+            mockJwtVerify.mockResolvedValue(logoutPayload());
+            mockFindSessions.mockResolvedValue([
+                { id: 'row-1', ghost_id: 'user-123', ghost_session_id: 'ghost-session-a' },
+                { id: 'row-2', ghost_id: 'user-123', ghost_session_id: 'ghost-session-b' }
+            ]);
+
+            await request(app)
+                .post('/auth/admin/backchannel-logout')
+                .type('form')
+                .send({ logout_token: 'signed-logout-token' })
+                .expect(200);
+
+            expect(mockFindSessions).toHaveBeenCalledWith('staff', { sub: 'kc-admin-1', sid: undefined });
+            expect(mockQuery).toHaveBeenCalledWith(
+                'DELETE FROM sessions WHERE session_id IN (?, ?)',
+                ['ghost-session-a', 'ghost-session-b']
+            );
+            expect(mockForgetSessions).toHaveBeenCalledWith(['row-1', 'row-2']);
+        });
+
+        test('should succeed when no session is tracked', async () => {
+            mockJwtVerify.mockResolvedValue(logoutPayload({ sid: 'unknown-session' }));
+            mockFindSessions.mockResolvedValue([]);
+
+            await request(app)
+                .post('/auth/admin/backchannel-logout')
+                .type('form')
+                .send({ logout_token: 'signed-logout-token' })
+                .expect(200);
+
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should reject a token without the logout event', async () => {
+            mockJwtVerify.mockResolvedValue(logoutPayload({ events: undefined }));
+
+            await request(app)
+                .post('/auth/admin/backchannel-logout')
+                .type('form')
+                .send({ logout_token: 'id-token-not-logout-token' })
+                .expect(400);
+
+            expect(mockFindSessions).not.toHaveBeenCalled();
+        });
+
+        test('should answer 500 when revocation fails', async () => {
+            mockJwtVerify.mockResolvedValue(logoutPayload());
+            mockFindSessions.mockRejectedValue(new Error('Connection lost'));
+
+            await request(app)
+                .post('/auth/admin/backchannel-logout')
+                .type('form')
+                .send({ logout_token: 'signed-logout-token' })
+                .expect(500);
+        });
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Staff Role Mapping
+// ---------------------------------------------------------------------------
+
+describe('Staff Role Mapping', () => {
+    let app;
+    let staffRoutes;
+
+    // Answers staff callback queries by statement rather than call order
+    const mockStaffDb = (currentRoles) => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('FROM users')) return Promise.resolve([{ id: 'user-123' }]);
+            if (sql.includes('FROM roles_users')) return Promise.resolve(currentRoles);
+            if (sql.includes('FROM roles WHERE')) return Promise.resolve([{ id: 'role-editor' }]);
+            if (sql.includes('admin_session_secret')) return Promise.resolve([{ value: 'admin-session-secret' }]);
+            return Promise.resolve({ affectedRows: 1 });
+        });
+    };
+
+    beforeAll(async () => {
+        staffRoutes = (await import('../../src/routes/staff.js')).default;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockQuery.mockReset();
+        process.env.STAFF_ROLE_MAPPING = 'ghost-editors=Editor,/admins=Administrator';
+
+        app = express();
+        app.use(cookieParser());
+        app.use('/auth/admin', staffRoutes(createMockOidcConfig()));
+
+        mockBuildAuthorizationUrl.mockImplementation((config, params) =>
+            new URL(`https://keycloak.example.com/realms/test/protocol/openid-connect/auth?${new URLSearchParams(params)}`)
+        );
+        mockAuthorizationCodeGrant.mockResolvedValue({
+            id_token: 'mock-id-token',
+            claims: () => ({
+                email: 'admin@example.com',
+                email_verified: true,
+                realm_access: { roles: ['ghost-editors'] }
+            })
+        });
+    });
+
+    afterAll(() => {
+        delete process.env.STAFF_ROLE_MAPPING;
+    });
+
+    test('should apply the mapped role on login', async () => {
+        mockStaffDb([{ id: 'role-author', name: 'Author' }]);
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('/ghost/');
+        expect(mockQuery).toHaveBeenCalledWith(
+            'INSERT INTO roles_users (id, role_id, user_id) VALUES (?, ?, ?)',
+            [expect.any(String), 'role-editor', 'user-123']
+        );
+    });
+
+    test('should never demote the Owner', async () => {
+        mockStaffDb([{ id: 'role-owner', name: 'Owner' }]);
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('/ghost/');
+        const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+        expect(sqls.some(sql => /INSERT INTO roles_users|DELETE FROM roles_users/.test(sql))).toBe(false);
+    });
+
+    test('should not provision unknown users by default', async () => {
+        mockStaffDb([]);
+        mockQuery.mockImplementationOnce(() => Promise.resolve([])); // User lookup
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('error=user_not_found');
+        const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+        expect(sqls.some(sql => sql.startsWith('INSERT INTO users'))).toBe(false);
+    });
+
+    test('should reject an invalid mapping at startup', () => {
+        process.env.STAFF_ROLE_MAPPING = 'ghost-owners=Owner';
+
+        expect(() => staffRoutes(createMockOidcConfig())).toThrow('Unknown Ghost role');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Staff Auto-Provisioning
+// ---------------------------------------------------------------------------
+
+describe('Staff Auto-Provisioning', () => {
+    let app;
+    let staffRoutes;
+    let existingEmail;
+
+    beforeAll(async () => {
+        staffRoutes = (await import('../../src/routes/staff.js')).default;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockQuery.mockReset();
+        existingEmail = [];
+        process.env.STAFF_ROLE_MAPPING = 'ghost-editors=Editor';
+        process.env.STAFF_AUTO_PROVISION = 'true';
+
+        app = express();
+        app.use(cookieParser());
+        app.use('/auth/admin', staffRoutes(createMockOidcConfig()));
+
+        mockBuildAuthorizationUrl.mockImplementation((config, params) =>
+            new URL(`https://keycloak.example.com/realms/test/protocol/openid-connect/auth?${new URLSearchParams(params)}`)
+        );
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('status IN')) return Promise.resolve([]);
+            if (sql.includes('FROM users WHERE email = ?')) return Promise.resolve(existingEmail);
+            if (sql.includes('SELECT slug')) return Promise.resolve([]);
+            if (sql.includes('FROM roles_users')) return Promise.resolve([]);
+            if (sql.includes('FROM roles WHERE')) return Promise.resolve([{ id: 'role-editor' }]);
+            if (sql.includes('admin_session_secret')) return Promise.resolve([{ value: 'admin-session-secret' }]);
+            return Promise.resolve({ affectedRows: 1 });
+        });
+    });
+
+    afterAll(() => {
+        delete process.env.STAFF_ROLE_MAPPING;
+        delete process.env.STAFF_AUTO_PROVISION;
+    });
+
+    const withClaims = (claims) => {
+        mockAuthorizationCodeGrant.mockResolvedValue({
+            id_token: 'mock-id-token',
+            claims: () => ({ email: 'new.editor@example.com', email_verified: true, name: 'New Editor', ...claims })
+        });
+    };
+
+    test('should create the user and open a session', async () => {
+        withClaims({ groups: ['ghost-editors'] });
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('/ghost/');
+        const userInsert = mockQuery.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO users'));
+        expect(userInsert[1]).toEqual(expect.arrayContaining(['New Editor', 'new-editor', 'new.editor@example.com']));
+        expect(mockQuery).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO sessions'),
+            expect.arrayContaining(['mock-object-id-12345678'])
+        );
+    });
+
+    test('should link the created user to its Keycloak subject', async () => {
+        withClaims({ sub: 'kc-editor-1', groups: ['ghost-editors'] });
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('/ghost/');
+        expect(mockLinkIdentity).toHaveBeenCalledTimes(1);
+        expect(mockLinkIdentity).toHaveBeenCalledWith('staff', 'kc-editor-1', 'mock-object-id-12345678');
+    });
+
+    test('should refuse users without an allowed role or group', async () => {
+        withClaims({ groups: ['readers'] });
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('error=user_not_found');
+        const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+        expect(sqls.some(sql => sql.startsWith('INSERT'))).toBe(false);
+    });
+
+    test('should not recreate a suspended user', async () => {
+        withClaims({ groups: ['ghost-editors'] });
+        existingEmail = [{ id: 'old-user', status: 'inactive' }];
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('error=user_not_found');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Owner Bootstrap
+// ---------------------------------------------------------------------------
+
+describe('Owner Bootstrap', () => {
+    let app;
+    let staffRoutes;
+
+    beforeAll(async () => {
+        staffRoutes = (await import('../../src/routes/staff.js')).default;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockQuery.mockReset();
+        process.env.STAFF_BOOTSTRAP_ROLE = 'ghost-owner';
+
+        app = express();
+        app.use(cookieParser());
+        app.use('/auth/admin', staffRoutes(createMockOidcConfig()));
+
+        mockBuildAuthorizationUrl.mockImplementation((config, params) =>
+            new URL(`https://keycloak.example.com/realms/test/protocol/openid-connect/auth?${new URLSearchParams(params)}`)
+        );
+        mockAuthorizationCodeGrant.mockResolvedValue({
+            id_token: 'mock-id-token',
+            claims: () => ({
+                email: 'founder@example.com',
+                email_verified: true,
+                name: 'Founder',
+                realm_access: { roles: ['ghost-owner'] }
+            })
+        });
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('status IN')) return Promise.resolve([]);
+            if (sql.includes("r.name = 'Owner'")) return Promise.resolve([{ id: 'owner-id', status: 'inactive' }]);
+            if (sql.includes('SELECT slug')) return Promise.resolve([]);
+            if (sql.includes('admin_session_secret')) return Promise.resolve([{ value: 'admin-session-secret' }]);
+            return Promise.resolve({ affectedRows: 1 });
         });
     });
+
+    afterAll(() => {
+        delete process.env.STAFF_BOOTSTRAP_ROLE;
+    });
+
+    test('should claim the Owner and open a session on a fresh install', async () => {
+        mockIsStaffEmpty.mockResolvedValue(true);
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('/ghost/');
+        expect(mockQuery).toHaveBeenCalledWith(
+            expect.stringContaining('UPDATE users SET'),
+            expect.arrayContaining(['founder@example.com', 'owner-id'])
+        );
+        expect(mockQuery).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO sessions'),
+            expect.arrayContaining(['owner-id'])
+        );
+    });
+
+    test('should not bootstrap once staff exists', async () => {
+        mockIsStaffEmpty.mockResolvedValue(false);
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('error=user_not_found');
+        const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+        expect(sqls.some(sql => sql.startsWith('UPDATE users'))).toBe(false);
+    });
+
+    test('should not bootstrap users without the bootstrap role', async () => {
+        mockIsStaffEmpty.mockResolvedValue(true);
+        mockAuthorizationCodeGrant.mockResolvedValue({
+            id_token: 'mock-id-token',
+            claims: () => ({ email: 'someone@example.com', email_verified: true, realm_access: { roles: ['reader'] } })
+        });
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('error=user_not_found');
+        expect(mockIsStaffEmpty).not.toHaveBeenCalled();
+    });
+
+    // Another first login claims the inactive Owner between lookup and update
+    const loseOwnerRace = () => {
+        const defaultQuery = mockQuery.getMockImplementation();
+        mockQuery.mockImplementation((sql, params) => {
+            if (sql.startsWith('UPDATE users SET')) return Promise.resolve({ affectedRows: 0 });
+            if (sql.includes('FROM users WHERE email = ?')) return Promise.resolve([]);
+            if (sql.includes('FROM roles_users')) return Promise.resolve([]);
+            if (sql.includes('FROM roles WHERE')) return Promise.resolve([{ id: 'role-administrator' }]);
+            return defaultQuery(sql, params);
+        });
+    };
+
+    test('should refuse the login when the Owner race is lost and provisioning is off', async () => {
+        mockIsStaffEmpty.mockResolvedValue(true);
+        loseOwnerRace();
+
+        const response = await staffCallback(app, 'admin-code-123');
+
+        expect(response.headers.location).toContain('error=user_not_found');
+        const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+        expect(sqls.some(sql => sql.startsWith('INSERT INTO users'))).toBe(false);
+    });
+
+    test('should fall back to auto-provisioning when the Owner race is lost', async () => {
+        process.env.STAFF_ROLE_MAPPING = 'ghost-owner=Administrator';
+        process.env.STAFF_AUTO_PROVISION = 'true';
+
+        try {
+            app = express();
+            app.use(cookieParser());
+            app.use('/auth/admin', staffRoutes(createMockOidcConfig()));
+            mockIsStaffEmpty.mockResolvedValue(true);
+            loseOwnerRace();
+
+            const response = await staffCallback(app, 'admin-code-123');
+
+            expect(response.headers.location).toContain('/ghost/');
+            const userInsert = mockQuery.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO users'));
+            expect(userInsert[1]).toEqual(expect.arrayContaining(['Founder', 'founder@example.com']));
+            expect(mockQuery).toHaveBeenCalledWith(
+                expect.stringContaining('INSERT INTO sessions'),
+                expect.arrayContaining(['mock-object-id-12345678'])
+            );
+        } finally {
+            delete process.env.STAFF_ROLE_MAPPING;
+            delete process.env.STAFF_AUTO_PROVISION;
+        }
+    });
 });
 
 // ---------------------------------------------------------------------------
@@ -485,7 +2773,7 @@ describe('Error Handling', () => {
         
         mockAuthorizationCodeGrant.mockResolvedValue({
             id_token: 'mock-id-token',
-            claims: () => ({ email: 'test@example.com', name: 'Test' })
+            claims: () => ({ email: 'test@example.com', email_verified: true, name: 'Test' })
         });
 
         global.fetch.mockRejectedValue(new Error('Ghost API unavailable'));
@@ -494,10 +2782,10 @@ describe('Error Handling', () => {
         app.use(cookieParser());
         app.use('/auth/member', memberRoutes(mockOidcConfig));
 
-        const response = await request(app)
-            .get('/auth/member/callback?code=valid-code')
-            .expect(500);
+        const response = await memberCallback(app, 'valid-code');
+        expect(response.status).toBe(500);
 
-        expect(response.text).toContain('Authentication failed');
+        expect(response.text).toContain('Sign-in failed');
+        expect(response.text).not.toContain('Ghost API unavailable');
     });
 });
\ No newline at end of file
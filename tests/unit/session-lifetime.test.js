@@ -0,0 +1,103 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// session-lifetime.test.js
+// Unit tests for bridge-created Ghost session expiry
+//
+// Purpose:
+//   - Validates each lifetime source (fixed, auth_time, id_token, refresh_token)
+//   - Ensures the max age caps every source and missing claims fall back
+// ============================================================================
+
+import { jest, describe, test, expect } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCK LOGGER
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const { parseLifetimeSource, resolveSessionExpiry } = await import('../../src/lib/session-lifetime.js');
+
+const NOW = Date.UTC(2030, 0, 1);
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const expiry = (source, { tokenSet = {}, claims = {}, maxAge = 10 * HOUR } = {}) =>
+    resolveSessionExpiry(tokenSet, claims, { source, maxAge, now: NOW }).getTime() - NOW;
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: parseLifetimeSource()
+// ---------------------------------------------------------------------------
+
+describe('parseLifetimeSource()', () => {
+    test('should default to fixed', () => {
+        expect(parseLifetimeSource(undefined)).toBe('fixed');
+        expect(parseLifetimeSource('')).toBe('fixed');
+    });
+
+    test('should accept known sources case-insensitively', () => {
+        expect(parseLifetimeSource(' Refresh_Token ')).toBe('refresh_token');
+        expect(parseLifetimeSource('auth_time')).toBe('auth_time');
+    });
+
+    test('should reject unknown sources', () => {
+        expect(() => parseLifetimeSource('access_token')).toThrow('Unknown session lifetime source');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: resolveSessionExpiry()
+// ---------------------------------------------------------------------------
+
+describe('resolveSessionExpiry()', () => {
+    test('fixed: should last max age from now', () => {
+        expect(expiry('fixed')).toBe(10 * HOUR);
+    });
+
+    test('auth_time: should count max age from the Keycloak authentication', () => {
+        const claims = { auth_time: (NOW - 4 * HOUR) / 1000 };
+
+        expect(expiry('auth_time', { claims })).toBe(6 * HOUR);
+    });
+
+    test('id_token: should end with the ID token', () => {
+        const claims = { exp: (NOW + 5 * 60000) / 1000 };
+
+        expect(expiry('id_token', { claims })).toBe(5 * 60000);
+    });
+
+    test('refresh_token: should follow refresh_expires_in', () => {
+        expect(expiry('refresh_token', { tokenSet: { refresh_expires_in: 1800 } })).toBe(30 * 60000);
+    });
+
+    test('refresh_token: should fall back for offline tokens', () => {
+        expect(expiry('refresh_token', { tokenSet: { refresh_expires_in: 0 } })).toBe(10 * HOUR);
+    });
+
+    test('should fall back to max age when the claim is missing', () => {
+        expect(expiry('auth_time')).toBe(10 * HOUR);
+        expect(expiry('id_token')).toBe(10 * HOUR);
+    });
+
+    test('should cap every source at max age', () => {
+        expect(expiry('refresh_token', { tokenSet: { refresh_expires_in: 30 * DAY / 1000 } })).toBe(10 * HOUR);
+        expect(expiry('id_token', { claims: { exp: (NOW + DAY) / 1000 } })).toBe(10 * HOUR);
+    });
+
+    test('should never return an already expired session', () => {
+        const claims = { auth_time: (NOW - 11 * HOUR) / 1000 };
+
+        expect(expiry('auth_time', { claims })).toBe(60000);
+    });
+});
@@ -0,0 +1,232 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// session-store.test.js
+// Unit tests for Keycloak session to Ghost session tracking
+//
+// Purpose:
+//   - Validates lazy, retried creation of the tracking table
+//   - Validates lookups by sid (preferred) and sub
+//   - Validates row insertion and removal
+//   - Validates the expiry sweep of bridge-created Ghost sessions
+// ============================================================================
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCKS SETUP
+// ---------------------------------------------------------------------------
+
+const mockQuery = jest.fn();
+const mockCreateTableOnce = jest.fn(() => jest.fn(() => Promise.resolve()));
+
+jest.unstable_mockModule('../../src/lib/db.js', () => ({
+    query: mockQuery,
+    createTableOnce: mockCreateTableOnce
+}));
+
+jest.unstable_mockModule('../../src/lib/utils.js', () => ({
+    generateObjectId: jest.fn(() => 'tracking-row-id-00000000')
+}));
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const {
+    ensureSessionStore,
+    recordSession,
+    findSessions,
+    forgetSessions,
+    forgetGhostSession,
+    sweepExpiredSessions,
+    startSessionSweeper
+} = await import('../../src/lib/session-store.js');
+
+beforeEach(() => {
+    mockQuery.mockReset();
+    mockQuery.mockResolvedValue([]);
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: ensureSessionStore()
+// ---------------------------------------------------------------------------
+// Creation, sharing and retries are covered by createTableOnce() in db.test.js.
+
+describe('ensureSessionStore()', () => {
+    test('should create the tracking table through createTableOnce()', async () => {
+        expect(mockCreateTableOnce).toHaveBeenCalledWith(expect.stringContaining('IF NOT EXISTS keycloak_bridge_sessions'));
+        await expect(ensureSessionStore()).resolves.toBeUndefined();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: recordSession()
+// ---------------------------------------------------------------------------
+
+describe('recordSession()', () => {
+    test('should insert the link with its expiry', async () => {
+        const expiresAt = new Date('2030-01-01T00:00:00Z');
+
+        await recordSession({
+            realm: 'staff',
+            sub: 'kc-user-1',
+            sid: 'kc-session-1',
+            ghostId: 'user-123',
+            ghostSessionId: 'ghost-session-a',
+            expiresAt
+        });
+
+        const [sql, params] = mockQuery.mock.calls[0];
+        expect(sql).toContain('INSERT INTO keycloak_bridge_sessions');
+        expect(params).toEqual([
+            'tracking-row-id-00000000', 'staff', 'kc-user-1', 'kc-session-1',
+            'user-123', 'ghost-session-a', expect.any(Date), expiresAt
+        ]);
+    });
+
+    test('should store NULL for a missing sid and Ghost session', async () => {
+        await recordSession({ realm: 'member', sub: 'kc-user-1', ghostId: 'member-1', expiresAt: new Date() });
+
+        const params = mockQuery.mock.calls[0][1];
+        expect(params[3]).toBeNull();
+        expect(params[5]).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: findSessions()
+// ---------------------------------------------------------------------------
+
+describe('findSessions()', () => {
+    test('should match only the Keycloak session when sid is given', async () => {
+        await findSessions('staff', { sid: 'kc-session-1', sub: 'kc-user-1' });
+
+        const [sql, params] = mockQuery.mock.calls[0];
+        expect(sql).toContain('sid = ?');
+        expect(params).toEqual(['staff', 'kc-session-1']);
+    });
+
+    test('should match every session of the subject otherwise', async () => {
+        mockQuery.mockResolvedValueOnce([{ id: 'row-1', ghost_id: 'member-1', ghost_session_id: null }]);
+
+        const rows = await findSessions('member', { sub: 'kc-user-1' });
+
+        const [sql, params] = mockQuery.mock.calls[0];
+        expect(sql).toContain('sub = ?');
+        expect(params).toEqual(['member', 'kc-user-1']);
+        expect(rows).toHaveLength(1);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: forgetSessions()
+// ---------------------------------------------------------------------------
+
+describe('forgetSessions()', () => {
+    test('should delete the given rows', async () => {
+        await forgetSessions(['row-1', 'row-2']);
+
+        expect(mockQuery).toHaveBeenCalledWith(
+            'DELETE FROM keycloak_bridge_sessions WHERE id IN (?, ?)',
+            ['row-1', 'row-2']
+        );
+    });
+
+    test('should not query for an empty list', async () => {
+        await forgetSessions([]);
+
+        expect(mockQuery).not.toHaveBeenCalled();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: forgetGhostSession()
+// ---------------------------------------------------------------------------
+
+describe('forgetGhostSession()', () => {
+    test('should delete the row tracking the Ghost session', async () => {
+        await forgetGhostSession('ghost-session-1');
+
+        expect(mockQuery).toHaveBeenCalledWith(
+            'DELETE FROM keycloak_bridge_sessions WHERE ghost_session_id = ?',
+            ['ghost-session-1']
+        );
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: sweepExpiredSessions()
+// ---------------------------------------------------------------------------
+
+describe('sweepExpiredSessions()', () => {
+    test('should delete expired Ghost sessions before their tracking rows', async () => {
+        const now = new Date('2030-01-01T00:00:00Z');
+        mockQuery.mockResolvedValueOnce({ affectedRows: 3 }).mockResolvedValueOnce({ affectedRows: 4 });
+
+        const deleted = await sweepExpiredSessions(now);
+
+        expect(deleted).toBe(3);
+        const [[ghostSql, ghostParams], [trackingSql, trackingParams]] = mockQuery.mock.calls;
+        expect(ghostSql).toContain('DELETE FROM sessions WHERE session_id IN');
+        expect(ghostSql).toContain("realm = 'staff' AND expires_at <= ?");
+        expect(ghostParams).toEqual([now]);
+        expect(trackingSql).toBe('DELETE FROM keycloak_bridge_sessions WHERE expires_at <= ?');
+        expect(trackingParams).toEqual([now]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: startSessionSweeper()
+// ---------------------------------------------------------------------------
+
+describe('startSessionSweeper()', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should sweep at start and on every interval until stopped', async () => {
+        jest.useFakeTimers();
+        mockQuery.mockResolvedValue({ affectedRows: 0 });
+
+        const stop = startSessionSweeper(60000);
+        await jest.advanceTimersByTimeAsync(0);
+        const sweeps = () => mockQuery.mock.calls.filter(([sql]) => sql.startsWith('DELETE FROM sessions')).length;
+        expect(sweeps()).toBe(1);
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(sweeps()).toBe(2);
+
+        stop();
+        await jest.advanceTimersByTimeAsync(120000);
+        expect(sweeps()).toBe(2);
+    });
+
+    test('should not schedule anything when disabled', async () => {
+        jest.useFakeTimers();
+
+        startSessionSweeper(0);
+        await jest.advanceTimersByTimeAsync(3600000);
+
+        expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    test('should keep running when a sweep fails', async () => {
+        jest.useFakeTimers();
+        mockQuery.mockRejectedValue(new Error('Connection lost'));
+
+        const stop = startSessionSweeper(60000);
+        await jest.advanceTimersByTimeAsync(60000);
+        stop();
+
+        expect(mockQuery.mock.calls.filter(([sql]) => sql.startsWith('DELETE FROM sessions'))).toHaveLength(2);
+    });
+});
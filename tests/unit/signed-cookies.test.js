@@ -0,0 +1,101 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// signed-cookies.test.js
+// Unit tests for signed and encrypted bridge cookie payloads
+//
+// Purpose:
+//   - Validates payload round-trips
+//   - Ensures encrypted payloads are unreadable
+//   - Ensures tampered or malformed values are rejected
+// ============================================================================
+
+import { jest, describe, test, expect } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCK LOGGER
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const { sealCookie, openCookie, encryptCookie, decryptCookie } = await import('../../src/lib/signed-cookies.js');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: sealCookie() / openCookie()
+// ---------------------------------------------------------------------------
+
+describe('sealCookie() / openCookie()', () => {
+    test('should round-trip a payload', () => {
+        const payload = { sessionId: 'abc', roles: ['a', 'b'], unicode: 'é' };
+
+        expect(openCookie(sealCookie(payload))).toEqual(payload);
+    });
+
+    test('should produce cookie-safe values', () => {
+        expect(sealCookie({ value: '+/= ;,' })).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9+/]+$/);
+    });
+
+    test('should reject a modified payload', () => {
+        const [, signature] = sealCookie({ admin: false }).split('.');
+        const forged = Buffer.from(JSON.stringify({ admin: true })).toString('base64url');
+
+        expect(openCookie(`${forged}.${signature}`)).toBeNull();
+    });
+
+    test('should reject missing and non-string values', () => {
+        expect(openCookie(undefined)).toBeNull();
+        expect(openCookie('')).toBeNull();
+        expect(openCookie({ sessionId: 'abc' })).toBeNull();
+    });
+
+    test('should reject unsigned values', () => {
+        expect(openCookie('eyJhIjoxfQ')).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: encryptCookie() / decryptCookie()
+// ---------------------------------------------------------------------------
+
+describe('encryptCookie() / decryptCookie()', () => {
+    test('should round-trip a payload', () => {
+        const payload = { codeVerifier: 'verifier-123', nonce: 'n-1', unicode: 'é' };
+
+        expect(decryptCookie(encryptCookie(payload))).toEqual(payload);
+    });
+
+    test('should produce cookie-safe, unreadable values', () => {
+        const value = encryptCookie({ codeVerifier: 'verifier-123' });
+
+        expect(value).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(Buffer.from(value, 'base64url').toString('latin1')).not.toContain('verifier-123');
+    });
+
+    test('should use a fresh IV for every value', () => {
+        expect(encryptCookie({ a: 1 })).not.toBe(encryptCookie({ a: 1 }));
+    });
+
+    test('should reject a modified value', () => {
+        const raw = Buffer.from(encryptCookie({ admin: false }), 'base64url');
+        raw[raw.length - 1] ^= 1;
+
+        expect(decryptCookie(raw.toString('base64url'))).toBeNull();
+    });
+
+    test('should reject signed, short and non-string values', () => {
+        expect(decryptCookie(sealCookie({ a: 1 }))).toBeNull();
+        expect(decryptCookie('eyJhIjoxfQ')).toBeNull();
+        expect(decryptCookie(undefined)).toBeNull();
+        expect(decryptCookie({ a: 1 })).toBeNull();
+    });
+});
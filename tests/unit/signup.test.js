@@ -0,0 +1,79 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// signup.test.js
+// Unit tests for member signup registration hints
+//
+// Purpose:
+//   - Validates the authorization parameters of each signup mode
+//   - Validates the startup check against the realm's discovery metadata
+// ============================================================================
+
+import { describe, test, expect } from '@jest/globals';
+
+const { SIGNUP_MODES, signupParams, checkSignupSupport } = await import('../../src/lib/signup.js');
+
+const keycloakMetadata = {
+    authorization_endpoint: 'https://keycloak.example.com/realms/blog/protocol/openid-connect/auth',
+    prompt_values_supported: ['none', 'login', 'consent', 'create']
+};
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: signupParams()
+// ---------------------------------------------------------------------------
+
+describe('signupParams()', () => {
+    test('should offer prompt and kc_action modes', () => {
+        expect(SIGNUP_MODES).toEqual(['prompt', 'kc_action']);
+    });
+
+    test('should map each mode to its parameter', () => {
+        expect(signupParams('prompt')).toEqual({ prompt: 'create' });
+        expect(signupParams('kc_action')).toEqual({ kc_action: 'register' });
+    });
+
+    test('should return a fresh object', () => {
+        signupParams('prompt').prompt = 'login';
+        expect(signupParams('prompt')).toEqual({ prompt: 'create' });
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: checkSignupSupport()
+// ---------------------------------------------------------------------------
+
+describe('checkSignupSupport()', () => {
+    test('should confirm prompt=create when advertised', () => {
+        expect(checkSignupSupport(keycloakMetadata, 'prompt')).toEqual({ supported: true });
+    });
+
+    test('should report a realm without prompt=create', () => {
+        const result = checkSignupSupport({ ...keycloakMetadata, prompt_values_supported: ['none', 'login'] }, 'prompt');
+
+        expect(result.supported).toBe(false);
+        expect(result.reason).toContain('without "create"');
+    });
+
+    test('should not decide when prompt values are not advertised', () => {
+        const { prompt_values_supported: _omitted, ...metadata } = keycloakMetadata;
+
+        expect(checkSignupSupport(metadata, 'prompt')).toEqual({
+            supported: null,
+            reason: 'prompt_values_supported is not advertised'
+        });
+    });
+
+    test('should accept kc_action on a Keycloak authorization endpoint', () => {
+        expect(checkSignupSupport(keycloakMetadata, 'kc_action')).toEqual({ supported: true });
+    });
+
+    test('should refuse kc_action on other endpoint layouts', () => {
+        for (const endpoint of ['https://idp.example.com/oauth2/authorize', 'not a url']) {
+            const result = checkSignupSupport({ authorization_endpoint: endpoint }, 'kc_action');
+
+            expect(result.supported).toBe(false);
+            expect(result.reason).toContain('is not a Keycloak endpoint');
+        }
+    });
+});
@@ -0,0 +1,98 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// silent-sso.test.js
+// Unit tests for silent sign-in support
+//
+// Purpose:
+//   - Validates which OIDC errors end a silent attempt quietly
+//   - Validates the theme script in a simulated browser
+// ============================================================================
+
+import { jest, describe, test, expect } from '@jest/globals';
+
+const { SILENT_SSO_COOKIE, isQuietError, silentSsoScript } = await import('../../src/lib/silent-sso.js');
+
+// ---------------------------------------------------------------------------
+// TEST HELPERS
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs the theme script against a fake browser.
+ * @param {Object} options
+ * @param {string} [options.cookie] - document.cookie before the run
+ * @param {number} [options.memberStatus] - Status of /members/api/member/
+ * @param {string} [options.pathname] - Path of the current page
+ * @param {Object} [options.scriptOptions] - Extra silentSsoScript() options
+ * @returns {Promise<{fetch: Function, replace: Function, document: Object}>}
+ */
+const runScript = async ({ cookie = '', memberStatus = 204, pathname = '/paid-post/', scriptOptions = {} } = {}) => {
+    const fetch = jest.fn().mockResolvedValue({ status: memberStatus });
+    const replace = jest.fn();
+    const document = { cookie };
+    const location = { pathname, search: '?ref=home', hash: '', replace };
+    const script = silentSsoScript({ silentPath: '/auth/member/silent', ...scriptOptions });
+
+    new Function('window', 'navigator', 'document', 'location', 'fetch', script)(
+        { fetch }, { cookieEnabled: true }, document, location, fetch
+    );
+    await new Promise(resolve => setImmediate(resolve));
+
+    return { fetch, replace, document };
+};
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: isQuietError()
+// ---------------------------------------------------------------------------
+
+describe('isQuietError()', () => {
+    test.each(['login_required', 'interaction_required', 'consent_required', 'account_selection_required'])(
+        'should treat %s as quiet',
+        (code) => {
+            expect(isQuietError(code)).toBe(true);
+        }
+    );
+
+    test('should not treat real failures as quiet', () => {
+        expect(isQuietError('access_denied')).toBe(false);
+        expect(isQuietError('server_error')).toBe(false);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: silentSsoScript()
+// ---------------------------------------------------------------------------
+
+describe('silentSsoScript()', () => {
+    test('should send an anonymous reader through the silent check', async () => {
+        const { fetch, replace } = await runScript();
+
+        expect(fetch).toHaveBeenCalledWith('/members/api/member/', { credentials: 'same-origin' });
+        expect(replace).toHaveBeenCalledWith('/auth/member/silent?returnTo=%2Fpaid-post%2F%3Fref%3Dhome');
+    });
+
+    test('should do nothing once the browser session was checked', async () => {
+        const { fetch, replace } = await runScript({ cookie: `theme=dark; ${SILENT_SSO_COOKIE}=1` });
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(replace).not.toHaveBeenCalled();
+    });
+
+    test('should leave signed-in members alone for the rest of the session', async () => {
+        const { replace, document } = await runScript({ memberStatus: 200 });
+
+        expect(replace).not.toHaveBeenCalled();
+        expect(document.cookie).toBe(`${SILENT_SSO_COOKIE}=1; path=/; SameSite=Lax`);
+    });
+
+    test('should ask the member API under the blog path on subdirectory installs', async () => {
+        const { fetch, replace } = await runScript({
+            pathname: '/blog/paid-post/',
+            scriptOptions: { memberApiPath: '/blog/members/api/member/' }
+        });
+
+        expect(fetch).toHaveBeenCalledWith('/blog/members/api/member/', { credentials: 'same-origin' });
+        expect(replace).toHaveBeenCalledWith('/auth/member/silent?returnTo=%2Fblog%2Fpaid-post%2F%3Fref%3Dhome');
+    });
+});
@@ -0,0 +1,122 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// site-branding.test.js
+// Unit tests for the blog branding used on bridge pages
+//
+// Purpose:
+//   - Validates title and accent color extraction from Ghost site settings
+//   - Validates that unsafe colors never reach the page CSS
+//   - Validates refreshes and their failure handling
+// ============================================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCKS SETUP
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+const {
+    DEFAULT_ACCENT_COLOR,
+    readSiteBranding,
+    getSiteBranding,
+    setSiteBranding,
+    refreshSiteBranding,
+    startSiteBrandingRefresh
+} = await import('../../src/lib/site-branding.js');
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: readSiteBranding()
+// ---------------------------------------------------------------------------
+
+describe('readSiteBranding()', () => {
+    test('should read the title and accent color', () => {
+        expect(readSiteBranding({ title: ' The Blog ', accent_color: '#FF1A75' }))
+            .toEqual({ title: 'The Blog', accentColor: '#FF1A75' });
+    });
+
+    test('should accept short hex colors', () => {
+        expect(readSiteBranding({ accent_color: '#f0a' }).accentColor).toBe('#f0a');
+    });
+
+    test('should replace unsafe or missing colors with the default', () => {
+        for (const color of ['red; background: url(x)', '#12345', 'rgb(0,0,0)', null]) {
+            expect(readSiteBranding({ title: 'Blog', accent_color: color }).accentColor).toBe(DEFAULT_ACCENT_COLOR);
+        }
+    });
+
+    test('should read an empty or missing site as unbranded', () => {
+        expect(readSiteBranding(null)).toEqual({ title: null, accentColor: DEFAULT_ACCENT_COLOR });
+        expect(readSiteBranding({ title: '  ' }).title).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: refreshSiteBranding()
+// ---------------------------------------------------------------------------
+
+describe('refreshSiteBranding()', () => {
+    beforeEach(() => {
+        setSiteBranding(null);
+    });
+
+    test('should load the branding from the Admin API', async () => {
+        const ghost = { site: { read: jest.fn().mockResolvedValue({ title: 'The Blog', accent_color: '#ff1a75' }) } };
+
+        await refreshSiteBranding(ghost);
+
+        expect(getSiteBranding()).toEqual({ title: 'The Blog', accentColor: '#ff1a75' });
+    });
+
+    test('should keep the previous branding when Ghost fails', async () => {
+        setSiteBranding({ title: 'The Blog', accent_color: '#ff1a75' });
+        const ghost = { site: { read: jest.fn().mockRejectedValue(new Error('Ghost unavailable')) } };
+
+        await expect(refreshSiteBranding(ghost)).resolves.toBeUndefined();
+        expect(getSiteBranding().title).toBe('The Blog');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: startSiteBrandingRefresh()
+// ---------------------------------------------------------------------------
+
+describe('startSiteBrandingRefresh()', () => {
+    test('should load now and then periodically', async () => {
+        jest.useFakeTimers();
+        const ghost = { site: { read: jest.fn().mockResolvedValue({ title: 'The Blog' }) } };
+
+        try {
+            const stop = startSiteBrandingRefresh(ghost, 60000);
+            expect(ghost.site.read).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(60000);
+            expect(ghost.site.read).toHaveBeenCalledTimes(2);
+
+            stop();
+            jest.advanceTimersByTime(60000);
+            expect(ghost.site.read).toHaveBeenCalledTimes(2);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should load once when the interval is 0', () => {
+        const ghost = { site: { read: jest.fn().mockResolvedValue(null) } };
+
+        startSiteBrandingRefresh(ghost, 0);
+
+        expect(ghost.site.read).toHaveBeenCalledTimes(1);
+    });
+});
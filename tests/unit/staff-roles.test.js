@@ -0,0 +1,204 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// staff-roles.test.js
+// Unit tests for Keycloak to Ghost staff role mapping
+//
+// Purpose:
+//   - Validates mapping configuration parsing
+//   - Validates role resolution from realm roles, client roles and groups
+//   - Ensures roles_users updates never touch the Ghost Owner
+// ============================================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCKS SETUP
+// ---------------------------------------------------------------------------
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/db.js', () => ({
+    query: mockQuery
+}));
+
+jest.unstable_mockModule('../../src/lib/utils.js', () => ({
+    generateObjectId: jest.fn(() => 'mock-object-id-12345678')
+}));
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const {
+    toGhostRole,
+    parseRoleMapping,
+    extractKeycloakRoles,
+    resolveGhostRole,
+    syncStaffRole
+} = await import('../../src/lib/staff-roles.js');
+
+beforeEach(() => {
+    mockQuery.mockReset();
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Configuration parsing
+// ---------------------------------------------------------------------------
+
+describe('toGhostRole()', () => {
+    test('should normalize case', () => {
+        expect(toGhostRole('editor')).toBe('Editor');
+        expect(toGhostRole(' ADMINISTRATOR ')).toBe('Administrator');
+    });
+
+    test('should refuse Owner and unknown roles', () => {
+        expect(() => toGhostRole('Owner')).toThrow('Unknown Ghost role');
+        expect(() => toGhostRole('Publisher')).toThrow('Unknown Ghost role');
+    });
+});
+
+describe('parseRoleMapping()', () => {
+    test('should return an empty mapping when unset', () => {
+        expect(parseRoleMapping(undefined).size).toBe(0);
+        expect(parseRoleMapping('  ').size).toBe(0);
+    });
+
+    test('should parse role and group entries', () => {
+        const mapping = parseRoleMapping('ghost-admins=Administrator, /editorial=editor,writer=Author');
+
+        expect(mapping.get('ghost-admins')).toBe('Administrator');
+        expect(mapping.get('/editorial')).toBe('Editor');
+        expect(mapping.get('writer')).toBe('Author');
+    });
+
+    test('should reject entries without a separator', () => {
+        expect(() => parseRoleMapping('ghost-admins')).toThrow('Invalid role mapping entry');
+    });
+
+    test('should reject unknown Ghost roles', () => {
+        expect(() => parseRoleMapping('boss=Owner')).toThrow('Unknown Ghost role');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Claim extraction and resolution
+// ---------------------------------------------------------------------------
+
+describe('extractKeycloakRoles()', () => {
+    test('should collect realm roles, own client roles and groups', () => {
+        const roles = extractKeycloakRoles({
+            realm_access: { roles: ['realm-role'] },
+            resource_access: {
+                'ghost-staff': { roles: ['client-role'] },
+                'other-client': { roles: ['foreign-role'] }
+            },
+            groups: ['/editorial']
+        }, 'ghost-staff');
+
+        expect([...roles].sort()).toEqual(['/editorial', 'client-role', 'realm-role']);
+    });
+
+    test('should tolerate missing claims', () => {
+        expect(extractKeycloakRoles({}, 'ghost-staff').size).toBe(0);
+    });
+});
+
+describe('resolveGhostRole()', () => {
+    const mapping = parseRoleMapping('ghost-admins=Administrator,/editorial=Editor,writer=Author');
+
+    test('should return the mapped role', () => {
+        expect(resolveGhostRole({ groups: ['/editorial'] }, mapping, 'ghost-staff')).toBe('Editor');
+    });
+
+    test('should prefer the most privileged role', () => {
+        const claims = {
+            realm_access: { roles: ['writer', 'ghost-admins'] },
+            groups: ['/editorial']
+        };
+
+        expect(resolveGhostRole(claims, mapping, 'ghost-staff')).toBe('Administrator');
+    });
+
+    test('should return null when nothing matches', () => {
+        expect(resolveGhostRole({ groups: ['/readers'] }, mapping, 'ghost-staff')).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: syncStaffRole()
+// ---------------------------------------------------------------------------
+
+describe('syncStaffRole()', () => {
+    test('should never modify the Owner', async () => {
+        mockQuery.mockResolvedValueOnce([{ id: 'role-owner', name: 'Owner' }]);
+
+        const result = await syncStaffRole('user-1', 'Contributor');
+
+        expect(result).toBe('owner');
+        expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip the write when the role is unchanged', async () => {
+        mockQuery.mockResolvedValueOnce([{ id: 'role-editor', name: 'Editor' }]);
+
+        const result = await syncStaffRole('user-1', 'Editor');
+
+        expect(result).toBe('unchanged');
+        expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test('should insert the new role before removing old ones', async () => {
+        mockQuery
+            .mockResolvedValueOnce([{ id: 'role-author', name: 'Author' }])
+            .mockResolvedValueOnce([{ id: 'role-editor' }])
+            .mockResolvedValueOnce({ affectedRows: 1 })
+            .mockResolvedValueOnce({ affectedRows: 1 });
+
+        const result = await syncStaffRole('user-1', 'Editor');
+
+        expect(result).toBe('updated');
+        expect(mockQuery.mock.calls[2]).toEqual([
+            'INSERT INTO roles_users (id, role_id, user_id) VALUES (?, ?, ?)',
+            ['mock-object-id-12345678', 'role-editor', 'user-1']
+        ]);
+        expect(mockQuery.mock.calls[3]).toEqual([
+            'DELETE FROM roles_users WHERE user_id = ? AND role_id <> ?',
+            ['user-1', 'role-editor']
+        ]);
+    });
+
+    test('should only remove extra roles when the target is already held', async () => {
+        mockQuery
+            .mockResolvedValueOnce([
+                { id: 'role-editor', name: 'Editor' },
+                { id: 'role-author', name: 'Author' }
+            ])
+            .mockResolvedValueOnce([{ id: 'role-editor' }])
+            .mockResolvedValueOnce({ affectedRows: 1 });
+
+        await syncStaffRole('user-1', 'Editor');
+
+        expect(mockQuery).toHaveBeenCalledTimes(3);
+        expect(mockQuery.mock.calls[2][0]).toContain('DELETE FROM roles_users');
+    });
+
+    test('should leave roles untouched when the Ghost role is missing', async () => {
+        mockQuery
+            .mockResolvedValueOnce([{ id: 'role-author', name: 'Author' }])
+            .mockResolvedValueOnce([]);
+
+        const result = await syncStaffRole('user-1', 'Editor');
+
+        expect(result).toBe('unknown_role');
+        expect(mockQuery).toHaveBeenCalledTimes(2);
+    });
+});
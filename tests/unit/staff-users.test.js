@@ -0,0 +1,315 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// staff-users.test.js
+// Unit tests for just-in-time Ghost staff user provisioning
+//
+// Purpose:
+//   - Validates slug generation and uniqueness
+//   - Validates users row content derived from claims
+//   - Ensures existing (including suspended) emails are never recreated
+//   - Validates Owner bootstrap on fresh installs
+//   - Validates lookup by Keycloak subject with email as linking fallback
+// ============================================================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// ---------------------------------------------------------------------------
+// MOCKS SETUP
+// ---------------------------------------------------------------------------
+
+const mockQuery = jest.fn();
+const mockSyncStaffRole = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/db.js', () => ({
+    query: mockQuery
+}));
+
+jest.unstable_mockModule('../../src/lib/utils.js', () => ({
+    generateObjectId: jest.fn(() => 'new-user-id-000000000000')
+}));
+
+jest.unstable_mockModule('../../src/lib/staff-roles.js', () => ({
+    syncStaffRole: mockSyncStaffRole
+}));
+
+const mockFindLinkedId = jest.fn();
+const mockLinkIdentity = jest.fn();
+const mockUnlinkIdentity = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/identity-links.js', () => ({
+    findLinkedId: mockFindLinkedId,
+    linkIdentity: mockLinkIdentity,
+    unlinkIdentity: mockUnlinkIdentity
+}));
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+// Import after mock setup
+const { slugify, findStaffUser, provisionStaffUser, bootstrapOwner } = await import('../../src/lib/staff-users.js');
+
+// Answers provisioning queries by statement
+const mockDb = ({ existing = [], slugs = [] } = {}) => {
+    mockQuery.mockImplementation((sql) => {
+        if (sql.includes('WHERE email = ?')) return Promise.resolve(existing);
+        if (sql.includes('SELECT slug')) return Promise.resolve(slugs.map(slug => ({ slug })));
+        return Promise.resolve({ affectedRows: 1 });
+    });
+};
+
+const insertParams = () => mockQuery.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO users'))[1];
+
+beforeEach(() => {
+    mockQuery.mockReset();
+    mockSyncStaffRole.mockReset();
+    mockFindLinkedId.mockReset();
+    mockLinkIdentity.mockReset();
+    mockUnlinkIdentity.mockReset();
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: slugify()
+// ---------------------------------------------------------------------------
+
+describe('slugify()', () => {
+    test('should lowercase and hyphenate names', () => {
+        expect(slugify('Jane Doe')).toBe('jane-doe');
+    });
+
+    test('should strip accents', () => {
+        expect(slugify('Zoë Hervé')).toBe('zoe-herve');
+    });
+
+    test('should trim separators', () => {
+        expect(slugify('  --Jane__Doe!! ')).toBe('jane-doe');
+    });
+
+    test('should return an empty string for non-latin input', () => {
+        expect(slugify('山田')).toBe('');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: provisionStaffUser()
+// ---------------------------------------------------------------------------
+
+describe('provisionStaffUser()', () => {
+    test('should insert an active user with claim data', async () => {
+        mockDb();
+
+        const userId = await provisionStaffUser({
+            email: 'jane@example.com',
+            name: 'Jane Doe',
+            picture: 'https://cdn.example.com/jane.png',
+            locale: 'fr'
+        }, 'Editor');
+
+        expect(userId).toBe('new-user-id-000000000000');
+        const [id, name, slug, password, email, picture, website, locale] = insertParams();
+        expect(id).toBe('new-user-id-000000000000');
+        expect(name).toBe('Jane Doe');
+        expect(slug).toBe('jane-doe');
+        expect(password).toHaveLength(60);
+        expect(email).toBe('jane@example.com');
+        expect(picture).toBe('https://cdn.example.com/jane.png');
+        expect(website).toBeNull();
+        expect(locale).toBe('fr');
+    });
+
+    test('should assign the mapped role', async () => {
+        mockDb();
+
+        await provisionStaffUser({ email: 'jane@example.com', name: 'Jane Doe' }, 'Author');
+
+        expect(mockSyncStaffRole).toHaveBeenCalledWith('new-user-id-000000000000', 'Author');
+    });
+
+    test('should suffix taken slugs', async () => {
+        mockDb({ slugs: ['jane-doe', 'jane-doe-2'] });
+
+        await provisionStaffUser({ email: 'jane@example.com', name: 'Jane Doe' }, 'Author');
+
+        expect(insertParams()[2]).toBe('jane-doe-3');
+    });
+
+    test('should fall back to given/family name, then email local part', async () => {
+        mockDb();
+        await provisionStaffUser({ email: 'jd@example.com', given_name: 'Jane', family_name: 'Doe' }, 'Author');
+        expect(insertParams()[1]).toBe('Jane Doe');
+
+        mockQuery.mockClear();
+        await provisionStaffUser({ email: 'jd@example.com' }, 'Author');
+        expect(insertParams()[1]).toBe('jd');
+    });
+
+    test('should keep short language tags as locale', async () => {
+        mockDb();
+
+        await provisionStaffUser({ email: 'jane@example.com', name: 'Jane', locale: 'pt-BR' }, 'Author');
+
+        expect(insertParams()[7]).toBe('pt-BR');
+    });
+
+    test.each([
+        ['too long', 'zh-Hant-TW'],
+        ['malformed', "fr'; --"],
+        ['not a string', ['fr']]
+    ])('should store a null locale when the claim is %s', async (_, locale) => {
+        mockDb();
+
+        await provisionStaffUser({ email: 'jane@example.com', name: 'Jane', locale }, 'Author');
+
+        expect(insertParams()[7]).toBeNull();
+    });
+
+    test('should refuse when the email already exists in any status', async () => {
+        mockDb({ existing: [{ id: 'old-user', status: 'inactive' }] });
+
+        const userId = await provisionStaffUser({ email: 'jane@example.com', name: 'Jane' }, 'Editor');
+
+        expect(userId).toBeNull();
+        expect(mockQuery.mock.calls.some(([sql]) => sql.startsWith('INSERT'))).toBe(false);
+        expect(mockSyncStaffRole).not.toHaveBeenCalled();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: bootstrapOwner()
+// ---------------------------------------------------------------------------
+
+describe('bootstrapOwner()', () => {
+    const mockOwnerDb = (owners, affectedRows = 1) => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes("r.name = 'Owner'")) return Promise.resolve(owners);
+            if (sql.includes('SELECT slug')) return Promise.resolve([]);
+            return Promise.resolve({ affectedRows });
+        });
+    };
+
+    const updateCall = () => mockQuery.mock.calls.find(([sql]) => sql.startsWith('UPDATE users'));
+
+    test('should activate the inactive Owner with claim data', async () => {
+        mockOwnerDb([{ id: 'owner-id', status: 'inactive' }]);
+
+        const userId = await bootstrapOwner({ email: 'founder@example.com', name: 'Founder' });
+
+        expect(userId).toBe('owner-id');
+        const [sql, params] = updateCall();
+        expect(sql).toContain("status = 'active'");
+        expect(sql).toContain("WHERE id = ? AND status = 'inactive'");
+        expect(params).toEqual(expect.arrayContaining(['Founder', 'founder', 'founder@example.com', 'owner-id']));
+    });
+
+    test('should store a null locale when the claim does not fit Ghost', async () => {
+        mockOwnerDb([{ id: 'owner-id', status: 'inactive' }]);
+
+        await bootstrapOwner({ email: 'founder@example.com', name: 'Founder', locale: 'x'.repeat(40) });
+
+        expect(updateCall()[1][6]).toBeNull();
+    });
+
+    test('should do nothing when the Owner is already active', async () => {
+        mockOwnerDb([{ id: 'owner-id', status: 'active' }]);
+
+        const userId = await bootstrapOwner({ email: 'founder@example.com', name: 'Founder' });
+
+        expect(userId).toBeNull();
+        expect(updateCall()).toBeUndefined();
+    });
+
+    test('should return null when a concurrent login claimed the Owner first', async () => {
+        mockOwnerDb([{ id: 'owner-id', status: 'inactive' }], 0);
+
+        const userId = await bootstrapOwner({ email: 'founder@example.com', name: 'Founder' });
+
+        expect(userId).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: findStaffUser()
+// ---------------------------------------------------------------------------
+
+describe('findStaffUser()', () => {
+    const claims = { sub: 'kc-admin-1', email: 'jane@example.com' };
+
+    test('should resolve a linked user by subject', async () => {
+        mockFindLinkedId.mockResolvedValue('user-123');
+        mockQuery.mockResolvedValueOnce([{ id: 'user-123', email: 'jane@example.com', status: 'active' }]);
+
+        await expect(findStaffUser(claims)).resolves.toBe('user-123');
+
+        expect(mockFindLinkedId).toHaveBeenCalledWith('staff', 'kc-admin-1');
+        expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test('should follow an email change made in Keycloak', async () => {
+        mockFindLinkedId.mockResolvedValue('user-123');
+        mockQuery
+            .mockResolvedValueOnce([{ id: 'user-123', email: 'old@example.com', status: 'active' }])
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce({ affectedRows: 1 });
+
+        await expect(findStaffUser(claims)).resolves.toBe('user-123');
+
+        expect(mockQuery).toHaveBeenLastCalledWith(
+            'UPDATE users SET email = ?, updated_at = ? WHERE id = ?',
+            ['jane@example.com', expect.any(Date), 'user-123']
+        );
+    });
+
+    test('should keep the Ghost email when another user holds the new one', async () => {
+        mockFindLinkedId.mockResolvedValue('user-123');
+        mockQuery
+            .mockResolvedValueOnce([{ id: 'user-123', email: 'old@example.com', status: 'active' }])
+            .mockResolvedValueOnce([{ id: 'user-456' }]);
+
+        await expect(findStaffUser(claims)).resolves.toBe('user-123');
+
+        expect(mockQuery.mock.calls.some(([sql]) => sql.startsWith('UPDATE users'))).toBe(false);
+    });
+
+    test('should refuse a linked user who is suspended', async () => {
+        mockFindLinkedId.mockResolvedValue('user-123');
+        mockQuery.mockResolvedValueOnce([{ id: 'user-123', email: 'jane@example.com', status: 'inactive' }]);
+
+        await expect(findStaffUser(claims)).resolves.toBeNull();
+    });
+
+    test('should link the user found by email', async () => {
+        mockFindLinkedId.mockResolvedValue(null);
+        mockQuery.mockResolvedValueOnce([{ id: 'user-123' }]);
+
+        await expect(findStaffUser(claims)).resolves.toBe('user-123');
+
+        expect(mockQuery.mock.calls[0][1][0]).toBe('jane@example.com');
+        expect(mockLinkIdentity).toHaveBeenCalledWith('staff', 'kc-admin-1', 'user-123');
+    });
+
+    test('should drop a link to a deleted user and fall back to email', async () => {
+        mockFindLinkedId.mockResolvedValue('deleted-user');
+        mockQuery.mockResolvedValueOnce([]).mockResolvedValueOnce([{ id: 'user-789' }]);
+
+        await expect(findStaffUser(claims)).resolves.toBe('user-789');
+
+        expect(mockUnlinkIdentity).toHaveBeenCalledWith('staff', 'kc-admin-1');
+        expect(mockLinkIdentity).toHaveBeenCalledWith('staff', 'kc-admin-1', 'user-789');
+    });
+
+    test('should return null when nobody matches', async () => {
+        mockFindLinkedId.mockResolvedValue(null);
+        mockQuery.mockResolvedValueOnce([]);
+
+        await expect(findStaffUser(claims)).resolves.toBeNull();
+        expect(mockLinkIdentity).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,317 @@
+// Author: Benjamin Romeo (Astocanthus)
+// Contact: contact@low-layer.com
+
+// ============================================================================
+// templates.test.js
+// Unit tests for the HTML templates of bridge pages
+//
+// Purpose:
+//   - Validates HTML escaping and placeholder filling
+//   - Validates loading of operator templates and locale files
+//   - Validates rendering in the reader's language with the blog's branding
+//   - Validates the headers of sent pages and redirects
+// ============================================================================
+
+import { jest, describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+
+// ---------------------------------------------------------------------------
+// MOCKS SETUP
+// ---------------------------------------------------------------------------
+
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    createLogger: jest.fn(() => ({
+        error: jest.fn(),
+        warn: jest.fn(),
+        info: jest.fn(),
+        http: jest.fn(),
+        debug: jest.fn()
+    }))
+}));
+
+const {
+    escapeHtml,
+    renderTemplate,
+    loadTemplateDir,
+    createPageRenderer,
+    getPageRenderer
+} = await import('../../src/lib/templates.js');
+const { emailNotVerifiedPage } = await import('../../src/lib/pages.js');
+const { loginErrorPage } = await import('../../src/lib/login-errors.js');
+
+// ---------------------------------------------------------------------------
+// TEST HELPERS
+// ---------------------------------------------------------------------------
+
+// Template directory written for one test
+let templateDir;
+
+const writeTemplateDir = (files) => {
+    templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-templates-'));
+
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(templateDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(templateDir, name), content);
+    }
+    return templateDir;
+};
+
+const branding = () => ({ title: 'The Blog', accentColor: '#ff1a75' });
+
+const deniedPage = emailNotVerifiedPage({
+    email: 'jane@example.com',
+    accountUrl: 'https://keycloak.example.com/realms/blog/account/',
+    retryUrl: '/auth/member/login'
+});
+
+afterEach(() => {
+    if (templateDir) {
+        fs.rmSync(templateDir, { recursive: true, force: true });
+        templateDir = null;
+    }
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: escapeHtml()
+// ---------------------------------------------------------------------------
+
+describe('escapeHtml()', () => {
+    test('should escape markup and quotes', () => {
+        expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+
+    test('should render missing values as empty text', () => {
+        expect(escapeHtml(undefined)).toBe('');
+        expect(escapeHtml(null)).toBe('');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: renderTemplate()
+// ---------------------------------------------------------------------------
+
+describe('renderTemplate()', () => {
+    test('should escape double-brace placeholders', () => {
+        expect(renderTemplate('<h1>{{ title }}</h1>', { title: '<script>' })).toBe('<h1>&lt;script&gt;</h1>');
+    });
+
+    test('should insert markup fragments with triple braces', () => {
+        expect(renderTemplate('<nav>{{{links}}}</nav>', { links: '<a href="/">Home</a>' }))
+            .toBe('<nav><a href="/">Home</a></nav>');
+    });
+
+    test('should escape triple braces around anything but markup fragments', () => {
+        expect(renderTemplate('{{{title}}}', { title: '<b>' })).toBe('&lt;b&gt;');
+    });
+
+    test('should render unknown placeholders empty', () => {
+        expect(renderTemplate('[{{nothing}}]', {})).toBe('[]');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: loadTemplateDir()
+// ---------------------------------------------------------------------------
+
+describe('loadTemplateDir()', () => {
+    test('should read page templates and locale files', () => {
+        const dir = writeTemplateDir({
+            'error.html': '<p>{{message}}</p>',
+            'notes.txt': 'ignored',
+            'locales/de.json': JSON.stringify({ 'page.tryAgain': 'Erneut versuchen' })
+        });
+
+        expect(loadTemplateDir(dir)).toEqual({
+            templates: { error: '<p>{{message}}</p>' },
+            catalogs: { de: { 'page.tryAgain': 'Erneut versuchen' } }
+        });
+    });
+
+    test('should refuse a missing directory', () => {
+        expect(() => loadTemplateDir('/nonexistent/bridge-templates')).toThrow('is not a directory');
+    });
+
+    test('should refuse invalid locale files', () => {
+        expect(() => loadTemplateDir(writeTemplateDir({ 'locales/de.json': '{ nope' })))
+            .toThrow('Locale file de.json is not valid JSON');
+        fs.rmSync(templateDir, { recursive: true, force: true });
+
+        expect(() => loadTemplateDir(writeTemplateDir({ 'locales/de.json': '{"page.tryAgain": 1}' })))
+            .toThrow('must map message keys to strings');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: createPageRenderer()
+// ---------------------------------------------------------------------------
+
+describe('createPageRenderer()', () => {
+    const renderer = createPageRenderer({ siteUrl: 'https://blog.example.com', branding });
+
+    test('should render a page in English by default', () => {
+        const { html, locale } = renderer.render(deniedPage);
+
+        expect(locale).toBe('en');
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('<html lang="en">');
+        expect(html).toContain('<h1>Verify your email address</h1>');
+        expect(html).toContain('The address jane@example.com has not been verified yet.');
+        expect(html).toContain('<a href="/auth/member/login">Sign in again</a>');
+    });
+
+    test('should follow Accept-Language', () => {
+        const { html, locale } = renderer.render(deniedPage, 'fr-FR,fr;q=0.9,en;q=0.8');
+
+        expect(locale).toBe('fr');
+        expect(html).toContain('<html lang="fr">');
+        expect(html).toContain('<h1>Vérifiez votre adresse e-mail</h1>');
+        expect(html).toContain('>Se reconnecter</a>');
+    });
+
+    test('should use the blog title and accent color', () => {
+        const { html } = renderer.render(deniedPage);
+
+        expect(html).toContain('<title>Verify your email address · The Blog</title>');
+        expect(html).toContain('<a class="site" href="https://blog.example.com">The Blog</a>');
+        expect(html).toContain('color: #ff1a75;');
+    });
+
+    test('should name the blog by its host until the title is known', () => {
+        const unbranded = createPageRenderer({
+            siteUrl: 'https://blog.example.com',
+            branding: () => ({ title: null, accentColor: '#15171a' })
+        });
+
+        expect(unbranded.render(deniedPage).html).toContain('>blog.example.com</a>');
+    });
+
+    test('should show the translated reference', () => {
+        const id = '0b8e5f0e-3c1a-4d2b-9f6e-7a1c2d3e4f50';
+        const page = loginErrorPage({ code: 'fatal', correlationId: id, retryUrl: '/auth/member/login' });
+
+        expect(renderer.render(page).html).toContain(`<p class="reference">Reference: <code>${id}</code></p>`);
+        expect(renderer.render(page, 'fr').html).toContain(`Référence: <code>${id}</code>`);
+        expect(renderer.render({ ...page, reference: undefined }).html).not.toContain('class="reference"');
+    });
+
+    test('should escape values coming from the request', () => {
+        const { html } = renderer.render(emailNotVerifiedPage({
+            email: '<img src=x onerror=alert(1)>',
+            accountUrl: '" onclick="x',
+            retryUrl: '/auth/member/login'
+        }));
+
+        expect(html).not.toContain('<img');
+        expect(html).toContain('href="&quot; onclick=&quot;x"');
+    });
+
+    test('should refresh the redirecting page to its destination', () => {
+        const { html } = renderer.render({
+            template: 'redirecting',
+            title: 'redirecting.title',
+            message: 'redirecting.message',
+            links: [],
+            redirectUrl: 'https://blog.example.com/ghost/'
+        });
+
+        expect(html).toContain('<meta http-equiv="refresh" content="0;url=https://blog.example.com/ghost/">');
+    });
+
+    test('should prefer operator templates and messages', () => {
+        const custom = createPageRenderer({
+            templates: { 'access-denied': '<h1 lang="{{lang}}">{{title}}</h1>{{{links}}}' },
+            catalogs: {
+                en: { 'emailNotVerified.title': 'Please confirm your email' },
+                de: { 'emailNotVerified.title': 'Bitte bestätigen Sie Ihre E-Mail-Adresse' }
+            },
+            branding
+        });
+
+        expect(custom.render(deniedPage).html).toMatch(/^<h1 lang="en">Please confirm your email<\/h1><a href=/);
+        expect(custom.render(deniedPage, 'de').html).toContain('Bitte bestätigen Sie Ihre E-Mail-Adresse');
+        // Messages the operator did not translate come from English
+        expect(custom.render(deniedPage, 'de').html).toContain('>Sign in again</a>');
+        // Pages without an operator template keep the built-in one
+        expect(custom.render(loginErrorPage({ code: 'fatal', retryUrl: '/' })).html).toMatch(/^<!DOCTYPE html>/);
+    });
+
+    test('should fall back to the default locale', () => {
+        const french = createPageRenderer({ defaultLocale: 'fr', branding });
+
+        expect(french.render(deniedPage, 'ja').locale).toBe('fr');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: Sending pages
+// ---------------------------------------------------------------------------
+
+describe('Sending pages', () => {
+    const renderer = createPageRenderer({ siteUrl: 'https://blog.example.com', branding });
+    const app = express();
+    app.get('/denied', (req, res) => renderer.send(req, res, deniedPage));
+    app.get('/redirect', (req, res) => renderer.redirect(req, res, 'https://blog.example.com/ghost/'));
+
+    test('should send the page with its status and language', async () => {
+        const response = await request(app)
+            .get('/denied')
+            .set('Accept-Language', 'fr')
+            .expect(403);
+
+        expect(response.headers['content-type']).toContain('text/html');
+        expect(response.headers['content-language']).toBe('fr');
+        expect(response.headers['vary']).toContain('Accept-Language');
+        expect(response.headers['cache-control']).toBe('no-store');
+    });
+
+    test('should redirect with a redirecting page as the body', async () => {
+        const response = await request(app)
+            .get('/redirect')
+            .expect(302);
+
+        expect(response.headers.location).toBe('https://blog.example.com/ghost/');
+        expect(response.text).toContain('<a href="https://blog.example.com/ghost/">Continue</a>');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// TEST SUITE: getPageRenderer()
+// ---------------------------------------------------------------------------
+
+describe('getPageRenderer()', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-templates-'));
+        fs.mkdirSync(path.join(dir, 'locales'));
+        fs.writeFileSync(path.join(dir, 'locales', 'de.json'), JSON.stringify({ 'page.tryAgain': 'Erneut versuchen' }));
+        fs.writeFileSync(path.join(dir, 'locales', 'pt-BR.json'), JSON.stringify({ 'page.tryAgain': 'Tentar novamente' }));
+        process.env.BRIDGE_TEMPLATE_DIR = dir;
+        process.env.BRIDGE_DEFAULT_LOCALE = 'pt-BR';
+    });
+
+    afterAll(() => {
+        delete process.env.BRIDGE_TEMPLATE_DIR;
+        delete process.env.BRIDGE_DEFAULT_LOCALE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should configure the shared renderer from the environment once', () => {
+        const renderer = getPageRenderer();
+
+        expect(renderer.locales).toEqual(['en', 'fr', 'de', 'pt-BR']);
+        expect(renderer.render(loginErrorPage({ code: 'fatal', retryUrl: '/' }), 'de').html).toContain('Erneut versuchen');
+        expect(getPageRenderer()).toBe(renderer);
+    });
+
+    test('should accept a mixed-case operator locale as the default', () => {
+        const { html, locale } = getPageRenderer().render(loginErrorPage({ code: 'fatal', retryUrl: '/' }));
+
+        expect(locale).toBe('pt-BR');
+        expect(html).toContain('Tentar novamente');
+    });
+});